@@ -41,4 +41,384 @@ CREATE TABLE IF NOT EXISTS kpi_emails_sent (
   UNIQUE KEY uniq_empleado_periodo (empleado_id, anio, mes),
   FOREIGN KEY (empleado_id) REFERENCES empleados (id)
     ON DELETE CASCADE
-);
\ No newline at end of file
+);
+-- Contraseñas con hash (scrypt)
+-- El hash almacenado (scrypt$N$r$p$sal$hash) ocupa ~130 caracteres, por lo
+-- que se amplía la columna.  Las contraseñas existentes en texto plano se
+-- convierten a hash automáticamente en el siguiente inicio de sesión.
+ALTER TABLE empleados
+  MODIFY COLUMN password VARCHAR(255) NULL;
+
+-- Cambio obligatorio de contraseña
+-- Se marca cuando un administrador genera o resetea las credenciales de un
+-- empleado; el usuario debe elegir una nueva contraseña antes de usar el sistema.
+ALTER TABLE empleados
+  ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Tokens de recuperación de contraseña
+-- Sólo se guarda el hash SHA-256 del token enviado por correo.  Un token
+-- deja de ser válido al usarse (used_at), al caducar (expires_at) o cuando
+-- un administrador resetea la contraseña del empleado.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  empleado_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  solicitado_ip VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL,
+  UNIQUE KEY uniq_token_hash (token_hash),
+  KEY idx_empleado (empleado_id),
+  FOREIGN KEY (empleado_id) REFERENCES empleados (id)
+    ON DELETE CASCADE
+);
+
+-- Registro de intentos de inicio de sesión (protección contra fuerza bruta)
+-- Los fallos recientes por usuario o IP provocan retardos progresivos y
+-- bloqueos temporales.  limpiado = 1 marca los fallos que dejaron de
+-- contar tras un acceso exitoso o un desbloqueo manual.
+CREATE TABLE IF NOT EXISTS login_intentos (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(100) NOT NULL,
+  ip VARCHAR(45) NULL,
+  exito TINYINT(1) NOT NULL DEFAULT 0,
+  limpiado TINYINT(1) NOT NULL DEFAULT 0,
+  creado_el DATETIME NOT NULL,
+  KEY idx_username_fecha (username, creado_el),
+  KEY idx_ip_fecha (ip, creado_el)
+);
+
+-- Sesiones persistentes
+-- Almacén de express-session (services/sessionStore.js).  expires guarda
+-- la caducidad en milisegundos epoch.
+CREATE TABLE IF NOT EXISTS sesiones (
+  sid VARCHAR(128) NOT NULL PRIMARY KEY,
+  data MEDIUMTEXT NOT NULL,
+  expires BIGINT UNSIGNED NOT NULL,
+  KEY idx_expires (expires)
+);
+
+-- Registro de sesiones activas
+-- Columnas adicionales para listar y revocar sesiones por empleado.
+-- creado_el y ultima_actividad se guardan en milisegundos epoch.
+ALTER TABLE sesiones
+  ADD COLUMN empleado_id INT NULL,
+  ADD COLUMN ip VARCHAR(45) NULL,
+  ADD COLUMN user_agent VARCHAR(255) NULL,
+  ADD COLUMN creado_el BIGINT UNSIGNED NULL,
+  ADD COLUMN ultima_actividad BIGINT UNSIGNED NULL,
+  ADD KEY idx_empleado (empleado_id);
+
+-- Verificación en dos pasos (TOTP)
+-- totp_secret guarda el secreto en base32; totp_last_counter evita reutilizar
+-- el mismo código.  Los códigos de respaldo se guardan como hash SHA-256.
+ALTER TABLE empleados
+  ADD COLUMN totp_secret VARCHAR(64) NULL,
+  ADD COLUMN totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN totp_last_counter BIGINT NULL;
+
+CREATE TABLE IF NOT EXISTS totp_backup_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  empleado_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  KEY idx_empleado (empleado_id),
+  FOREIGN KEY (empleado_id) REFERENCES empleados (id)
+    ON DELETE CASCADE
+);
+
+-- Roles y permisos
+-- Cada puesto tiene un rol (puestos.role) y cada rol agrupa permisos con
+-- nombre (ver services/permissions.js).  Los roles del sistema (admin,
+-- manager, user) no pueden eliminarse; su matriz inicial equivale a los
+-- accesos anteriores.  El rol admin conserva siempre todos los permisos.
+ALTER TABLE puestos
+  MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'user';
+
+CREATE TABLE IF NOT EXISTS roles (
+  clave VARCHAR(50) NOT NULL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  descripcion VARCHAR(255) NULL,
+  es_sistema TINYINT(1) NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS rol_permisos (
+  rol_clave VARCHAR(50) NOT NULL,
+  permiso VARCHAR(80) NOT NULL,
+  PRIMARY KEY (rol_clave, permiso),
+  FOREIGN KEY (rol_clave) REFERENCES roles (clave)
+    ON DELETE CASCADE
+);
+
+INSERT IGNORE INTO roles (clave, nombre, descripcion, es_sistema) VALUES
+  ('admin', 'Administrador', 'Acceso total al sistema', 1),
+  ('manager', 'Gerente', 'Consulta de catálogos y gestión de resultados de todo el personal', 1),
+  ('user', 'Usuario', 'Captura de sus propios KPIs y los de su equipo', 1);
+
+INSERT IGNORE INTO rol_permisos (rol_clave, permiso) VALUES
+  ('manager', 'personal.view'),
+  ('manager', 'puestos.view'),
+  ('manager', 'kpi.view'),
+  ('manager', 'results.view.any'),
+  ('manager', 'results.edit.any'),
+  ('manager', 'results.approve.any');
+
+-- Alcance de gerentes por departamento y sucursal
+-- Si un empleado tiene filas aquí, sus permisos globales sobre resultados
+-- (results.*.any) sólo aplican al personal de esos departamentos o
+-- sucursales.  Cada fila indica un departamento o una sucursal.
+CREATE TABLE IF NOT EXISTS empleado_alcance (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  empleado_id INT NOT NULL,
+  departamento_id INT NULL,
+  sucursal_id INT NULL,
+  KEY idx_empleado (empleado_id),
+  FOREIGN KEY (empleado_id) REFERENCES empleados (id)
+    ON DELETE CASCADE,
+  FOREIGN KEY (departamento_id) REFERENCES departamentos (id)
+    ON DELETE CASCADE,
+  FOREIGN KEY (sucursal_id) REFERENCES sucursales (id)
+    ON DELETE CASCADE
+);
+
+-- Bitácora de auditoría
+-- Tabla de sólo inserción (services/audit.js).  actor_id es el usuario
+-- real que realizó la acción (durante "Ver como", el administrador);
+-- empleado_id es el empleado afectado.  detalle guarda datos adicionales
+-- en JSON.
+CREATE TABLE IF NOT EXISTS auditoria (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  creado_el DATETIME NOT NULL,
+  actor_id INT NULL,
+  actor_nombre VARCHAR(150) NULL,
+  accion VARCHAR(50) NOT NULL,
+  empleado_id INT NULL,
+  detalle TEXT NULL,
+  ip VARCHAR(45) NULL,
+  KEY idx_creado (creado_el),
+  KEY idx_actor (actor_id),
+  KEY idx_empleado (empleado_id),
+  KEY idx_accion (accion)
+);
+
+-- Auditoría de resultados
+-- Para capturas, aprobaciones y envíos a revisión se guarda el KPI, el
+-- periodo y los valores anterior y nuevo en columnas propias, de modo que
+-- la pantalla /auditoria pueda filtrar por ellos.
+ALTER TABLE auditoria
+  ADD COLUMN kpi_id INT NULL AFTER empleado_id,
+  ADD COLUMN anio INT NULL AFTER kpi_id,
+  ADD COLUMN mes INT NULL AFTER anio,
+  ADD COLUMN valor_anterior VARCHAR(255) NULL AFTER mes,
+  ADD COLUMN valor_nuevo VARCHAR(255) NULL AFTER valor_anterior,
+  ADD KEY idx_kpi_periodo (kpi_id, anio, mes);
+
+-- Cierre de periodos
+-- Un periodo (anio, mes) con cerrado = 1 queda congelado para todos los
+-- roles: no se permiten capturas, aprobaciones, envíos a revisión ni
+-- retroalimentación.  Se cierra y reabre desde el dashboard con el
+-- permiso periods.manage (services/periodLock.js).
+CREATE TABLE IF NOT EXISTS periodos_cierre (
+  anio INT NOT NULL,
+  mes INT NOT NULL,
+  cerrado TINYINT(1) NOT NULL DEFAULT 1,
+  cerrado_por INT NULL,
+  cerrado_el DATETIME NULL,
+  reabierto_por INT NULL,
+  reabierto_el DATETIME NULL,
+  PRIMARY KEY (anio, mes)
+);
+
+-- Versiones de la definición de KPIs
+-- Cada edición de objetivo, umbrales o criterios se guarda como una versión
+-- vigente desde un periodo (services/kpiVersions.js).  Para un mes dado se
+-- usa la última versión cuyo inicio no sea posterior a ese mes; la fila de
+-- kpis conserva la versión más reciente.
+CREATE TABLE IF NOT EXISTS kpi_versiones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kpi_id INT NOT NULL,
+  vigente_desde_anio INT NOT NULL,
+  vigente_desde_mes INT NOT NULL,
+  objetivo VARCHAR(255) NULL,
+  unidad VARCHAR(20) NULL,
+  rojo_min DECIMAL(12,2) NULL,
+  rojo_max DECIMAL(12,2) NULL,
+  amarillo_min DECIMAL(12,2) NULL,
+  amarillo_max DECIMAL(12,2) NULL,
+  verde_min DECIMAL(12,2) NULL,
+  verde_max DECIMAL(12,2) NULL,
+  score_type VARCHAR(20) NULL,
+  direction VARCHAR(20) NULL,
+  threshold_yellow DECIMAL(12,2) NULL,
+  threshold_green DECIMAL(12,2) NULL,
+  criterion_red VARCHAR(255) NULL,
+  criterion_yellow VARCHAR(255) NULL,
+  criterion_green VARCHAR(255) NULL,
+  creado_por INT NULL,
+  creado_el DATETIME NULL,
+  UNIQUE KEY uq_kpi_vigencia (kpi_id, vigente_desde_anio, vigente_desde_mes),
+  FOREIGN KEY (kpi_id) REFERENCES kpis (id)
+    ON DELETE CASCADE
+);
+
+-- La definición actual de cada KPI pasa a ser su versión inicial
+INSERT IGNORE INTO kpi_versiones (
+  kpi_id, vigente_desde_anio, vigente_desde_mes,
+  objetivo, unidad, rojo_min, rojo_max, amarillo_min, amarillo_max, verde_min, verde_max,
+  score_type, direction, threshold_yellow, threshold_green,
+  criterion_red, criterion_yellow, criterion_green, creado_el
+)
+SELECT id, 2000, 1,
+       objetivo, unidad, rojo_min, rojo_max, amarillo_min, amarillo_max, verde_min, verde_max,
+       score_type, direction, threshold_yellow, threshold_green,
+       criterion_red, criterion_yellow, criterion_green, NOW()
+FROM kpis;
+
+-- Escala de calificación
+-- Puntos, etiqueta y color (tono de Bootstrap) de cada nivel del semáforo.
+-- kpi_id = 0 es la escala general; un kpi_id distinto sobrescribe la escala
+-- para ese KPI.  minimo_total (sólo en la escala general) es el total
+-- ponderado a partir del cual el resultado final del mes toma ese nivel.
+-- La escala tiene dos o tres niveles: el nivel amarillo puede desactivarse.
+-- Como kpi_versiones, cada fila aplica desde vigente_desde_anio /
+-- vigente_desde_mes; en la escala de un KPI, una fila con nivel 'general'
+-- indica que desde ese mes vuelve a la escala general
+-- (services/scoringScale.js).
+CREATE TABLE IF NOT EXISTS escala_calificacion (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kpi_id INT NOT NULL DEFAULT 0,
+  nivel VARCHAR(10) NOT NULL,
+  vigente_desde_anio INT NOT NULL DEFAULT 2000,
+  vigente_desde_mes INT NOT NULL DEFAULT 1,
+  etiqueta VARCHAR(60) NOT NULL,
+  tono VARCHAR(20) NOT NULL,
+  puntos DECIMAL(7,2) NOT NULL,
+  minimo_total DECIMAL(7,2) NULL,
+  activo TINYINT(1) NOT NULL DEFAULT 1,
+  UNIQUE KEY uq_escala_kpi_nivel (kpi_id, nivel, vigente_desde_anio, vigente_desde_mes)
+);
+
+-- Escala general equivalente a los puntajes anteriores (40/70/100)
+INSERT IGNORE INTO escala_calificacion (kpi_id, nivel, etiqueta, tono, puntos, minimo_total, activo) VALUES
+  (0, 'rojo', 'Rojo', 'danger', 40, 0, 1),
+  (0, 'amarillo', 'Amarillo', 'warning', 70, 40, 1),
+  (0, 'verde', 'Verde', 'success', 100, 70, 1);
+
+-- Puntaje proporcional
+-- score_mode = 'CONTINUOUS' (sólo KPIs numéricos o porcentuales) interpola
+-- el puntaje: 0 puntos en score_floor y los puntos del nivel verde en la
+-- meta (threshold_green).  score_cap es el puntaje máximo por encima de la
+-- meta, en % de los puntos de la meta (NULL = sin excedente).  El color del
+-- semáforo sigue calculándose con los umbrales.  Forma parte de la
+-- definición versionada.
+ALTER TABLE kpis
+  ADD COLUMN score_mode VARCHAR(12) NOT NULL DEFAULT 'STEP',
+  ADD COLUMN score_floor DECIMAL(12,2) NULL,
+  ADD COLUMN score_cap DECIMAL(7,2) NULL;
+
+ALTER TABLE kpi_versiones
+  ADD COLUMN score_mode VARCHAR(12) NOT NULL DEFAULT 'STEP',
+  ADD COLUMN score_floor DECIMAL(12,2) NULL,
+  ADD COLUMN score_cap DECIMAL(7,2) NULL;
+
+-- KPIs calculados por fórmula
+-- score_type = 'FORMULA': el valor se calcula a partir de los resultados
+-- de otros KPIs del mismo empleado y periodo, p. ej. {12} / {15} * 100
+-- (ids de kpis entre llaves; ver services/kpiFormula.js).  Se califica con
+-- los umbrales como un KPI numérico.  Forma parte de la definición versionada.
+ALTER TABLE kpis
+  ADD COLUMN formula VARCHAR(500) NULL;
+
+ALTER TABLE kpi_versiones
+  ADD COLUMN formula VARCHAR(500) NULL;
+
+-- Periodicidad de KPIs
+-- periodicidad: Semanal | Mensual | Trimestral | Semestral | Anual.  Los
+-- trimestrales, semestrales y anuales se capturan una vez por periodo y el
+-- resultado se guarda en kpi_resultados en el último mes del periodo (3, 6,
+-- 9, 12...).  Los semanales se capturan por semana en kpi_resultados_semana
+-- y el resultado del mes es el agregado de sus semanas según agregacion
+-- (SUMA | PROMEDIO | ULTIMO).  Una semana pertenece al mes de su jueves
+-- (services/kpiPeriodicity.js).  Periodicidad y agregación son parte de la
+-- definición versionada: cambiarlas no altera los meses anteriores.
+ALTER TABLE kpis
+  MODIFY COLUMN periodicidad VARCHAR(12) NOT NULL DEFAULT 'Mensual',
+  ADD COLUMN agregacion VARCHAR(10) NULL;
+
+ALTER TABLE kpi_versiones
+  ADD COLUMN periodicidad VARCHAR(12) NOT NULL DEFAULT 'Mensual',
+  ADD COLUMN agregacion VARCHAR(10) NULL;
+
+UPDATE kpi_versiones v
+JOIN kpis k ON k.id = v.kpi_id
+SET v.periodicidad = k.periodicidad,
+    v.agregacion = k.agregacion;
+
+CREATE TABLE IF NOT EXISTS kpi_resultados_semana (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  empleado_id INT NOT NULL,
+  kpi_id INT NOT NULL,
+  anio INT NOT NULL,
+  mes INT NOT NULL,
+  semana TINYINT NOT NULL,
+  valor VARCHAR(255) NULL,
+  actualizado_por INT NULL,
+  actualizado_el DATETIME NULL,
+  UNIQUE KEY uq_resultado_semana (empleado_id, kpi_id, anio, mes, semana),
+  KEY idx_semana_periodo (anio, mes)
+);
+
+-- Metas particulares de KPIs
+-- Sustituyen los umbrales (threshold_yellow / threshold_green) de la fila de
+-- kpis para una sucursal, un puesto o un colaborador.  alcance: empleado |
+-- puesto | sucursal; referencia_id es el id de la fila correspondiente.  Si
+-- a un empleado le aplican varias gana la más específica (empleado, puesto,
+-- sucursal).  Sólo para KPIs calificados por umbrales.  Como kpi_versiones,
+-- cada fila aplica desde vigente_desde_anio / vigente_desde_mes; una fila
+-- sin umbrales quita la meta a partir de ese mes (services/kpiTargets.js).
+CREATE TABLE IF NOT EXISTS kpi_metas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kpi_id INT NOT NULL,
+  alcance VARCHAR(10) NOT NULL,
+  referencia_id INT NOT NULL,
+  vigente_desde_anio INT NOT NULL DEFAULT 2000,
+  vigente_desde_mes INT NOT NULL DEFAULT 1,
+  threshold_yellow DECIMAL(12,2) NULL,
+  threshold_green DECIMAL(12,2) NULL,
+  actualizado_por INT NULL,
+  actualizado_el DATETIME NULL,
+  UNIQUE KEY uq_kpi_meta (kpi_id, alcance, referencia_id, vigente_desde_anio, vigente_desde_mes)
+);
+
+-- Calendario mensual de metas
+-- Para KPIs estacionales: umbrales (y opcionalmente el texto del objetivo)
+-- de cada mes de un año.  sucursal_id = 0 es el calendario general; el de
+-- una sucursal tiene prioridad.  Un mes sin fila usa la definición del KPI
+-- y las metas particulares (kpi_metas) siguen teniendo prioridad.  Se carga
+-- desde Excel en /kpis/calendario (services/kpiCalendar.js).
+CREATE TABLE IF NOT EXISTS kpi_calendario (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kpi_id INT NOT NULL,
+  anio INT NOT NULL,
+  mes TINYINT NOT NULL,
+  sucursal_id INT NOT NULL DEFAULT 0,
+  objetivo VARCHAR(255) NULL,
+  threshold_yellow DECIMAL(12,2) NOT NULL,
+  threshold_green DECIMAL(12,2) NOT NULL,
+  actualizado_por INT NULL,
+  actualizado_el DATETIME NULL,
+  UNIQUE KEY uq_kpi_calendario (kpi_id, anio, mes, sucursal_id)
+);
+
+-- Biblioteca corporativa de KPIs y clonación entre departamentos
+-- corporativo = 1 marca un KPI de la biblioteca: no tiene departamento y
+-- se puede asignar a puestos de cualquier departamento.  origen_kpi_id liga
+-- una copia (Clonar a departamento(s)) con su KPI original para poder
+-- propagarle los cambios de definición.  Las metas particulares y el
+-- calendario de metas no se copian.
+ALTER TABLE kpis
+  MODIFY COLUMN departamento_id INT NULL,
+  ADD COLUMN corporativo TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN origen_kpi_id INT NULL,
+  ADD KEY idx_kpis_origen (origen_kpi_id);
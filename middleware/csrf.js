@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+/*
+ * Protección CSRF (Cross-Site Request Forgery).
+ *
+ * Se genera un token aleatorio por sesión que se expone a las vistas
+ * como res.locals.csrfToken.  El token se crea la primera vez que una
+ * vista lo usa (al renderizar una página con formularios), no en cada
+ * petición: así las peticiones anónimas que no muestran un formulario
+ * (redirecciones, archivos, JSON) no crean una sesión, como pide
+ * saveUninitialized: false.  Toda petición que modifica datos
+ * (POST/PUT/PATCH/DELETE) debe enviarlo en el campo oculto `_csrf` de
+ * los formularios o en la cabecera `X-CSRF-Token` de las peticiones
+ * fetch.  Si el token falta o no coincide, la petición se rechaza: con
+ * un 403 en JSON para peticiones AJAX o con un mensaje flash y
+ * redirección para formularios normales.
+ */
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function ensureToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, received) {
+  if (!expected || !received) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function wantsJson(req) {
+  return (
+    req.xhr ||
+    String(req.headers.accept || '').includes('application/json') ||
+    String(req.headers['content-type'] || '').includes('application/json') ||
+    String(req.headers['x-requested-with'] || '') !== ''
+  );
+}
+
+module.exports = function csrfProtection(req, res, next) {
+  Object.defineProperty(res.locals, 'csrfToken', {
+    enumerable: true,
+    configurable: true,
+    get: () => ensureToken(req)
+  });
+  if (SAFE_METHODS.has(req.method)) {
+    return next();
+  }
+  // Sin token en la sesión no se mostró ningún formulario: se rechaza
+  const received = (req.body && req.body._csrf) || req.get('X-CSRF-Token');
+  if (tokensMatch(req.session.csrfToken, received)) {
+    return next();
+  }
+  const message = 'La sesión expiró o la solicitud no es válida. Recargue la página e intente de nuevo.';
+  if (wantsJson(req)) {
+    return res.status(403).json({ ok: false, success: false, error: message });
+  }
+  req.flash('error', message);
+  return res.redirect(req.get('Referer') || '/login');
+};
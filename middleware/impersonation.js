@@ -0,0 +1,56 @@
+/*
+ * Modo "Ver como" (suplantación de un empleado por un administrador).
+ *
+ * Mientras está activo, req.session.user es el empleado suplantado y
+ * req.session.impersonator el administrador real.  Este middleware:
+ *   - expone res.locals.impersonation para mostrar el aviso en el header
+ *   - en modo sólo lectura rechaza toda petición que modifique datos,
+ *     excepto la salida del modo (POST /ver-como/salir)
+ *   - impide en todo caso administrar la contraseña, la verificación en
+ *     dos pasos o las sesiones de la cuenta suplantada, y descargar
+ *     respaldos o exportaciones (aun siendo peticiones GET)
+ */
+
+const EXIT_PATH = '/ver-como/salir';
+const BLOCKED_PATHS = [
+  '/cambiar-password', '/2fa', '/sesiones',
+  '/personal/db-backup', '/auditoria/exportar', '/dashboard/export'
+];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function wantsJson(req) {
+  return req.xhr ||
+    String(req.headers.accept || '').includes('application/json') ||
+    String(req.headers['content-type'] || '').includes('application/json') ||
+    String(req.headers['x-requested-with'] || '') !== '';
+}
+
+function reject(req, res, msg) {
+  if (wantsJson(req)) {
+    return res.status(403).json({ ok: false, success: false, error: msg });
+  }
+  req.flash('error', msg);
+  return res.redirect(req.get('Referer') || '/dashboard');
+}
+
+module.exports = function impersonationGuard(req, res, next) {
+  const info = req.session && req.session.impersonation;
+  res.locals.impersonation = null;
+  if (!info || !req.session.impersonator) return next();
+
+  res.locals.impersonation = {
+    nombre: req.session.user ? req.session.user.nombre : '',
+    adminNombre: req.session.impersonator.nombre,
+    readOnly: info.readOnly
+  };
+
+  const path = String(req.originalUrl || '').split('?')[0];
+  if (path === EXIT_PATH) return next();
+  if (BLOCKED_PATHS.some(p => path === p || path.startsWith(p + '/'))) {
+    return reject(req, res, 'Esta sección no está disponible en modo "Ver como"');
+  }
+  if (info.readOnly && !SAFE_METHODS.includes(req.method)) {
+    return reject(req, res, 'Modo "Ver como" de sólo lectura: no se guardaron cambios');
+  }
+  return next();
+};
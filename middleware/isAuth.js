@@ -1,11 +1,37 @@
 /*
  * Middleware para verificar si el usuario ha iniciado sesión.
  * Si no existe una sesión activa, redirige al formulario de login.
+ * Si el usuario tiene un paso obligatorio pendiente, sólo se le
+ * permite acceder a la página correspondiente:
+ *   - cambio de contraseña (credenciales generadas o reseteadas por un
+ *     administrador)
+ *   - alta de verificación en dos pasos (puestos que la requieren)
  */
 
+const PASSWORD_CHANGE_PATH = '/cambiar-password';
+const TWO_FACTOR_SETUP_PATH = '/2fa';
+
+function pendingStepPath(user) {
+  if (user.must_change_password) return PASSWORD_CHANGE_PATH;
+  if (user.must_enroll_2fa) return TWO_FACTOR_SETUP_PATH;
+  return null;
+}
+
 module.exports = function isAuthenticated(req, res, next) {
   if (req.session && req.session.user) {
+    const path = String(req.originalUrl || '').split('?')[0];
+    const required = pendingStepPath(req.session.user);
+    if (required && path !== required && !path.startsWith(required + '/')) {
+      const wantsJson =
+        req.xhr ||
+        String(req.headers.accept || '').includes('application/json') ||
+        String(req.headers['x-requested-with'] || '') !== '';
+      if (wantsJson) {
+        return res.status(403).json({ ok: false, error: 'Debe completar la configuración de su cuenta antes de continuar' });
+      }
+      return res.redirect(required);
+    }
     return next();
   }
   return res.redirect('/login');
-};
\ No newline at end of file
+};
@@ -1,35 +1,43 @@
+const permissions = require('../services/permissions');
+
 /*
- * Middleware y utilidades relacionadas con los roles de usuario.
+ * Middleware y utilidades relacionadas con los permisos de usuario.
  *
- * Este módulo expone funciones para comprobar que el usuario
- * conectado cuenta con alguno de los roles permitidos antes de
- * continuar con la ejecución de la ruta.  Si el usuario no
- * tiene una sesión activa o su rol no está dentro de la lista
- * proporcionada, se redirige al dashboard y se muestra un
- * mensaje de error.
+ * Cada rol (puestos.role) agrupa permisos con nombre, por ejemplo
+ * `kpi.edit` o `personal.import` (ver services/permissions.js).  Este
+ * módulo expone un middleware que comprueba que el usuario conectado
+ * cuenta con el permiso requerido antes de continuar con la ejecución
+ * de la ruta.  Si el usuario no tiene una sesión activa se le envía al
+ * login; si no tiene el permiso se redirige al dashboard con un mensaje
+ * de error.
  */
 
 /**
- * Crea un middleware que permite el acceso únicamente a los
- * usuarios cuyo rol esté en el arreglo proporcionado.
+ * Crea un middleware que permite el acceso únicamente a los usuarios
+ * con alguno de los permisos indicados.
  *
- * @param {string[]} roles - Lista de roles autorizados (por ejemplo ['admin', 'manager']).
+ * @param {string|string[]} required - Permiso o lista de permisos (basta con uno),
+ *   por ejemplo 'kpi.edit' o ['personal.view', 'personal.edit'].
  * @returns {Function} Middleware de Express.
  */
-function requireRole(roles) {
+function requirePermission(required) {
+  const list = Array.isArray(required) ? required : [required];
   return function (req, res, next) {
     // Si no hay usuario en sesión, redirigir a login
     if (!req.session || !req.session.user) {
       return res.redirect('/login');
     }
-    const userRole = req.session.user.role || 'user';
-    if (roles.includes(userRole)) {
-      return next();
-    }
-    // Usuario no autorizado
-    req.flash('error', 'No tiene permisos para acceder a esta sección');
-    return res.redirect('/dashboard');
+    permissions.ensureLoaded()
+      .then(() => {
+        if (list.some(p => permissions.can(req.session.user, p))) {
+          return next();
+        }
+        // Usuario no autorizado
+        req.flash('error', 'No tiene permisos para acceder a esta sección');
+        return res.redirect('/dashboard');
+      })
+      .catch(next);
   };
 }
 
-module.exports = { requireRole };
\ No newline at end of file
+module.exports = { requirePermission };
@@ -0,0 +1,43 @@
+const audit = require('../services/audit');
+
+/*
+ * Middleware de caducidad absoluta de la sesión.
+ *
+ * La inactividad se controla con la vigencia de la cookie (rolling), pero
+ * una sesión con actividad constante podría durar indefinidamente.  Este
+ * middleware cierra la sesión cuando han pasado más de `maxAgeMs`
+ * milisegundos desde el inicio de sesión (req.session.loginAt), sin
+ * importar la actividad.
+ *
+ * @param {number} maxAgeMs - duración máxima de la sesión en milisegundos
+ * @returns {Function} Middleware de Express.
+ */
+module.exports = function sessionTimeout(maxAgeMs) {
+  return function (req, res, next) {
+    if (!req.session || !req.session.user) {
+      return next();
+    }
+    if (!req.session.loginAt) {
+      // Sesiones creadas antes de registrar la hora de acceso
+      req.session.loginAt = Date.now();
+      return next();
+    }
+    if (Date.now() - req.session.loginAt <= maxAgeMs) {
+      return next();
+    }
+    // Si caduca en modo "Ver como", se registra su fin antes de perderlo
+    return audit.logImpersonationStop(req, { expirada: true }).then(() => req.session.regenerate((err) => {
+      if (err) return next(err);
+      const message = 'Su sesión expiró. Inicie sesión nuevamente.';
+      const wantsJson =
+        req.xhr ||
+        String(req.headers.accept || '').includes('application/json') ||
+        String(req.headers['x-requested-with'] || '') !== '';
+      if (wantsJson) {
+        return res.status(401).json({ ok: false, success: false, error: message });
+      }
+      req.flash('error', message);
+      return res.redirect('/login');
+    }));
+  };
+};
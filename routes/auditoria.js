@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const ExcelJS = require('exceljs');
+const isAuth = require('../middleware/isAuth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../services/audit');
+
+const PAGE_SIZE = 100;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Filtros de búsqueda a partir del querystring (se ignoran valores inválidos)
+function filtersFromQuery(query) {
+  const toInt = (v) => {
+    const n = parseInt(String(v || ''), 10);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+  const desde = String(query.desde || '').trim();
+  const hasta = String(query.hasta || '').trim();
+  const accion = String(query.accion || '').trim();
+  return {
+    desde: DATE_RE.test(desde) ? desde : '',
+    hasta: DATE_RE.test(hasta) ? hasta : '',
+    actor: String(query.actor || '').trim(),
+    empleado: String(query.empleado || '').trim(),
+    accion: Object.prototype.hasOwnProperty.call(audit.ACTIONS, accion) ? accion : '',
+    kpiId: toInt(query.kpi_id),
+    anio: toInt(query.anio),
+    mes: toInt(query.mes)
+  };
+}
+
+function fmtDate(d) {
+  if (!d) return '';
+  const dt = d instanceof Date ? d : new Date(d);
+  if (Number.isNaN(dt.getTime())) return String(d);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${dt.getFullYear()}-${pad(dt.getMonth() + 1)}-${pad(dt.getDate())} ${pad(dt.getHours())}:${pad(dt.getMinutes())}:${pad(dt.getSeconds())}`;
+}
+
+/*
+ * Ruta GET /auditoria
+ * Consulta de la bitácora de auditoría con filtros por fechas, actor,
+ * empleado, acción, KPI y periodo.  Muestra PAGE_SIZE eventos por
+ * página, del más reciente al más antiguo.  Requiere el permiso audit.view.
+ */
+router.get('/', isAuth, requirePermission('audit.view'), async (req, res) => {
+  const filters = filtersFromQuery(req.query);
+  const page = Math.max(1, parseInt(String(req.query.page || '1'), 10) || 1);
+  try {
+    const { rows, total } = await audit.searchEvents(filters, {
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    });
+    // Querystring de los filtros para la paginación y la exportación
+    const qs = new URLSearchParams();
+    Object.entries(req.query).forEach(([k, v]) => {
+      if (k !== 'page' && v !== undefined && String(v) !== '') qs.set(k, String(v));
+    });
+    res.render('auditoria', {
+      title: 'Auditoría',
+      eventos: rows,
+      total,
+      page,
+      pages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+      filters,
+      query: qs.toString(),
+      actions: audit.ACTIONS,
+      fmtDate
+    });
+  } catch (err) {
+    console.error('Error al consultar la auditoría:', err);
+    req.flash('error', 'No se pudo cargar la bitácora de auditoría');
+    return res.redirect('/dashboard');
+  }
+});
+
+/*
+ * Ruta GET /auditoria/exportar
+ * Exporta a Excel todos los eventos que cumplen los filtros.
+ */
+router.get('/exportar', isAuth, requirePermission('audit.view'), async (req, res) => {
+  const filters = filtersFromQuery(req.query);
+  try {
+    const { rows } = await audit.searchEvents(filters);
+
+    const wb = new ExcelJS.Workbook();
+    wb.creator = 'KPI Manager CHC';
+    wb.created = new Date();
+    const ws = wb.addWorksheet('Auditoría');
+    ws.columns = [
+      { header: 'Fecha', key: 'fecha', width: 20 },
+      { header: 'Actor', key: 'actor', width: 30 },
+      { header: 'Acción', key: 'accion', width: 26 },
+      { header: 'No. Empleado', key: 'incidencia_id', width: 14 },
+      { header: 'Empleado', key: 'empleado', width: 30 },
+      { header: 'KPI', key: 'kpi', width: 30 },
+      { header: 'Año', key: 'anio', width: 8 },
+      { header: 'Mes', key: 'mes', width: 6 },
+      { header: 'Valor anterior', key: 'valor_anterior', width: 16 },
+      { header: 'Valor nuevo', key: 'valor_nuevo', width: 16 },
+      { header: 'Detalle', key: 'detalle', width: 60 },
+      { header: 'IP', key: 'ip', width: 16 }
+    ];
+    ws.getRow(1).font = { bold: true };
+    rows.forEach(r => {
+      ws.addRow({
+        fecha: fmtDate(r.creado_el),
+        actor: r.actor_nombre || '',
+        accion: audit.ACTIONS[r.accion] || r.accion,
+        incidencia_id: r.incidencia_id || '',
+        empleado: r.empleado_nombre || '',
+        kpi: r.kpi_nombre || (r.kpi_id ? `#${r.kpi_id}` : ''),
+        anio: r.anio || '',
+        mes: r.mes || '',
+        valor_anterior: r.valor_anterior || '',
+        valor_nuevo: r.valor_nuevo || '',
+        detalle: r.detalle || '',
+        ip: r.ip || ''
+      });
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Auditoria_${stamp}.xlsx"`);
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error('Error al exportar la auditoría:', err);
+    return res.status(500).send('No se pudo exportar');
+  }
+});
+
+module.exports = router;
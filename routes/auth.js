@@ -1,6 +1,90 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../db');
+const isAuth = require('../middleware/isAuth');
+const { hashPassword, verifyPassword } = require('../services/passwords');
+const passwordReset = require('../services/passwordReset');
+const loginThrottle = require('../services/loginThrottle');
+const { revokeEmployeeSessions } = require('../services/sessionStore');
+const totp = require('../services/totp');
+const authProviders = require('../services/authProviders');
+const oidcAuth = require('../services/oidcAuth');
+const audit = require('../services/audit');
+
+// Tiempo máximo para volver del proveedor OIDC.
+const OIDC_PENDING_MS = 10 * 60 * 1000;
+
+// Longitud mínima para contraseñas elegidas por el usuario.
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10) || 8;
+
+// Tiempo máximo para capturar el segundo factor y número de intentos.
+const TWO_FACTOR_PENDING_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// Genera un identificador de sesión nuevo al autenticarse para evitar
+// la fijación de sesión (session fixation).
+function regenerateSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Crea la sesión del empleado ya autenticado (contraseña y, en su caso,
+ * segundo factor) y redirige a la página que corresponda: cambio de
+ * contraseña obligatorio, alta de 2FA obligatoria o dashboard.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} row - fila obtenida con authProviders.LOGIN_SELECT
+ * @param {string} provider - proveedor que autenticó (local, ldap, ...)
+ * @param {string} [notice] - aviso adicional para mostrar tras el acceso
+ */
+async function completeLogin(req, res, row, provider, notice) {
+  const ip = req.ip;
+  await regenerateSession(req);
+  // Permite al almacén insertar la sesión nueva (services/sessionStore.js)
+  req.session.newLogin = true;
+  req.session.loginAt = Date.now();
+  req.session.client = { ip, userAgent: req.get('User-Agent') || '' };
+  // usuario válido: guardamos la información mínima en sesión
+  const role = row.puesto_role || 'user';
+  req.session.user = {
+    id: row.id,
+    nombre: row.nombre,
+    puesto_id: row.puesto_id,
+    departamento_id: row.departamento_id,
+    username: row.username,
+    puesto_nombre: row.puesto_nombre,
+    departamento_nombre: row.departamento_nombre,
+    role,
+    auth_provider: provider,
+    // El cambio obligatorio sólo aplica a la contraseña local
+    must_change_password: provider === 'local' && !!row.must_change_password,
+    must_enroll_2fa: !row.totp_enabled && totp.isTotpRequiredForRole(role)
+  };
+  if (notice) {
+    req.flash('error', notice);
+  }
+  if (req.session.user.must_change_password) {
+    req.flash('error', 'Debe cambiar su contraseña antes de continuar');
+    return res.redirect('/cambiar-password');
+  }
+  if (req.session.user.must_enroll_2fa) {
+    req.flash('error', 'Su puesto requiere verificación en dos pasos. Configúrela para continuar.');
+    return res.redirect('/2fa');
+  }
+  // Mensaje de bienvenida con puesto y departamento
+  let welcomeMsg = 'Bienvenido ' + row.nombre;
+  if (row.puesto_nombre) {
+    welcomeMsg += ' - ' + row.puesto_nombre;
+  }
+  if (row.departamento_nombre) {
+    welcomeMsg += ' (' + row.departamento_nombre + ')';
+  }
+  req.flash('success', welcomeMsg);
+  return res.redirect('/dashboard');
+}
 
 /*
  * Ruta GET /login
@@ -11,15 +95,24 @@ router.get('/login', (req, res) => {
   if (req.session.user) {
     return res.redirect('/dashboard');
   }
-  res.render('login', { title: 'Acceso al sistema' });
+  res.render('login', {
+    title: 'Acceso al sistema',
+    oidcEnabled: oidcAuth.isConfigured(),
+    oidcLabel: oidcAuth.buttonLabel()
+  });
 });
 
 /*
  * Ruta POST /login
- * Procesa las credenciales enviadas por el usuario, comprueba la
- * existencia de un registro coincidente y crea la sesión.  Los
- * passwords se almacenan en texto plano de acuerdo a la petición del
- * usuario.  En caso de error, se muestra un mensaje flash.
+ * Procesa las credenciales enviadas por el usuario y crea la sesión.
+ * La validación se delega a los proveedores de autenticación
+ * (services/authProviders.js): credenciales locales con hash scrypt y,
+ * si está configurado, el directorio LDAP corporativo.
+ * Los intentos fallidos se registran por usuario e IP para aplicar
+ * retardos progresivos y bloqueos temporales (services/loginThrottle.js).
+ * Si el empleado tiene 2FA activo, la sesión queda pendiente hasta
+ * capturar el código en /login/2fa.
+ * En caso de error, se muestra un mensaje flash.
  */
 router.post('/login', async (req, res) => {
   const { username, password } = req.body;
@@ -27,41 +120,39 @@ router.post('/login', async (req, res) => {
     req.flash('error', 'Debe proporcionar usuario y contraseña');
     return res.redirect('/login');
   }
+  const ip = req.ip;
   try {
-    // Incluir nombre del puesto y del departamento para mostrar en la interfaz
-    const [rows] = await pool.execute(
-      `SELECT e.id, e.nombre, e.username, e.puesto_id, e.departamento_id,
-              p.nombre AS puesto_nombre, d.nombre AS departamento_nombre,
-              p.role AS puesto_role
-       FROM empleados e
-       LEFT JOIN puestos p ON e.puesto_id = p.id
-       LEFT JOIN departamentos d ON e.departamento_id = d.id
-       WHERE e.username = ? AND e.password = ? AND e.login_enabled = 1`,
-      [username, password]
-    );
-    if (rows.length === 1) {
-      // usuario válido: guardamos la información mínima en sesión
-      req.session.user = {
-        id: rows[0].id,
-        nombre: rows[0].nombre,
-        puesto_id: rows[0].puesto_id,
-        departamento_id: rows[0].departamento_id,
-        username: rows[0].username,
-        puesto_nombre: rows[0].puesto_nombre,
-        departamento_nombre: rows[0].departamento_nombre,
-        role: rows[0].puesto_role || 'user'
-      };
-      // Mensaje de bienvenida con puesto y departamento
-      let welcomeMsg = 'Bienvenido ' + rows[0].nombre;
-      if (rows[0].puesto_nombre) {
-        welcomeMsg += ' - ' + rows[0].puesto_nombre;
-      }
-      if (rows[0].departamento_nombre) {
-        welcomeMsg += ' (' + rows[0].departamento_nombre + ')';
+    const lock = await loginThrottle.getLockStatus(username, ip);
+    if (lock.locked) {
+      await loginThrottle.sleep(loginThrottle.delayForFailures(Math.max(lock.userFailures, lock.ipFailures)));
+      req.flash(
+        'error',
+        `Acceso bloqueado temporalmente por demasiados intentos fallidos. Intente de nuevo en ${loginThrottle.LOCKOUT_MINUTES} minutos o contacte a un administrador.`
+      );
+      return res.redirect('/login');
+    }
+
+    // Proveedores configurados (local, LDAP...) en orden; devuelve el
+    // empleado con nombre de puesto y departamento para la interfaz.
+    const auth = await authProviders.authenticate(username, password);
+    if (auth) {
+      const { row, provider } = auth;
+      if (row.totp_enabled) {
+        // Segundo paso: la sesión aún no se considera autenticada
+        req.session.pending2fa = {
+          empleadoId: row.id,
+          username,
+          provider,
+          createdAt: Date.now(),
+          attempts: 0
+        };
+        return res.redirect('/login/2fa');
       }
-      req.flash('success', welcomeMsg);
-      return res.redirect('/dashboard');
+      await loginThrottle.registerSuccess(username, ip);
+      return completeLogin(req, res, row, provider);
     }
+    const failures = await loginThrottle.registerFailure(username, ip);
+    await loginThrottle.sleep(loginThrottle.delayForFailures(failures));
     req.flash('error', 'Usuario o contraseña incorrecta');
     return res.redirect('/login');
   } catch (error) {
@@ -71,11 +162,338 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/*
+ * Ruta GET /login/oidc
+ * Inicia el acceso con la cuenta corporativa (OpenID Connect, flujo
+ * authorization code con PKCE).  Guarda en la sesión los valores de
+ * verificación y redirige al proveedor.
+ */
+router.get('/login/oidc', async (req, res) => {
+  if (req.session.user) {
+    return res.redirect('/dashboard');
+  }
+  if (!oidcAuth.isConfigured()) {
+    req.flash('error', 'El acceso con cuenta corporativa no está habilitado');
+    return res.redirect('/login');
+  }
+  try {
+    const { url, checks } = await oidcAuth.beginLogin(oidcAuth.redirectUriFor(req));
+    req.session.oidc = checks;
+    return req.session.save(err => {
+      if (err) {
+        console.error('Error al guardar la sesión OIDC:', err);
+        req.flash('error', 'No se pudo iniciar el acceso con cuenta corporativa');
+        return res.redirect('/login');
+      }
+      return res.redirect(url);
+    });
+  } catch (error) {
+    console.error('Error al iniciar el acceso OIDC:', error);
+    req.flash('error', 'No se pudo conectar con el proveedor de identidad');
+    return res.redirect('/login');
+  }
+});
+
+/*
+ * Ruta GET /login/oidc/callback
+ * Retorno del proveedor OIDC.  Valida state, nonce y PKCE, relaciona el
+ * claim email con empleados.correo (sólo cuentas con login_enabled) y
+ * completa el inicio de sesión.  Si el empleado tiene 2FA activo se
+ * solicita el código igual que en el acceso con contraseña.
+ */
+router.get('/login/oidc/callback', async (req, res) => {
+  const checks = req.session.oidc;
+  delete req.session.oidc;
+  if (!checks || Date.now() - checks.createdAt > OIDC_PENDING_MS) {
+    req.flash('error', 'La solicitud de acceso expiró. Intente de nuevo.');
+    return res.redirect('/login');
+  }
+  if (req.query.error) {
+    console.error('El proveedor OIDC rechazó el acceso:', req.query.error, req.query.error_description || '');
+    req.flash('error', 'El proveedor de identidad no autorizó el acceso');
+    return res.redirect('/login');
+  }
+  try {
+    const email = await oidcAuth.completeLogin(req, checks);
+    const row = email ? await authProviders.findLoginRowByIdentity({ email }) : null;
+    if (!row) {
+      req.flash('error', 'Su cuenta corporativa no está asociada a un empleado con acceso al sistema');
+      return res.redirect('/login');
+    }
+    if (row.totp_enabled) {
+      req.session.pending2fa = {
+        empleadoId: row.id,
+        username: row.username || email,
+        provider: oidcAuth.name,
+        createdAt: Date.now(),
+        attempts: 0
+      };
+      return res.redirect('/login/2fa');
+    }
+    return completeLogin(req, res, row, oidcAuth.name);
+  } catch (error) {
+    console.error('Error en el retorno OIDC:', error);
+    req.flash('error', 'No se pudo validar el acceso con cuenta corporativa');
+    return res.redirect('/login');
+  }
+});
+
+// Devuelve el segundo paso pendiente si sigue vigente.
+function getPending2fa(req) {
+  const pending = req.session.pending2fa;
+  if (!pending) return null;
+  if (Date.now() - pending.createdAt > TWO_FACTOR_PENDING_MS) {
+    delete req.session.pending2fa;
+    return null;
+  }
+  return pending;
+}
+
+/*
+ * Ruta GET /login/2fa
+ * Segundo paso del inicio de sesión: captura del código TOTP o de un
+ * código de respaldo.
+ */
+router.get('/login/2fa', (req, res) => {
+  if (req.session.user) {
+    return res.redirect('/dashboard');
+  }
+  if (!getPending2fa(req)) {
+    req.flash('error', 'Inicie sesión nuevamente');
+    return res.redirect('/login');
+  }
+  res.render('login_2fa', { title: 'Verificación en dos pasos' });
+});
+
+/*
+ * Ruta POST /login/2fa
+ * Valida el segundo factor y completa el inicio de sesión.  Tras
+ * TWO_FACTOR_MAX_ATTEMPTS intentos fallidos se descarta el paso
+ * pendiente y el usuario debe volver a capturar su contraseña.
+ */
+router.post('/login/2fa', async (req, res) => {
+  const pending = getPending2fa(req);
+  if (!pending) {
+    req.flash('error', 'Inicie sesión nuevamente');
+    return res.redirect('/login');
+  }
+  const ip = req.ip;
+  try {
+    const result = await totp.verifySecondFactor(pending.empleadoId, req.body.code);
+    if (!result.ok) {
+      pending.attempts += 1;
+      const failures = await loginThrottle.registerFailure(pending.username, ip);
+      await loginThrottle.sleep(loginThrottle.delayForFailures(failures));
+      if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        delete req.session.pending2fa;
+        req.flash('error', 'Demasiados códigos incorrectos. Inicie sesión nuevamente.');
+        return res.redirect('/login');
+      }
+      req.flash('error', 'Código incorrecto');
+      return res.redirect('/login/2fa');
+    }
+    const row = await authProviders.findLoginRowById(pending.empleadoId);
+    if (!row) {
+      delete req.session.pending2fa;
+      req.flash('error', 'Usuario o contraseña incorrecta');
+      return res.redirect('/login');
+    }
+    await loginThrottle.registerSuccess(pending.username, ip);
+    let notice = null;
+    if (result.usedBackup) {
+      const remaining = await totp.countUnusedBackupCodes(pending.empleadoId);
+      notice = `Usó un código de respaldo. Le quedan ${remaining}; puede generar nuevos desde "Verificación en dos pasos".`;
+    }
+    return completeLogin(req, res, row, pending.provider || 'local', notice);
+  } catch (error) {
+    console.error('Error en verificación en dos pasos:', error);
+    req.flash('error', 'Error de conexión con la base de datos');
+    return res.redirect('/login');
+  }
+});
+
+/*
+ * Ruta GET /cambiar-password
+ * Muestra el formulario para que el usuario conectado cambie su
+ * contraseña.  También es la única página accesible mientras el
+ * usuario tenga pendiente el cambio obligatorio (ver middleware/isAuth).
+ */
+router.get('/cambiar-password', isAuth, (req, res) => {
+  res.render('cambiar_password', {
+    title: 'Cambiar contraseña',
+    forced: !!req.session.user.must_change_password,
+    minLength: PASSWORD_MIN_LENGTH
+  });
+});
+
+/*
+ * Ruta POST /cambiar-password
+ * Valida la contraseña actual, guarda el hash de la nueva y limpia la
+ * bandera must_change_password.
+ */
+router.post('/cambiar-password', isAuth, async (req, res) => {
+  const { current_password, new_password, confirm_password } = req.body;
+  const userId = req.session.user.id;
+  if (!current_password || !new_password || !confirm_password) {
+    req.flash('error', 'Debe llenar todos los campos');
+    return res.redirect('/cambiar-password');
+  }
+  if (String(new_password).length < PASSWORD_MIN_LENGTH) {
+    req.flash('error', `La nueva contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres`);
+    return res.redirect('/cambiar-password');
+  }
+  if (new_password !== confirm_password) {
+    req.flash('error', 'La confirmación no coincide con la nueva contraseña');
+    return res.redirect('/cambiar-password');
+  }
+  if (new_password === current_password) {
+    req.flash('error', 'La nueva contraseña debe ser distinta a la actual');
+    return res.redirect('/cambiar-password');
+  }
+  try {
+    const [rows] = await pool.execute(
+      'SELECT password FROM empleados WHERE id = ? AND login_enabled = 1 LIMIT 1',
+      [userId]
+    );
+    if (!rows.length) {
+      return req.session.destroy(() => res.redirect('/login'));
+    }
+    const check = await verifyPassword(current_password, rows[0].password);
+    if (!check.ok) {
+      req.flash('error', 'La contraseña actual es incorrecta');
+      return res.redirect('/cambiar-password');
+    }
+    const hashed = await hashPassword(new_password);
+    await pool.execute(
+      'UPDATE empleados SET password = ?, must_change_password = 0 WHERE id = ?',
+      [hashed, userId]
+    );
+    await passwordReset.invalidateTokensForEmployee(userId);
+    // Cerrar las demás sesiones abiertas con la contraseña anterior
+    await revokeEmployeeSessions(userId, { exceptSid: req.sessionID });
+    req.session.user.must_change_password = false;
+    req.flash('success', 'Contraseña actualizada correctamente');
+    return res.redirect('/dashboard');
+  } catch (error) {
+    console.error('Error al cambiar contraseña:', error);
+    req.flash('error', 'No se pudo cambiar la contraseña');
+    return res.redirect('/cambiar-password');
+  }
+});
+
+/*
+ * Ruta GET /olvide-password
+ * Formulario para solicitar un enlace de restablecimiento de contraseña.
+ */
+router.get('/olvide-password', (req, res) => {
+  if (req.session.user) {
+    return res.redirect('/dashboard');
+  }
+  res.render('olvide_password', { title: 'Recuperar contraseña' });
+});
+
+/*
+ * Ruta POST /olvide-password
+ * Si el usuario o correo corresponde a una cuenta activa con correo
+ * registrado, genera un token y envía el enlace.  La respuesta es la
+ * misma exista o no la cuenta; la búsqueda, el token y el envío se hacen
+ * después de responder para no revelar la diferencia por el tiempo.
+ */
+router.post('/olvide-password', (req, res) => {
+  const identifier = String(req.body.identifier || '').trim();
+  const genericMsg = 'Si los datos corresponden a una cuenta activa, recibirá un correo con instrucciones para restablecer su contraseña.';
+  if (!identifier) {
+    req.flash('error', 'Debe indicar su usuario o correo');
+    return res.redirect('/olvide-password');
+  }
+  const ip = req.ip;
+  setImmediate(() => {
+    passwordReset.requestReset(identifier, ip).catch((error) => {
+      console.error('Error al solicitar recuperación de contraseña:', error);
+    });
+  });
+  req.flash('success', genericMsg);
+  return res.redirect('/login');
+});
+
+/*
+ * Ruta GET /restablecer-password/:token
+ * Muestra el formulario de nueva contraseña si el token sigue vigente.
+ */
+router.get('/restablecer-password/:token', async (req, res) => {
+  try {
+    const record = await passwordReset.findValidToken(req.params.token);
+    if (!record) {
+      req.flash('error', 'El enlace no es válido o ya expiró. Solicite uno nuevo.');
+      return res.redirect('/olvide-password');
+    }
+    res.render('restablecer_password', {
+      title: 'Restablecer contraseña',
+      token: req.params.token,
+      minLength: PASSWORD_MIN_LENGTH
+    });
+  } catch (error) {
+    console.error('Error al validar token de recuperación:', error);
+    req.flash('error', 'Error de conexión con la base de datos');
+    return res.redirect('/login');
+  }
+});
+
+/*
+ * Ruta POST /restablecer-password/:token
+ * Guarda la nueva contraseña y consume el token.
+ */
+router.post('/restablecer-password/:token', async (req, res) => {
+  const { token } = req.params;
+  const { new_password, confirm_password } = req.body;
+  const backUrl = `/restablecer-password/${encodeURIComponent(token)}`;
+  try {
+    const record = await passwordReset.findValidToken(token);
+    if (!record) {
+      req.flash('error', 'El enlace no es válido o ya expiró. Solicite uno nuevo.');
+      return res.redirect('/olvide-password');
+    }
+    if (!new_password || String(new_password).length < PASSWORD_MIN_LENGTH) {
+      req.flash('error', `La nueva contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres`);
+      return res.redirect(backUrl);
+    }
+    if (new_password !== confirm_password) {
+      req.flash('error', 'La confirmación no coincide con la nueva contraseña');
+      return res.redirect(backUrl);
+    }
+    // Consumir primero para que el token no pueda usarse dos veces en paralelo.
+    const consumed = await passwordReset.consumeToken(record.id);
+    if (!consumed) {
+      req.flash('error', 'El enlace no es válido o ya expiró. Solicite uno nuevo.');
+      return res.redirect('/olvide-password');
+    }
+    const hashed = await hashPassword(new_password);
+    await pool.execute(
+      'UPDATE empleados SET password = ?, must_change_password = 0 WHERE id = ?',
+      [hashed, record.empleado_id]
+    );
+    await passwordReset.invalidateTokensForEmployee(record.empleado_id);
+    await revokeEmployeeSessions(record.empleado_id);
+    const [empRows] = await pool.execute('SELECT username FROM empleados WHERE id = ? LIMIT 1', [record.empleado_id]);
+    if (empRows.length && empRows[0].username) {
+      await loginThrottle.unlockUsername(empRows[0].username);
+    }
+    req.flash('success', 'Contraseña restablecida. Ya puede iniciar sesión.');
+    return res.redirect('/login');
+  } catch (error) {
+    console.error('Error al restablecer contraseña:', error);
+    req.flash('error', 'No se pudo restablecer la contraseña');
+    return res.redirect(backUrl);
+  }
+});
+
 /*
  * Ruta GET /logout
  * Destruye la sesión del usuario y redirige al formulario de login.
+ * Si estaba en modo "Ver como", se registra su término.
  */
-router.get('/logout', (req, res) => {
+router.get('/logout', async (req, res) => {
+  await audit.logImpersonationStop(req, { logout: true });
   req.session.destroy(() => {
     res.redirect('/login');
   });
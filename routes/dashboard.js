@@ -2,36 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db');
 const isAuth = require('../middleware/isAuth');
-const { requireRole } = require('../middleware/roles');
-const { scoreKpi } = require('../services/kpiScoring');
+const permissions = require('../services/permissions');
+const managerScope = require('../services/managerScope');
+const audit = require('../services/audit');
+const periodLock = require('../services/periodLock');
+const { requirePermission } = require('../middleware/roles');
+const { scoreKpi, resultPoints } = require('../services/kpiScoring');
+const scoringScale = require('../services/scoringScale');
+const kpiVersions = require('../services/kpiVersions');
+const kpiFormula = require('../services/kpiFormula');
+const kpiPeriodicity = require('../services/kpiPeriodicity');
+const { getDefaultPeriod } = kpiPeriodicity;
+const kpiTargets = require('../services/kpiTargets');
+const kpiCalendar = require('../services/kpiCalendar');
 
-/*
- * Calcula el periodo por defecto basado en la fecha actual.  Si el día
- * del mes es menor o igual a 10, se considera que el periodo por
- * defecto corresponde al mes anterior; de lo contrario se toma el
- * mes actual.  Este comportamiento permite que, durante los
- * primeros 10 días del mes, se sigan mostrando y editando los
- * resultados del mes pasado.  El cálculo usa la fecha del
- * servidor (por ejemplo, la configuración de la PC donde corre
- * Node.js), de modo que cambiar el reloj del equipo afecta el
- * periodo que se selecciona.
- *
- * @param {Date} [now] Objeto Date opcional para pruebas; por
- *     defecto usa new Date().
- * @returns {{year:number, month:number}} Objeto con año y mes (1-12).
- */
-function getDefaultPeriod(now = new Date()) {
-  let year = now.getFullYear();
-  let month = now.getMonth() + 1; // 1-12
-  if (now.getDate() <= 10) {
-    month -= 1;
-    if (month < 1) {
-      month = 12;
-      year -= 1;
-    }
-  }
-  return { year, month };
-}
 const ExcelJS = require('exceljs');
 
 /*
@@ -114,11 +98,18 @@ async function getKpiResultsForEmployee(employeeId, year) {
   return result;
 }
 
+// Indica si el usuario tiene un permiso global (results.*.any) sobre el
+// empleado, considerando su alcance por departamento/sucursal si lo tiene.
+async function hasScopedPermission(user, permission, targetEmployeeId) {
+  if (!permissions.can(user, permission)) return false;
+  return managerScope.isInScope(user, targetEmployeeId);
+}
+
 // Determina si el usuario es el jefe DIRECTO de un empleado en base a la jerarquía de puestos.
 // Regla: user es jefe directo si el puesto del empleado responde_a_id === user.puesto_id.
 async function isDirectBossByPuesto(user, targetEmployeeId) {
   if (!targetEmployeeId || isNaN(targetEmployeeId)) return false;
-  if (user.role === 'admin' || user.role === 'manager') return true;
+  if (await hasScopedPermission(user, 'results.approve.any', targetEmployeeId)) return true;
   const [empRows] = await pool.execute(
     `SELECT e.puesto_id, p.responde_a_id
      FROM empleados e
@@ -234,7 +225,14 @@ async function buildDirectSubordinateNodes(currentUser, puestoId, puestoMap, yea
     );
 
     for (const emp of emps) {
-      const subKpis = await getKPIsByPosition(emp.puesto_id);
+      const subKpis = await kpiTargets.resolveForEmployee(
+        await kpiCalendar.resolveForEmployee(
+          await kpiVersions.resolveForPeriod(await getKPIsByPosition(emp.puesto_id), year, month),
+          emp.id, year, month
+        ),
+        emp.id, year, month
+      );
+      await kpiPeriodicity.annotate(subKpis, emp.id, year, month);
       const subRes = await getKpiResultsForEmployee(emp.id, year);
       const hasChildren = puestoMap.some(p => p.responde_a_id === emp.puesto_id);
       // Permisos para UI:
@@ -247,6 +245,9 @@ async function buildDirectSubordinateNodes(currentUser, puestoId, puestoMap, yea
     }
   }
 
+  // Fórmulas legibles de los KPIs calculados
+  await kpiFormula.annotate(nodes.flatMap(n => n.kpis));
+
   // Cargar retroalimentación del periodo para este nivel (en batch) si existe la tabla.
   if (empIds.length) {
     try {
@@ -278,11 +279,12 @@ async function buildDirectSubordinateNodes(currentUser, puestoId, puestoMap, yea
 
 /**
  * Validación: determina si el usuario actual puede consultar el subárbol de un empleado.
- * - admin/manager: siempre
- * - user: sólo si el empleado es él mismo o está dentro de su cadena de subordinación.
+ * - con permiso results.view.any: siempre, salvo que tenga alcance asignado y el
+ *   empleado esté fuera de sus departamentos/sucursales
+ * - resto: sólo si el empleado es él mismo o está dentro de su cadena de subordinación.
  */
 async function canAccessEmployeeTree(user, targetEmployeeId) {
-  if (user.role === 'admin' || user.role === 'manager') return true;
+  if (await hasScopedPermission(user, 'results.view.any', targetEmployeeId)) return true;
   if (targetEmployeeId === user.id) return true;
 
   const [puestos] = await pool.execute('SELECT id, responde_a_id FROM puestos');
@@ -305,13 +307,23 @@ router.get('/', isAuth, async (req, res) => {
     let selectedYear = parseInt(req.query.anio, 10);
     let selectedMonth = parseInt(req.query.mes, 10);
     // Si falta el año o el mes, utilizamos el periodo por defecto basado en la
-    // fecha del servidor (ver getDefaultPeriod).  Esto permite que en los
+    // fecha del servidor (ver kpiPeriodicity.getDefaultPeriod).  Esto permite que en los
     // primeros 10 días del mes se muestre el mes anterior por defecto.
     const def = getDefaultPeriod();
     if (!selectedYear || isNaN(selectedYear)) selectedYear = def.year;
     if (!selectedMonth || isNaN(selectedMonth) || selectedMonth < 1 || selectedMonth > 12) selectedMonth = def.month;
-    // Obtener los KPIs asignados a este usuario a través de su puesto
-    const kpis = await getKPIsByPosition(user.puesto_id);
+    // Obtener los KPIs asignados a este usuario a través de su puesto, con la
+    // definición (objetivo/umbrales) vigente en el periodo seleccionado
+    // más la meta del mes (calendario) y la meta particular que le apliquen
+    const kpis = await kpiTargets.resolveForEmployee(
+      await kpiCalendar.resolveForEmployee(
+        await kpiVersions.resolveForPeriod(await getKPIsByPosition(user.puesto_id), selectedYear, selectedMonth),
+        user.id, selectedYear, selectedMonth
+      ),
+      user.id, selectedYear, selectedMonth
+    );
+    await kpiFormula.annotate(kpis);
+    await kpiPeriodicity.annotate(kpis, user.id, selectedYear, selectedMonth);
     // Obtener los resultados del usuario para cada KPI y mes del año seleccionado
     const resultados = await getKpiResultsForEmployee(user.id, selectedYear);
 
@@ -334,6 +346,11 @@ router.get('/', isAuth, async (req, res) => {
     const hasAnySubordinates = subordinatePuestos && subordinatePuestos.length > 0;
     // Reglas de aprobación: el usuario NO puede aprobarse a sí mismo si tiene jefe directo.
     const canApproveSelf = (await employeeHasNoDirectBoss(user.id));
+    // Estado de cierre del periodo seleccionado
+    const periodo = await periodLock.getPeriodStatus(selectedYear, selectedMonth);
+    const periodClosed = !!(periodo && Number(periodo.cerrado) === 1);
+    // Puntos y colores con la escala vigente en el periodo mostrado
+    res.locals.escala = scoringScale.viewHelpers(scoringScale.forPeriod(selectedYear, selectedMonth));
     res.render('dashboard', {
       title: 'Mis KPIs',
       kpis,
@@ -348,7 +365,9 @@ router.get('/', isAuth, async (req, res) => {
       showBajas,
       canApproveSelf,
       hasDirectSubordinates,
-      hasAnySubordinates
+      hasAnySubordinates,
+      periodo,
+      periodClosed
     });
   } catch (err) {
     console.error('Error al cargar el dashboard:', err);
@@ -397,6 +416,8 @@ router.get('/subtree/:empleadoId', isAuth, async (req, res) => {
 
     // Construir SOLO el siguiente nivel
 	  const nodes = await buildDirectSubordinateNodes(user, targetPuestoId, puestos, year, month, showBajas);
+    const periodClosed = await periodLock.isPeriodClosed(year, month);
+    res.locals.escala = scoringScale.viewHelpers(scoringScale.forPeriod(year, month));
 
     // Renderizar solo el fragmento HTML del siguiente nivel
 	  return res.render('partials/sub_kpi_level', {
@@ -404,6 +425,7 @@ router.get('/subtree/:empleadoId', isAuth, async (req, res) => {
       selectedYear: year,
       selectedMonth: month,
 	    showBajas,
+      periodClosed,
       layout: false
     });
   } catch (err) {
@@ -416,7 +438,7 @@ router.get('/subtree/:empleadoId', isAuth, async (req, res) => {
  * POST /dashboard/feedback/save
  * Guarda la retroalimentación del periodo (Fortalezas / Áreas de oportunidad / Compromisos).
  * Por simplicidad, la UI inicial lo usa para el empleado actual, pero se deja listo
- * para que admin/manager lo puedan usar también con empleado_id si se requiere.
+ * para que quien tenga results.view.any lo pueda usar también con empleado_id si se requiere.
  */
 router.post('/feedback/save', isAuth, async (req, res) => {
   try {
@@ -429,8 +451,15 @@ router.post('/feedback/save', isAuth, async (req, res) => {
     if (!year || !month) {
       return res.status(400).json({ ok: false, error: 'Periodo inválido' });
     }
+    if (await periodLock.isPeriodClosed(year, month)) {
+      if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
+        return res.status(423).json({ ok: false, closed: true, error: periodLock.CLOSED_MESSAGE });
+      }
+      req.flash('error', periodLock.CLOSED_MESSAGE);
+      return res.redirect(`/dashboard?anio=${year}&mes=${month}`);
+    }
 
-    // Permisos: admin/manager siempre; user sólo él mismo o dentro de su árbol
+    // Permisos: results.view.any siempre; el resto sólo él mismo o dentro de su árbol
     const allowed = await canAccessEmployeeTree(user, targetEmployeeId);
     if (!allowed) {
       return res.status(403).json({ ok: false, error: 'Sin permisos' });
@@ -473,7 +502,8 @@ router.post('/feedback/save', isAuth, async (req, res) => {
 router.post('/save', isAuth, async (req, res) => {
   const user = req.session.user;
   // Si se envía un empleado_id diferente significa que el jefe está editando el KPI de un subordinado
-  const { kpi_id, anio, mes, valor, color, empleado_id, comentario } = req.body;
+  const { kpi_id, anio, color, empleado_id, comentario } = req.body;
+  let { mes, valor } = req.body;
   if (!kpi_id || !anio || !mes) {
     const msg = 'Datos insuficientes para guardar el resultado';
     if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
@@ -483,16 +513,10 @@ router.post('/save', isAuth, async (req, res) => {
     return res.redirect(`/dashboard?anio=${anio || ''}&mes=${mes || ''}`);
   }
   try {
-    const hasValue = !(valor === undefined || valor === null || String(valor).trim() === '');
-
-    // Obtener definición del KPI para calcular color automáticamente (modelo nuevo)
-    const [kpiRows] = await pool.execute(
-      `SELECT id, unidad, score_type, direction, threshold_yellow, threshold_green,
-              criterion_red, criterion_yellow, criterion_green
-       FROM kpis WHERE id = ?`,
-      [kpi_id]
-    );
-    if (kpiRows.length === 0) {
+    // Obtener la definición del KPI vigente en el periodo para calcular el
+    // color automáticamente (modelo nuevo)
+    let kpi = await kpiVersions.getKpiForPeriod(kpi_id, anio, mes);
+    if (!kpi) {
       const msg = 'El KPI especificado no existe';
       if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
         return res.status(404).json({ ok: false, error: msg });
@@ -500,25 +524,74 @@ router.post('/save', isAuth, async (req, res) => {
       req.flash('error', msg);
       return res.redirect('/dashboard');
     }
+    // Trimestrales, semestrales y anuales: el resultado vive en el último mes del periodo
+    const periodicidad = kpiPeriodicity.normalize(kpi.periodicidad);
+    const mesCaptura = kpiPeriodicity.captureMonth(periodicidad, mes);
+    if (mesCaptura !== Number(mes)) {
+      mes = mesCaptura;
+      kpi = await kpiVersions.getKpiForPeriod(kpi_id, anio, mes);
+    }
+    // Periodo cerrado: nadie puede modificar resultados
+    if (await periodLock.isPeriodClosed(anio, mes)) {
+      if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
+        return res.status(423).json({ ok: false, closed: true, error: periodLock.CLOSED_MESSAGE });
+      }
+      req.flash('error', periodLock.CLOSED_MESSAGE);
+      return res.redirect(`/dashboard?anio=${anio}&mes=${mes}`);
+    }
+    // Determinar a qué empleado aplicar el resultado
+    const targetEmployeeId = empleado_id && String(empleado_id).trim() !== '' ? parseInt(empleado_id, 10) : user.id;
+    // Meta del mes (calendario) y meta particular del empleado, si las hay
+    kpi = (await kpiTargets.resolveForEmployee(
+      await kpiCalendar.resolveForEmployee([kpi], targetEmployeeId, Number(anio), Number(mes)),
+      targetEmployeeId, Number(anio), Number(mes)
+    ))[0];
+
+    // Semanales: se capturan las semanas y el valor del mes es su agregado
+    let semanas = null;
+    if (periodicidad === 'Semanal') {
+      const parsed = kpiPeriodicity.weeklyValuesFromBody(req.body, Number(anio), Number(mes));
+      if (parsed.error) {
+        if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
+          return res.status(400).json({ ok: false, error: parsed.error });
+        }
+        req.flash('error', parsed.error);
+        return res.redirect(`/dashboard?anio=${anio}&mes=${mes}`);
+      }
+      semanas = parsed.values;
+      const stored = (await kpiPeriodicity.loadWeeks(targetEmployeeId, [kpi_id], anio, mes)).get(Number(kpi_id)) || new Map();
+      const merged = new Map(stored);
+      semanas.forEach((v, semana) => (v === null ? merged.delete(semana) : merged.set(semana, v)));
+      const ordered = [...merged.keys()].sort((a, b) => a - b).map(k => merged.get(k));
+      const agregado = kpiPeriodicity.aggregate(ordered, kpiPeriodicity.normalizeAggregation(kpi.agregacion, kpi.score_type));
+      valor = agregado === null ? '' : String(agregado);
+    }
+    const hasValue = !(valor === undefined || valor === null || String(valor).trim() === '');
+    // KPI calculado: el valor sale de su fórmula (el comentario sí se guarda)
+    if (hasValue && String(kpi.score_type || '').toUpperCase() === 'FORMULA') {
+      const msg = 'Este KPI se calcula con su fórmula; su valor no se captura';
+      if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
+        return res.status(400).json({ ok: false, error: msg });
+      }
+      req.flash('error', msg);
+      return res.redirect(`/dashboard?anio=${anio}&mes=${mes}`);
+    }
     // Respetar color manual si viene explícito (compatibilidad),
     // pero por defecto calificar con la nueva lógica.
-    const kpi = kpiRows[0];
-    let resultadoColor = color || null;
+    let resultadoColor = semanas ? null : (color || null);
     let score = null;
 
     if (hasValue) {
       if (!resultadoColor) {
-        const r = scoreKpi(kpi, valor);
+        const r = scoreKpi(kpi, valor, scoringScale.forPeriod(anio, mes));
         resultadoColor = r.color;
         score = r.score;
       } else {
-        score = resultadoColor === 'rojo' ? 40 : (resultadoColor === 'amarillo' ? 70 : (resultadoColor === 'verde' ? 100 : null));
+        score = resultPoints(kpi, { valor, color: resultadoColor }, scoringScale.forPeriod(anio, mes));
       }
     }
-    // Determinar a qué empleado aplicar el resultado
-    const targetEmployeeId = empleado_id && String(empleado_id).trim() !== '' ? parseInt(empleado_id, 10) : user.id;
-    // Verificar permisos: si el usuario no es admin ni manager, sólo puede guardar KPIs propios o de subordinados
-    if (targetEmployeeId !== user.id && user.role !== 'admin' && user.role !== 'manager') {
+    // Verificar permisos: sin results.edit.any (dentro de su alcance) sólo puede guardar KPIs propios o de subordinados
+    if (targetEmployeeId !== user.id && !(await hasScopedPermission(user, 'results.edit.any', targetEmployeeId))) {
       try {
         // Obtener mapa de puestos para construir la lista de subordinados
         const [puestos] = await pool.execute('SELECT id, responde_a_id FROM puestos');
@@ -545,7 +618,7 @@ router.post('/save', isAuth, async (req, res) => {
       }
     }
     // Candado: si el KPI ya fue cerrado (visto bueno), el colaborador no puede editar.
-    // Solo el jefe que lo cerró o un jefe superior (o admin/manager) puede reabrir/editar.
+    // Solo el jefe que lo cerró o un jefe superior (o quien tenga results.approve.any) puede reabrir/editar.
     const [lockRows] = await pool.execute(
       `SELECT visto_bueno, visto_por FROM kpi_resultados
        WHERE empleado_id = ? AND kpi_id = ? AND anio = ? AND mes = ?
@@ -557,7 +630,7 @@ router.post('/save', isAuth, async (req, res) => {
 
     if (isLocked) {
       let canEditLocked = false;
-      if (user.role === 'admin' || user.role === 'manager') {
+      if (await hasScopedPermission(user, 'results.approve.any', targetEmployeeId)) {
         canEditLocked = true;
       } else if (lockedBy && user.id === lockedBy) {
         canEditLocked = true;
@@ -576,6 +649,14 @@ router.post('/save', isAuth, async (req, res) => {
       }
     }
 
+    // Estado previo para la bitácora de auditoría
+    const before = await audit.getResultSnapshot(targetEmployeeId, kpi_id, anio, mes);
+    // Semanal sin ninguna semana capturada: el mes queda sin valor
+    const clearsValue = !!semanas && !hasValue;
+    if (semanas) {
+      await kpiPeriodicity.saveWeeks(targetEmployeeId, kpi_id, anio, mes, semanas, user.id);
+    }
+
     // Insertar o actualizar resultado
     if (hasValue) {
       try {
@@ -610,10 +691,67 @@ router.post('/save', isAuth, async (req, res) => {
         // Si la columna comentario aún no existe, no rompemos.
         // En ese caso simplemente no guardamos comentario.
       }
+      if (clearsValue) {
+        await pool.execute(
+          `UPDATE kpi_resultados SET valor = NULL, color = NULL
+           WHERE empleado_id = ? AND kpi_id = ? AND anio = ? AND mes = ?`,
+          [targetEmployeeId, kpi_id, anio, mes]
+        );
+      }
+    }
+    const valorFinal = hasValue ? valor : (clearsValue ? null : (before ? before.valor : null));
+    const colorFinal = hasValue ? resultadoColor : (clearsValue ? null : (before ? before.color : null));
+    const detalle = audit.diffFields(
+      before,
+      { valor: valorFinal, color: colorFinal, comentario: comentario || null },
+      ['valor', 'color', 'comentario']
+    );
+    if (semanas && semanas.size) detalle.semanas = Object.fromEntries(semanas);
+    await audit.logFromRequest(req, {
+      accion: 'resultado.guardar',
+      empleadoId: targetEmployeeId,
+      kpiId: kpi_id,
+      anio,
+      mes,
+      valorAnterior: before ? before.valor : null,
+      valorNuevo: valorFinal,
+      detalle
+    });
+    // Recalcular los KPIs de fórmula que usan este resultado.  Un error aquí
+    // no invalida la captura, que ya quedó guardada.
+    let calculados = [];
+    if (hasValue || clearsValue) {
+      try {
+        calculados = await kpiFormula.recalcDependents(targetEmployeeId, Number(kpi_id), Number(anio), Number(mes));
+        for (const c of calculados) {
+          await audit.logFromRequest(req, {
+            accion: 'resultado.formula',
+            empleadoId: targetEmployeeId,
+            kpiId: c.kpi_id,
+            anio,
+            mes,
+            valorAnterior: c.valorAnterior,
+            valorNuevo: c.valor,
+            detalle: {
+              ...audit.diffFields({ valor: c.valorAnterior, color: c.colorAnterior }, c, ['valor', 'color']),
+              origen_kpi_id: Number(kpi_id)
+            }
+          });
+        }
+      } catch (e) {
+        console.error('Error al recalcular KPIs de fórmula:', e);
+      }
     }
     // Si la petición viene vía fetch/AJAX, devolver JSON para evitar recargar el dashboard
     if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
-      return res.json({ ok: true, color: resultadoColor || null, puntaje: score });
+      return res.json({
+        ok: true,
+        color: resultadoColor || null,
+        puntaje: score,
+        // Semanales: el valor del mes recalculado a partir de las semanas
+        ...(semanas ? { valor: hasValue ? valor : null } : {}),
+        calculados: calculados.map(c => ({ kpi_id: c.kpi_id, valor: c.valor, color: c.color, puntaje: c.puntaje }))
+      });
     }
 
     req.flash('success', 'Resultado guardado correctamente');
@@ -628,6 +766,14 @@ router.post('/save', isAuth, async (req, res) => {
   }
 });
 
+// Mes en que vive el resultado del KPI para el periodo que contiene `mes`
+// (trimestrales, semestrales y anuales: el último mes del periodo), igual
+// que en /dashboard/save.
+async function resultMonth(kpiId, anio, mes) {
+  const kpi = await kpiVersions.getKpiForPeriod(kpiId, anio, mes);
+  return kpi ? kpiPeriodicity.captureMonth(kpi.periodicidad, mes) : Number(mes);
+}
+
 /*
  * Ruta POST /dashboard/visto
  * Marca un KPI como visto bueno para el usuario actual.  El jefe
@@ -637,7 +783,8 @@ router.post('/save', isAuth, async (req, res) => {
  */
 router.post('/visto', isAuth, async (req, res) => {
   const user = req.session.user;
-  const { kpi_id, anio, mes, empleado_id } = req.body;
+  const { kpi_id, anio, empleado_id } = req.body;
+  let { mes } = req.body;
   if (!kpi_id || !anio || !mes) {
     if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
       return res.status(400).json({ ok: false, error: 'Datos insuficientes para marcar visto bueno' });
@@ -646,13 +793,21 @@ router.post('/visto', isAuth, async (req, res) => {
     return res.redirect(`/dashboard?anio=${anio || ''}&mes=${mes || ''}`);
   }
   try {
+    mes = await resultMonth(kpi_id, anio, mes);
+    if (await periodLock.isPeriodClosed(anio, mes)) {
+      if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
+        return res.status(423).json({ ok: false, closed: true, error: periodLock.CLOSED_MESSAGE });
+      }
+      req.flash('error', periodLock.CLOSED_MESSAGE);
+      return res.redirect(`/dashboard?anio=${anio}&mes=${mes}`);
+    }
     const targetEmployeeId = empleado_id && String(empleado_id).trim() !== '' ? parseInt(empleado_id, 10) : user.id;
     // Reglas de aprobación (claras):
     // - Solo el JEFE DIRECTO puede aprobar (cerrar) a sus subordinados.
     // - El empleado NO puede aprobarse a sí mismo, excepto si NO tiene jefe directo.
-    // - admin/manager siempre.
+    // - con permiso results.approve.any siempre.
     let canApprove = false;
-    if (user.role === 'admin' || user.role === 'manager') {
+    if (await hasScopedPermission(user, 'results.approve.any', targetEmployeeId)) {
       canApprove = true;
     } else if (targetEmployeeId === user.id) {
       canApprove = await employeeHasNoDirectBoss(user.id);
@@ -667,6 +822,7 @@ router.post('/visto', isAuth, async (req, res) => {
       req.flash('error', msg);
       return res.redirect(`/dashboard?anio=${anio}&mes=${mes}`);
     }
+    const before = await audit.getResultSnapshot(targetEmployeeId, kpi_id, anio, mes);
     // Asegura que exista el registro para poder “cerrar” aunque aún no haya valor capturado.
     await pool.execute(
       `INSERT INTO kpi_resultados (empleado_id, kpi_id, anio, mes, visto_bueno, visto_por, visto_fecha,
@@ -681,6 +837,16 @@ router.post('/visto', isAuth, async (req, res) => {
          revision_motivo = NULL`,
       [targetEmployeeId, kpi_id, anio, mes, user.id]
     );
+    await audit.logFromRequest(req, {
+      accion: 'resultado.aprobar',
+      empleadoId: targetEmployeeId,
+      kpiId: kpi_id,
+      anio,
+      mes,
+      valorAnterior: before ? before.valor : null,
+      valorNuevo: before ? before.valor : null,
+      detalle: { visto_bueno: { antes: before ? before.visto_bueno : null, despues: 1 } }
+    });
 
     if ((req.get('X-Requested-With') || '').toLowerCase() === 'fetch') {
       return res.json({ ok: true, locked: true, visto_por: user.id, visto_nombre: user.nombre || '', visto_fecha: new Date() });
@@ -702,28 +868,34 @@ router.post('/visto', isAuth, async (req, res) => {
  * (Compat) Enviar a revisión: reabre un KPI, limpia aprobación y marca revisión.
  *
  * Regla: cualquier jefe en la cadena (incluye jefe del jefe) puede enviar a revisión.
- * El empleado NO debe auto-enviarse a revisión (salvo admin/manager).
+ * El empleado NO debe auto-enviarse a revisión (salvo con results.approve.any).
  */
 async function sendToReviewHandler(req, res) {
   const user = req.session.user;
-  const { kpi_id, anio, mes, empleado_id, revision_motivo } = req.body;
+  const { kpi_id, anio, empleado_id, revision_motivo } = req.body;
+  let { mes } = req.body;
   if (!kpi_id || !anio || !mes) {
     return res.status(400).json({ ok: false, error: 'Datos insuficientes' });
   }
   try {
+    mes = await resultMonth(kpi_id, anio, mes);
+    if (await periodLock.isPeriodClosed(anio, mes)) {
+      return res.status(423).json({ ok: false, closed: true, error: periodLock.CLOSED_MESSAGE });
+    }
     const targetEmployeeId = empleado_id && String(empleado_id).trim() !== '' ? parseInt(empleado_id, 10) : user.id;
 
-    // Permisos base: ver/gestionar solo dentro de tu árbol (o todo si admin/manager)
+    // Permisos base: ver/gestionar solo dentro de tu árbol (o todo con results.view.any)
     const allowed = await canAccessEmployeeTree(user, targetEmployeeId);
     if (!allowed) {
       return res.status(403).json({ ok: false, error: 'Sin permisos' });
     }
 
-    if ((user.role !== 'admin' && user.role !== 'manager') && (targetEmployeeId === user.id)) {
+    if (!permissions.can(user, 'results.approve.any') && (targetEmployeeId === user.id)) {
       return res.status(403).json({ ok: false, error: 'No puedes enviarte a revisión a ti mismo.' });
     }
 
     const motivo = (revision_motivo || '').toString().trim().slice(0, 255);
+    const before = await audit.getResultSnapshot(targetEmployeeId, kpi_id, anio, mes);
 
     // Upsert: reabre, limpia aprobación y marca revisión.
     await pool.execute(
@@ -740,6 +912,19 @@ async function sendToReviewHandler(req, res) {
          revision_motivo = VALUES(revision_motivo)`,
       [targetEmployeeId, kpi_id, anio, mes, user.id, motivo]
     );
+    await audit.logFromRequest(req, {
+      accion: 'resultado.revision',
+      empleadoId: targetEmployeeId,
+      kpiId: kpi_id,
+      anio,
+      mes,
+      valorAnterior: before ? before.valor : null,
+      valorNuevo: before ? before.valor : null,
+      detalle: {
+        visto_bueno: { antes: before ? before.visto_bueno : null, despues: 0 },
+        motivo
+      }
+    });
 
     return res.json({ ok: true, locked: false, review: true, revision_por: user.id, revision_nombre: user.nombre || '', revision_fecha: new Date(), revision_motivo: motivo });
   } catch (err) {
@@ -754,6 +939,59 @@ router.post('/unlock', isAuth, sendToReviewHandler);
 // Endpoint nuevo y más claro
 router.post('/review', isAuth, sendToReviewHandler);
 
+/*
+ * Rutas POST /dashboard/periodo/cerrar y /dashboard/periodo/reabrir
+ * Cierran o reabren un periodo (anio, mes) para toda la empresa.  Con el
+ * periodo cerrado se rechaza cualquier captura, aprobación, envío a
+ * revisión o retroalimentación.  Requieren el permiso periods.manage.
+ */
+function parsePeriodBody(body) {
+  const anio = parseInt(body.anio, 10);
+  const mes = parseInt(body.mes, 10);
+  if (!anio || !mes || mes < 1 || mes > 12) return null;
+  return { anio, mes };
+}
+
+router.post('/periodo/cerrar', isAuth, requirePermission('periods.manage'), async (req, res) => {
+  const period = parsePeriodBody(req.body);
+  if (!period) {
+    req.flash('error', 'Periodo inválido');
+    return res.redirect('/dashboard');
+  }
+  const { anio, mes } = period;
+  try {
+    await periodLock.closePeriod(anio, mes, req.session.user.id);
+    await audit.logFromRequest(req, { accion: 'periodo.cerrar', anio, mes });
+    req.flash('success', `Periodo ${monthName(mes)} ${anio} cerrado`);
+  } catch (err) {
+    console.error('Error al cerrar periodo:', err);
+    req.flash('error', 'No se pudo cerrar el periodo');
+  }
+  return res.redirect(`/dashboard?anio=${anio}&mes=${mes}`);
+});
+
+router.post('/periodo/reabrir', isAuth, requirePermission('periods.manage'), async (req, res) => {
+  const period = parsePeriodBody(req.body);
+  if (!period) {
+    req.flash('error', 'Periodo inválido');
+    return res.redirect('/dashboard');
+  }
+  const { anio, mes } = period;
+  try {
+    const reopened = await periodLock.reopenPeriod(anio, mes, req.session.user.id);
+    if (reopened) {
+      await audit.logFromRequest(req, { accion: 'periodo.reabrir', anio, mes });
+      req.flash('success', `Periodo ${monthName(mes)} ${anio} reabierto`);
+    } else {
+      req.flash('error', 'El periodo no estaba cerrado');
+    }
+  } catch (err) {
+    console.error('Error al reabrir periodo:', err);
+    req.flash('error', 'No se pudo reabrir el periodo');
+  }
+  return res.redirect(`/dashboard?anio=${anio}&mes=${mes}`);
+});
+
 
 /* =========================
  * EXPORTACIÓN A EXCEL (0.87)
@@ -766,13 +1004,6 @@ function monthName(m) {
   return (i >= 0 && i < 12) ? __MONTH_NAMES[i] : '';
 }
 
-function scoreFromColor(color) {
-  if (color === 'rojo') return 40;
-  if (color === 'amarillo') return 70;
-  if (color === 'verde') return 100;
-  return null;
-}
-
 function normalizeColor(color) {
   const c = String(color || '').trim().toLowerCase();
   if (c === 'red') return 'rojo';
@@ -838,17 +1069,12 @@ async function getFeedbackMapForEmployee(employeeId, year, months) {
   return map;
 }
 
-function styleSemaforo(cell, color) {
-  const c = normalizeColor(color);
-  // ARGB
-  const styles = {
-    rojo:      { fg: 'FFFF0000', font: 'FFFFFFFF' }, // rojo fuerte, texto blanco
-    amarillo:  { fg: 'FFFFFF00', font: 'FF000000' }, // amarillo, texto negro
-    verde:     { fg: 'FF00B050', font: 'FFFFFFFF' }  // verde excel, texto blanco
-  };
-  if (!styles[c]) return;
-  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: styles[c].fg } };
-  cell.font = { ...(cell.font || {}), bold: true, color: { argb: styles[c].font } };
+// Colores (ARGB) del tono configurado en la escala de calificación
+function styleSemaforo(cell, color, kpiId, scale) {
+  const st = scoringScale.excelStyleFor(normalizeColor(color), kpiId, scale);
+  if (!st) return;
+  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: st.fill } };
+  cell.font = { ...(cell.font || {}), bold: true, color: { argb: st.font } };
   cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
 }
 
@@ -880,7 +1106,7 @@ async function fetchEmployeeInfo(employeeId) {
             p.nombre AS puesto_nombre,
             d.nombre AS departamento_nombre,
             s.nombre AS sucursal_nombre,
-            e.puesto_id
+            e.puesto_id, e.sucursal_id
      FROM empleados e
      LEFT JOIN puestos p ON e.puesto_id = p.id
      LEFT JOIN departamentos d ON e.departamento_id = d.id
@@ -942,8 +1168,16 @@ async function buildEmployeeWorkbook({ employeeId, year, month, mode }) {
   if (!emp) return null;
 
   const kpis = await getKPIsByPosition(emp.puesto_id);
+  // Versiones de cada KPI: objetivo y unidad se toman de la vigente en cada mes
+  const versionMap = await kpiVersions.loadVersions(kpis.map(k => k.id));
+  // Calendario de metas del año y metas particulares del empleado
+  // (sustituyen los umbrales de la definición)
+  const calendar = await kpiCalendar.load(kpis.map(k => k.id), [year]);
+  const metas = (await kpiTargets.loadForEmployees([employeeId])).get(Number(employeeId)) || new Map();
   const resultados = await getKpiResultsForEmployee(employeeId, year);
   const feedbackMap = await fetchFeedbackMapForEmployee(employeeId, year);
+  // Escala de calificación vigente en cada mes
+  await scoringScale.ensureLoaded();
 
   const wb = new ExcelJS.Workbook();
   wb.creator = 'KPI Manager CHC';
@@ -984,10 +1218,20 @@ async function buildEmployeeWorkbook({ employeeId, year, month, mode }) {
     : [month];
 
   months.forEach(m => {
-    kpis.forEach(kpi => {
+    const scale = scoringScale.forPeriod(year, m);
+    kpis.forEach(baseKpi => {
+      const kpi = kpiTargets.applyTarget(
+        kpiCalendar.applyMonth(
+          kpiVersions.definitionFor(baseKpi, versionMap, year, m),
+          kpiCalendar.entryFor(calendar, baseKpi.id, year, m, emp.sucursal_id)
+        ),
+        kpiTargets.targetFor(metas, baseKpi.id, year, m)
+      );
       const r = (resultados[kpi.id] && resultados[kpi.id][m]) || {};
       const color = normalizeColor(r.color || '');
-      const puntaje = scoreFromColor(color);
+      const level = scoringScale.levelFor(color, kpi.id, scale);
+      // Puntos del color o, en KPIs proporcionales, interpolados según el valor
+      const puntaje = level ? resultPoints(kpi, { valor: r.valor, color }, scale) : null;
       // Calcular peso (%).  kpi.peso puede ser string o número.  Convertir a número seguro.
       const pesoVal = toNumberOrNull(kpi.peso);
       // Puntaje ponderado = puntaje * peso/100.  Si puntaje es null o peso inválido, se deja vacío.
@@ -1008,10 +1252,10 @@ async function buildEmployeeWorkbook({ employeeId, year, month, mode }) {
         anio: year,
         mes: monthName(m) || m,
         kpi: kpi.nombre || '',
-        objetivo: kpi.objetivo || '',
+        objetivo: [kpi.objetivo, kpiTargets.describe(kpi) || kpiCalendar.describe(kpi)].filter(Boolean).join(' — '),
         unidad: kpi.unidad || '',
         valor: (r.valor !== undefined && r.valor !== null) ? r.valor : '',
-        semaforo: color ? color.toUpperCase() : '',
+        semaforo: level ? level.etiqueta.toUpperCase() : (color ? color.toUpperCase() : ''),
         puntaje: (typeof puntaje === 'number') ? puntaje : '',
         peso: (pesoVal !== null) ? (Number(pesoVal).toFixed(2).replace(/\.0+$/, '').replace(/(\.\d*[1-9])0+$/, '$1')) : '',
         puntaje_ponderado: puntajePonderado,
@@ -1029,13 +1273,13 @@ async function buildEmployeeWorkbook({ employeeId, year, month, mode }) {
       const lastRow = ws.lastRow;
       // Aplicar estilo semáforo a la celda "Semáforo"
       const semCell = lastRow.getCell(ws.getColumn('semaforo').number);
-      styleSemaforo(semCell, color);
+      styleSemaforo(semCell, color, kpi.id, scale);
       // Color también en "Resultado" para visual rápido
       const valCell = lastRow.getCell(ws.getColumn('valor').number);
-      styleSemaforo(valCell, color);
+      styleSemaforo(valCell, color, kpi.id, scale);
       // Color en puntaje ponderado para consistencia visual
       const pponCell = lastRow.getCell(ws.getColumn('puntaje_ponderado').number);
-      styleSemaforo(pponCell, color);
+      styleSemaforo(pponCell, color, kpi.id, scale);
 
       // Estilo en Estado
       const stCell = lastRow.getCell(ws.getColumn('estado').number);
@@ -1089,16 +1333,30 @@ async function buildEmployeeWorkbook({ employeeId, year, month, mode }) {
 async function buildTeamWorkbook({ user, year, month, mode, includeBajas }) {
   const [puestos] = await pool.execute('SELECT id, responde_a_id FROM puestos');
   const subPuestos = buildSubordinatePuestoIds(user.puesto_id, puestos);
-  if (!subPuestos.length) return null;
 
-  const pPlace = subPuestos.map(() => '?').join(',');
-  const params = [...subPuestos];
+  // Gerentes con alcance asignado: además de su árbol, su equipo incluye a
+  // todo el personal de sus departamentos/sucursales.
+  const scope = permissions.can(user, 'results.view.any') ? await managerScope.getScope(user.id) : null;
+  const scopeCond = managerScope.scopeCondition(scope);
+  if (!subPuestos.length && !scopeCond) return null;
+
+  const teamParts = [];
+  const params = [];
+  if (subPuestos.length) {
+    teamParts.push(`e.puesto_id IN (${subPuestos.map(() => '?').join(',')})`);
+    params.push(...subPuestos);
+  }
+  if (scopeCond) {
+    teamParts.push(scopeCond.sql);
+    params.push(...scopeCond.params);
+  }
+  params.push(user.id);
 
   const whereBajas = includeBajas ? '' : "AND (d.nombre IS NULL OR d.nombre <> 'BAJA')";
 
   const [emps] = await pool.execute(
     `SELECT e.id, e.incidencia_id, e.nombre,
-            e.puesto_id,
+            e.puesto_id, e.sucursal_id,
             p.nombre AS puesto_nombre,
             d.nombre AS departamento_nombre,
             s.nombre AS sucursal_nombre
@@ -1106,7 +1364,8 @@ async function buildTeamWorkbook({ user, year, month, mode, includeBajas }) {
      LEFT JOIN puestos p ON e.puesto_id = p.id
      LEFT JOIN departamentos d ON e.departamento_id = d.id
      LEFT JOIN sucursales s ON e.sucursal_id = s.id
-     WHERE e.puesto_id IN (${pPlace})
+     WHERE (${teamParts.join(' OR ')})
+       AND e.id <> ?
      ${whereBajas}
      ORDER BY e.nombre`,
     params
@@ -1127,6 +1386,11 @@ async function buildTeamWorkbook({ user, year, month, mode, includeBajas }) {
      ORDER BY pk.puesto_id, k.nombre`,
     puestoIds
   );
+  const versionMap = await kpiVersions.loadVersions(pkRows.map(r => r.id));
+  const calendar = await kpiCalendar.load(pkRows.map(r => r.id), [year]);
+  const metasByEmp = await kpiTargets.loadForEmployees(empIds);
+  // Escala de calificación vigente en cada mes
+  await scoringScale.ensureLoaded();
   const kpisByPuesto = new Map();
   pkRows.forEach(r => {
     const arr = kpisByPuesto.get(r.puesto_id) || [];
@@ -1222,11 +1486,21 @@ async function buildTeamWorkbook({ user, year, month, mode, includeBajas }) {
 
   emps.forEach(emp => {
     const kpis = kpisByPuesto.get(emp.puesto_id) || [];
+    const empMetas = metasByEmp.get(Number(emp.id)) || new Map();
     monthList.forEach(m => {
-      kpis.forEach(kpi => {
+      const scale = scoringScale.forPeriod(year, m);
+      kpis.forEach(baseKpi => {
+        const kpi = kpiTargets.applyTarget(
+          kpiCalendar.applyMonth(
+            kpiVersions.definitionFor(baseKpi, versionMap, year, m),
+            kpiCalendar.entryFor(calendar, baseKpi.id, year, m, emp.sucursal_id)
+          ),
+          kpiTargets.targetFor(empMetas, baseKpi.id, year, m)
+        );
         const r = resMap.get(`${emp.id}|${kpi.id}|${m}`) || {};
         const color = normalizeColor(r.color || '');
-        const puntaje = scoreFromColor(color);
+        const level = scoringScale.levelFor(color, kpi.id, scale);
+        const puntaje = level ? resultPoints(kpi, { valor: r.valor, color }, scale) : null;
         // Calcular peso y puntaje ponderado
         const pesoVal = toNumberOrNull(kpi.peso);
         let puntajePonderado = '';
@@ -1245,10 +1519,10 @@ async function buildTeamWorkbook({ user, year, month, mode, includeBajas }) {
           anio: year,
           mes: monthName(m) || m,
           kpi: kpi.nombre || '',
-          objetivo: kpi.objetivo || '',
+          objetivo: [kpi.objetivo, kpiTargets.describe(kpi) || kpiCalendar.describe(kpi)].filter(Boolean).join(' — '),
           unidad: kpi.unidad || '',
           valor: (r.valor !== undefined && r.valor !== null) ? r.valor : '',
-          semaforo: color ? color.toUpperCase() : '',
+          semaforo: level ? level.etiqueta.toUpperCase() : (color ? color.toUpperCase() : ''),
           puntaje: (typeof puntaje === 'number') ? puntaje : '',
           peso: (pesoVal !== null) ? (Number(pesoVal).toFixed(2).replace(/\.0+$/, '').replace(/(\.\d*[1-9])0+$/, '$1')) : '',
           puntaje_ponderado: puntajePonderado,
@@ -1264,10 +1538,10 @@ async function buildTeamWorkbook({ user, year, month, mode, includeBajas }) {
           compromisos: fb.compromisos || ''
         });
         const lastRow = ws.lastRow;
-        styleSemaforo(lastRow.getCell(ws.getColumn('semaforo').number), color);
-        styleSemaforo(lastRow.getCell(ws.getColumn('valor').number), color);
+        styleSemaforo(lastRow.getCell(ws.getColumn('semaforo').number), color, kpi.id, scale);
+        styleSemaforo(lastRow.getCell(ws.getColumn('valor').number), color, kpi.id, scale);
         // Estilo también en puntaje ponderado
-        styleSemaforo(lastRow.getCell(ws.getColumn('puntaje_ponderado').number), color);
+        styleSemaforo(lastRow.getCell(ws.getColumn('puntaje_ponderado').number), color, kpi.id, scale);
         styleStatus(lastRow.getCell(ws.getColumn('estado').number), estado);
       });
     });
@@ -1521,7 +1795,6 @@ router.post('/email/direct', isAuth, async (req, res) => {
 // funciones a través de require('routes/dashboard').buildEmployeeWorkbook, etc.
 router.buildEmployeeWorkbook = buildEmployeeWorkbook;
 router.buildTeamWorkbook = buildTeamWorkbook;
-router.getDefaultPeriod = getDefaultPeriod;
 router.buildSubordinatePuestoIds = buildSubordinatePuestoIds;
 
 
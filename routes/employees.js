@@ -2,7 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { pool, incidenciasPool } = require('../db');
 const isAuth = require('../middleware/isAuth');
-const { requireRole } = require('../middleware/roles');
+const { requirePermission } = require('../middleware/roles');
+const { hashPassword } = require('../services/passwords');
+const { invalidateTokensForEmployee } = require('../services/passwordReset');
+const loginThrottle = require('../services/loginThrottle');
+const { revokeEmployeeSessions, revokeDisabledEmployeeSessions } = require('../services/sessionStore');
+const totp = require('../services/totp');
+const managerScope = require('../services/managerScope');
+const permissions = require('../services/permissions');
+const audit = require('../services/audit');
 const mysql = require('mysql2');
 
 // Escape seguro para generar INSERTs en respaldo SQL
@@ -44,13 +52,51 @@ async function ensureDepartamentoIdByNombreUpper(nombreUpper) {
   return id;
 }
 
+// Los gerentes con alcance asignado sólo administran a los empleados de
+// sus departamentos/sucursales (services/managerScope.js), igual que en
+// las rutas de resultados.
+const OUT_OF_SCOPE_MSG = 'El empleado está fuera de su alcance';
+async function isOutOfScope(req, empleadoId) {
+  return !(await managerScope.isInScope(req.session.user, empleadoId));
+}
+
+// Campos de empleados que pueden cambiar las importaciones desde incidencias
+const IMPORT_AUDIT_FIELDS = ['nombre', 'correo', 'puesto_id', 'departamento_id', 'sucursal_id', 'login_enabled'];
+
+// Estado de los empleados ligados a incidencias (id -> fila), para
+// comparar antes y después de una importación.
+async function importSnapshot() {
+  const [rows] = await pool.execute(
+    `SELECT id, incidencia_id, ${IMPORT_AUDIT_FIELDS.join(', ')}
+     FROM empleados
+     WHERE incidencia_id IS NOT NULL`
+  );
+  return new Map(rows.map(r => [Number(r.id), r]));
+}
+
+// Registra en la bitácora, por empleado, lo que cambió una importación
+// (altas incluidas).  Se llama también si la importación falla a medias.
+async function auditImport(req, importacion, before) {
+  const after = await importSnapshot();
+  for (const [id, row] of after) {
+    const prev = before.get(id) || null;
+    const cambios = audit.diffFields(prev, row, IMPORT_AUDIT_FIELDS);
+    if (!Object.keys(cambios).length) continue;
+    await audit.logFromRequest(req, {
+      accion: 'empleado.importar',
+      empleadoId: id,
+      detalle: { importacion, incidencia_id: row.incidencia_id, alta: !prev, cambios }
+    });
+  }
+}
+
 /*
  * Página de listado de empleados.  Muestra todos los registros de la
  * tabla empleados junto con información de puesto, departamento y
  * sucursal.  Desde aquí se accede al formulario de edición y a la
  * importación desde incidencias.
  */
-router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
+router.get('/', isAuth, requirePermission('personal.view'), async (req, res) => {
   try {
     // Paginación y búsqueda
     const perPage = 100;
@@ -86,6 +132,14 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
       params.push(deptFilter);
     }
 
+    // Gerentes con alcance asignado sólo ven su departamento/sucursal
+    const ownScope = await managerScope.getScope(req.session.user.id);
+    const scopeCond = managerScope.scopeCondition(ownScope);
+    if (scopeCond) {
+      whereParts.push(scopeCond.sql);
+      params.push(...scopeCond.params);
+    }
+
     const whereClause = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
     // Contar total para la paginación (con filtro si aplica)
     const [countRows] = await pool.execute(
@@ -105,8 +159,9 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
 
     // Consulta principal: incluir nombre del jefe (puesto al que responde)
     const [rows] = await pool.execute(
-      `SELECT e.id, e.incidencia_id, e.nombre, e.correo, e.username, e.login_enabled,
-              p.nombre AS puesto_nombre, p.id AS puesto_id,
+      `SELECT e.id, e.incidencia_id, e.nombre, e.correo, e.username, e.login_enabled, e.totp_enabled,
+              p.nombre AS puesto_nombre, p.id AS puesto_id, p.role AS puesto_role,
+              (SELECT COUNT(*) FROM empleado_alcance a WHERE a.empleado_id = e.id) AS alcance_count,
               d.nombre AS departamento_nombre,
               s.nombre AS sucursal_nombre,
               p2.nombre AS jefe_nombre
@@ -133,9 +188,28 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
     // Lista de departamentos para el filtro
     const [departamentos] = await pool.execute('SELECT id, nombre FROM departamentos ORDER BY nombre');
 
+    // Usuarios con acceso bloqueado por intentos fallidos (indicador en la tabla)
+    let lockedUsernames = [];
+    let lockedIps = [];
+    try {
+      const lockedSet = await loginThrottle.getLockedUsernames(rows.map(r => r.username));
+      lockedUsernames = Array.from(lockedSet);
+      lockedIps = await loginThrottle.getLockedIps();
+    } catch (e) {
+      console.error('No se pudo consultar el estado de bloqueo de accesos:', e);
+    }
+
+    // Roles con permisos globales sobre resultados: a sus puestos se les
+    // puede asignar un alcance por departamento/sucursal.
+    const scopableRoles = (await permissions.listRoles())
+      .map(r => r.clave)
+      .filter(clave => {
+        const set = permissions.permissionsForRole(clave);
+        return set.has('results.view.any') || set.has('results.edit.any') || set.has('results.approve.any');
+      });
+
     // Codificar la cadena de búsqueda para los enlaces de paginación
     const searchEncoded = search ? encodeURIComponent(search) : '';
-    const userRole = (req.session.user && req.session.user.role) || '';
     res.render('personal', {
       title: 'Personal',
       empleados: rows,
@@ -150,8 +224,10 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
       searchEncoded,
       showBajas,
       deptFilter,
-      userRole,
-      isAdmin: userRole === 'admin'
+      lockedUsernames,
+      lockedIps,
+      canUnlockIps: !ownScope,
+      scopableRoles
     });
   } catch (err) {
     console.error('Error al listar empleados:', err);
@@ -161,7 +237,7 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
 });
 
 // Info ligera de un puesto (para actualizar UI en Personal al cambiar el puesto)
-router.get('/puesto-info/:puestoId', isAuth, requireRole(['admin','manager']), async (req, res) => {
+router.get('/puesto-info/:puestoId', isAuth, requirePermission('personal.view'), async (req, res) => {
   const puestoId = parseInt(String(req.params.puestoId || ''), 10);
   if (!Number.isFinite(puestoId)) return res.status(400).json({ ok: false, error: 'Puesto no válido' });
   try {
@@ -204,7 +280,7 @@ router.get('/puesto-info/:puestoId', isAuth, requireRole(['admin','manager']), a
  * permite seleccionar una sucursal existente; de lo contrario se
  * establece a NULL.
  */
-router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/edit/:id', isAuth, requirePermission('personal.edit'), async (req, res) => {
   const { id } = req.params;
   // IMPORTANT: usamos nombres de campo distintos a "username" para evitar autofill del navegador
   const { nombre, correo, puesto_id, login_username, password, login_enabled, sucursal_id, auto_generate_login, reset_login_password } = req.body;
@@ -224,7 +300,9 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
 
     // Obtener datos actuales del empleado (para preservar username/password cuando no se mandan)
     const [currentRows] = await pool.execute(
-      'SELECT incidencia_id, username, password, login_enabled FROM empleados WHERE id = ? LIMIT 1',
+      `SELECT incidencia_id, nombre, correo, puesto_id, departamento_id, sucursal_id,
+              username, password, login_enabled
+       FROM empleados WHERE id = ? LIMIT 1`,
       [id]
     );
     if (currentRows.length === 0) {
@@ -233,14 +311,40 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
       return res.redirect('/personal');
     }
     const currentEmp = currentRows[0];
+    if (await isOutOfScope(req, id)) {
+      if (wantsJson) return res.status(403).json({ ok: false, error: OUT_OF_SCOPE_MSG });
+      req.flash('error', OUT_OF_SCOPE_MSG);
+      return res.redirect('/personal');
+    }
 
     // Obtener departamento asociado al puesto elegido
-    const [puestoRows] = await pool.execute('SELECT departamento_id FROM puestos WHERE id = ?', [puestoIdNum]);
+    const [puestoRows] = await pool.execute('SELECT departamento_id, role FROM puestos WHERE id = ?', [puestoIdNum]);
     if (puestoRows.length === 0) {
       if (wantsJson) return res.status(400).json({ ok: false, error: 'Puesto no válido' });
       req.flash('error', 'Puesto no válido');
       return res.redirect('/personal');
     }
+
+    // Cambiar a un puesto con otro rol cambia los permisos del empleado:
+    // sin roles.manage sólo se permite si el nuevo rol no otorga permisos
+    // que el propio editor no tenga (evita escalar privilegios, incluso
+    // sobre su propia cuenta).
+    if (Number(currentEmp.puesto_id) !== puestoIdNum) {
+      const [rolRows] = currentEmp.puesto_id
+        ? await pool.execute('SELECT role FROM puestos WHERE id = ?', [currentEmp.puesto_id])
+        : [[]];
+      const currentRole = (rolRows[0] && rolRows[0].role) || 'user';
+      const newRole = puestoRows[0].role || 'user';
+      await permissions.ensureLoaded();
+      if (newRole !== currentRole
+        && !permissions.can(req.session.user, 'roles.manage')
+        && !permissions.coversRole(req.session.user, newRole)) {
+        const msg = 'No puede asignar un puesto cuyo rol tiene permisos que usted no tiene';
+        if (wantsJson) return res.status(403).json({ ok: false, error: msg });
+        req.flash('error', msg);
+        return res.redirect('/personal');
+      }
+    }
     const deptoId = puestoRows[0].departamento_id;
     // Si el departamento es OPERACIONES (buscar por nombre) y sucursal_id existe, mantenerla
     let sucId = null;
@@ -253,11 +357,12 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
     }
 
     // --- Login: generación automática de credenciales ---
-    // Política (modo fácil / texto plano):
+    // Política:
     // - username por defecto: No. empleado (incidencia_id)
     // - password por defecto: CHC-<No. empleado>
     // El usuario/contraseña pueden ser editados manualmente desde la pantalla de Personal.
-    // Sólo se expone la contraseña recién generada (o reseteada) en la respuesta JSON.
+    // En la base sólo se guarda el hash; la contraseña recién generada (o reseteada)
+    // se expone una única vez en la respuesta JSON.
     // login_enabled llega como '1' (checked) o puede venir vacío/undefined.
     // No usar coerción booleana directa porque '0' es truthy.
     const enablingLogin = String(login_enabled || '') === '1';
@@ -287,11 +392,11 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
     let generatedCreds = null;
     if (enablingLogin) {
       if (typedPassword) {
-        passwordParam = typedPassword;
+        passwordParam = await hashPassword(typedPassword);
       } else {
         // Generar si se solicitó auto o si se está reseteando.
         if (wantsResetPwd || wantsAuto || !currentEmp.password) {
-          passwordParam = generatedPassword;
+          passwordParam = await hashPassword(generatedPassword);
           generatedCreds = { username: finalUsername, password: generatedPassword };
         } else {
           passwordParam = '';
@@ -299,11 +404,16 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
       }
     }
 
+    // Si el administrador asignó una contraseña (generada o capturada), el
+    // empleado deberá cambiarla en su siguiente inicio de sesión.
+    const mustChangeParam = passwordParam ? 1 : 0;
+
     // Actualizar registro del empleado
     // Para la contraseña se utiliza COALESCE(NULLIF(?, ''), password) para conservar la existente si el campo viene vacío.
     await pool.execute(
       `UPDATE empleados
-       SET nombre = ?, correo = ?, puesto_id = ?, departamento_id = ?, sucursal_id = ?, username = ?, password = COALESCE(NULLIF(?, ''), password), login_enabled = ?
+       SET nombre = ?, correo = ?, puesto_id = ?, departamento_id = ?, sucursal_id = ?, username = ?, password = COALESCE(NULLIF(?, ''), password), login_enabled = ?,
+           must_change_password = IF(? = 1, 1, must_change_password)
        WHERE id = ?`,
       [
         nombre,
@@ -314,9 +424,33 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
         enablingLogin ? finalUsername : null,
         passwordParam,
         enablingLogin ? 1 : 0,
+        mustChangeParam,
         id
       ]
     );
+    // Bitácora: campos modificados (de la contraseña sólo se anota que cambió)
+    const cambios = audit.diffFields(currentEmp, {
+      nombre,
+      correo: correo || null,
+      puesto_id: puestoIdNum,
+      departamento_id: deptoId || null,
+      sucursal_id: sucId,
+      username: enablingLogin ? finalUsername : null,
+      login_enabled: enablingLogin ? 1 : 0
+    }, ['nombre', 'correo', 'puesto_id', 'departamento_id', 'sucursal_id', 'username', 'login_enabled']);
+    if (passwordParam) cambios.password = 'cambiada';
+    if (Object.keys(cambios).length) {
+      await audit.logFromRequest(req, { accion: 'empleado.editar', empleadoId: Number(id), detalle: cambios });
+    }
+
+    // Un reseteo por parte del administrador (o la baja del acceso) invalida
+    // cualquier enlace de recuperación pendiente.
+    // También se cierran sus sesiones abiertas.
+    if (passwordParam || !enablingLogin) {
+      await invalidateTokensForEmployee(id);
+      const isSelf = String(id) === String(req.session.user.id);
+      await revokeEmployeeSessions(id, { exceptSid: (isSelf && enablingLogin) ? req.sessionID : undefined });
+    }
     // Responder JSON cuando se edita inline (fetch/AJAX) para evitar recargar la página.
     if (wantsJson) {
       // Regresar datos mínimos para refrescar la fila.
@@ -354,6 +488,206 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
   }
 });
 
+/*
+ * Ruta POST /personal/unlock/:id
+ * Desbloquea el acceso de un empleado bloqueado por intentos fallidos
+ * de inicio de sesión.  Requiere el permiso personal.edit.
+ */
+router.post('/unlock/:id', isAuth, requirePermission('personal.edit'), async (req, res) => {
+  const back = req.get('Referer') || '/personal';
+  try {
+    const [rows] = await pool.execute('SELECT username FROM empleados WHERE id = ? LIMIT 1', [req.params.id]);
+    if (!rows.length || !rows[0].username) {
+      req.flash('error', 'Empleado no encontrado o sin usuario de acceso');
+      return res.redirect(back);
+    }
+    if (await isOutOfScope(req, req.params.id)) {
+      req.flash('error', OUT_OF_SCOPE_MSG);
+      return res.redirect(back);
+    }
+    await loginThrottle.unlockUsername(rows[0].username);
+    await audit.logFromRequest(req, {
+      accion: 'acceso.desbloquear',
+      empleadoId: Number(req.params.id),
+      detalle: { usuario: rows[0].username }
+    });
+    req.flash('success', `Acceso desbloqueado para el usuario ${rows[0].username}`);
+    return res.redirect(back);
+  } catch (err) {
+    console.error('Error al desbloquear acceso:', err);
+    req.flash('error', 'No se pudo desbloquear el acceso');
+    return res.redirect(back);
+  }
+});
+
+/*
+ * Ruta POST /personal/unlock-ip
+ * Desbloquea una IP bloqueada por intentos fallidos (por ejemplo, el NAT
+ * o proxy de una sucursal).  Requiere el permiso personal.edit y, como
+ * una IP no pertenece a ningún departamento o sucursal, no tener alcance
+ * restringido (igual que al asignar alcances).
+ */
+router.post('/unlock-ip', isAuth, requirePermission('personal.edit'), async (req, res) => {
+  const back = req.get('Referer') || '/personal';
+  const ip = String(req.body.ip || '').trim().slice(0, 45);
+  if (!ip) {
+    req.flash('error', 'IP no válida');
+    return res.redirect(back);
+  }
+  try {
+    if (await managerScope.getScope(req.session.user.id)) {
+      req.flash('error', 'Su alcance está restringido; no puede desbloquear IPs');
+      return res.redirect(back);
+    }
+    await loginThrottle.unlockIp(ip);
+    await audit.logFromRequest(req, { accion: 'acceso.desbloquear', detalle: { ip } });
+    req.flash('success', `Acceso desbloqueado para la IP ${ip}`);
+    return res.redirect(back);
+  } catch (err) {
+    console.error('Error al desbloquear IP:', err);
+    req.flash('error', 'No se pudo desbloquear la IP');
+    return res.redirect(back);
+  }
+});
+
+/*
+ * Ruta POST /personal/2fa-reset/:id
+ * Restablece la verificación en dos pasos de un empleado que perdió su
+ * dispositivo y sus códigos de respaldo.  Debe hacerlo otro
+ * administrador cuyos permisos cubran los del rol del empleado (igual que
+ * al cambiarle el puesto); se cierran las sesiones abiertas del empleado.
+ */
+router.post('/2fa-reset/:id', isAuth, requirePermission('personal.edit'), async (req, res) => {
+  const back = req.get('Referer') || '/personal';
+  if (String(req.params.id) === String(req.session.user.id)) {
+    req.flash('error', 'Su propia verificación en dos pasos debe restablecerla otro administrador');
+    return res.redirect(back);
+  }
+  try {
+    const [rows] = await pool.execute(
+      `SELECT e.id, e.nombre, p.role AS puesto_role
+       FROM empleados e
+       LEFT JOIN puestos p ON e.puesto_id = p.id
+       WHERE e.id = ? LIMIT 1`,
+      [req.params.id]
+    );
+    if (!rows.length) {
+      req.flash('error', 'Empleado no encontrado');
+      return res.redirect(back);
+    }
+    if (await isOutOfScope(req, req.params.id)) {
+      req.flash('error', OUT_OF_SCOPE_MSG);
+      return res.redirect(back);
+    }
+    await permissions.ensureLoaded();
+    if (!permissions.can(req.session.user, 'roles.manage')
+      && !permissions.coversRole(req.session.user, rows[0].puesto_role || 'user')) {
+      req.flash('error', 'No puede restablecer la verificación de un empleado cuyo rol tiene permisos que usted no tiene');
+      return res.redirect(back);
+    }
+    await totp.disableTotp(req.params.id);
+    await revokeEmployeeSessions(req.params.id);
+    await audit.logFromRequest(req, {
+      accion: 'empleado.2fa_reset',
+      empleadoId: rows[0].id,
+      detalle: { rol: rows[0].puesto_role || 'user' }
+    });
+    req.flash('success', `Verificación en dos pasos restablecida para ${rows[0].nombre}. Deberá configurarla de nuevo al iniciar sesión.`);
+    return res.redirect(back);
+  } catch (err) {
+    console.error('Error al restablecer verificación en dos pasos:', err);
+    req.flash('error', 'No se pudo restablecer la verificación en dos pasos');
+    return res.redirect(back);
+  }
+});
+
+/*
+ * Ruta GET /personal/alcance/:id
+ * Muestra los departamentos y sucursales asignados a un gerente.  Sin
+ * ninguno marcado, sus permisos globales aplican a todo el personal.
+ */
+router.get('/alcance/:id', isAuth, requirePermission('personal.edit'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT e.id, e.nombre, p.nombre AS puesto_nombre
+       FROM empleados e
+       LEFT JOIN puestos p ON e.puesto_id = p.id
+       WHERE e.id = ? LIMIT 1`,
+      [req.params.id]
+    );
+    if (!rows.length) {
+      req.flash('error', 'Empleado no encontrado');
+      return res.redirect('/personal');
+    }
+    if (await isOutOfScope(req, rows[0].id)) {
+      req.flash('error', OUT_OF_SCOPE_MSG);
+      return res.redirect('/personal');
+    }
+    const [departamentos] = await pool.execute('SELECT id, nombre FROM departamentos ORDER BY nombre');
+    const [sucursales] = await pool.execute('SELECT id, nombre FROM sucursales ORDER BY nombre');
+    const scope = await managerScope.getScope(rows[0].id);
+    res.render('alcance', {
+      title: `Alcance de ${rows[0].nombre}`,
+      empleado: rows[0],
+      departamentos,
+      sucursales,
+      alcance: scope || { departamentos: [], sucursales: [] },
+      restringido: !!scope
+    });
+  } catch (err) {
+    console.error('Error al cargar alcance:', err);
+    req.flash('error', 'No se pudo cargar el alcance del empleado');
+    return res.redirect('/personal');
+  }
+});
+
+/*
+ * Ruta POST /personal/alcance/:id
+ * Guarda el alcance (departamentos[] y sucursales[]) del empleado.  Sólo
+ * puede hacerlo quien no tiene alcance restringido: un gerente limitado
+ * podría, si no, quitarse la restricción a sí mismo o a otro.
+ */
+router.post('/alcance/:id', isAuth, requirePermission('personal.edit'), async (req, res) => {
+  const toIds = (v) => (Array.isArray(v) ? v : (v ? [v] : []))
+    .map(x => parseInt(x, 10))
+    .filter(n => Number.isInteger(n) && n > 0);
+  const departamentoIds = Array.from(new Set(toIds(req.body.departamentos)));
+  const sucursalIds = Array.from(new Set(toIds(req.body.sucursales)));
+  try {
+    const [rows] = await pool.execute('SELECT id FROM empleados WHERE id = ? LIMIT 1', [req.params.id]);
+    if (!rows.length) {
+      req.flash('error', 'Empleado no encontrado');
+      return res.redirect('/personal');
+    }
+    if (await managerScope.getScope(req.session.user.id)) {
+      req.flash('error', 'Su alcance está restringido; no puede asignar alcances');
+      return res.redirect('/personal');
+    }
+    const before = await managerScope.getScope(rows[0].id);
+    await managerScope.setScope(rows[0].id, departamentoIds, sucursalIds);
+    await audit.logFromRequest(req, {
+      accion: 'empleado.alcance',
+      empleadoId: rows[0].id,
+      detalle: {
+        antes: before || 'sin restricción',
+        despues: departamentoIds.length || sucursalIds.length
+          ? { departamentos: departamentoIds, sucursales: sucursalIds }
+          : 'sin restricción'
+      }
+    });
+    req.flash(
+      'success',
+      departamentoIds.length || sucursalIds.length
+        ? 'Alcance actualizado'
+        : 'Alcance eliminado: el empleado no tiene restricción por departamento o sucursal'
+    );
+  } catch (err) {
+    console.error('Error al guardar alcance:', err);
+    req.flash('error', 'No se pudo guardar el alcance');
+  }
+  return res.redirect(`/personal/alcance/${req.params.id}`);
+});
+
 /*
  * Ruta POST /personal/import
  * Ejecuta la importación de personal desde la base de datos de
@@ -365,8 +699,10 @@ router.post('/edit/:id', isAuth, requireRole(['admin']), async (req, res) => {
  * automáticamente al departamento OPERACIONES y se relaciona con
  * dicha sucursal.
  */
-router.post('/import', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/import', isAuth, requirePermission('personal.import'), async (req, res) => {
+  let before = null;
   try {
+    before = await importSnapshot();
     // Consulta a la base de incidencias.  Ajustar el nombre de la tabla y columnas según sea necesario.
     const [remotos] = await incidenciasPool.execute(
       `SELECT employee_number AS codigo,
@@ -454,10 +790,14 @@ router.post('/import', isAuth, requireRole(['admin']), async (req, res) => {
       }
       importados++;
     }
+    await auditImport(req, 'import', before);
+    // Los empleados que pasaron a BAJA pierden sus sesiones abiertas
+    await revokeDisabledEmployeeSessions();
     req.flash('success', `Se importaron/actualizaron ${importados} empleados`);
     return res.redirect('/personal');
   } catch (err) {
     console.error('Error al importar desde incidencias:', err);
+    if (before) await auditImport(req, 'import', before).catch(e => console.error('Error al auditar la importación:', e));
     req.flash('error', 'No fue posible importar desde la base de incidencias');
     return res.redirect('/personal');
   }
@@ -472,8 +812,10 @@ router.post('/import', isAuth, requireRole(['admin']), async (req, res) => {
  * el departamento remoto coincide con una sucursal conocida, se asigna
  * el departamento OPERACIONES y se relaciona con la sucursal.
  */
-router.post('/import-nuevos', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/import-nuevos', isAuth, requirePermission('personal.import'), async (req, res) => {
+  let before = null;
   try {
+    before = await importSnapshot();
     const [remotos] = await incidenciasPool.execute(
       `SELECT employee_number AS codigo,
               full_name AS nombre,
@@ -545,10 +887,12 @@ router.post('/import-nuevos', isAuth, requireRole(['admin']), async (req, res) =
       );
       nuevos++;
     }
+    await auditImport(req, 'import-nuevos', before);
     req.flash('success', `Se importaron ${nuevos} nuevos empleados`);
     return res.redirect('/personal');
   } catch (err) {
     console.error('Error al importar nuevos desde incidencias:', err);
+    if (before) await auditImport(req, 'import-nuevos', before).catch(e => console.error('Error al auditar la importación:', e));
     req.flash('error', 'No fue posible importar nuevos empleados');
     return res.redirect('/personal');
   }
@@ -563,8 +907,10 @@ router.post('/import-nuevos', isAuth, requireRole(['admin']), async (req, res) =
  *    Esto evita re-asignar departamento cuando existen puestos duplicados por nombre
  *    y el usuario cambió manualmente el departamento en KPIs.
  */
-router.post('/import-puestos', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/import-puestos', isAuth, requirePermission('personal.import'), async (req, res) => {
+  let before = null;
   try {
+    before = await importSnapshot();
     const [remotos] = await incidenciasPool.execute(
       `SELECT employee_number AS codigo,
               puesto AS puesto,
@@ -693,10 +1039,14 @@ router.post('/import-puestos', isAuth, requireRole(['admin']), async (req, res)
       );
       puestosActualizados++;
     }
+    await auditImport(req, 'import-puestos', before);
+    // Los empleados que pasaron a BAJA pierden sus sesiones abiertas
+    await revokeDisabledEmployeeSessions();
     req.flash('success', `Correos actualizados: ${correosActualizados}. Puestos/dep actualizados: ${puestosActualizados}. Sucursales (puesto igual) actualizadas: ${sucursalesActualizadas}.`);
     return res.redirect('/personal');
   } catch (err) {
     console.error('Error al actualizar puestos desde incidencias:', err);
+    if (before) await auditImport(req, 'import-puestos', before).catch(e => console.error('Error al auditar la importación:', e));
     req.flash('error', 'No fue posible actualizar puesto/correo desde incidencias');
     return res.redirect('/personal');
   }
@@ -709,7 +1059,8 @@ router.post('/import-puestos', isAuth, requireRole(['admin']), async (req, res)
  * el empleado se mueve al departamento BAJA, se limpia sucursal y se deshabilita login.
  * No modifica puesto ni nombre.
  */
-router.post('/import-bajas', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/import-bajas', isAuth, requirePermission('personal.import'), async (req, res) => {
+  let before = null;
   try {
     const bajaId = await ensureDepartamentoIdByNombreUpper('BAJA');
     if (!bajaId) {
@@ -732,6 +1083,7 @@ router.post('/import-bajas', isAuth, requireRole(['admin']), async (req, res) =>
       return res.redirect('/personal');
     }
 
+    before = await importSnapshot();
     // Actualizar en lotes para evitar queries enormes
     const chunkSize = 500;
     let actualizados = 0;
@@ -748,23 +1100,41 @@ router.post('/import-bajas', isAuth, requireRole(['admin']), async (req, res) =>
       actualizados += (result && typeof result.affectedRows === 'number') ? result.affectedRows : 0;
     }
 
+    await auditImport(req, 'import-bajas', before);
+    // Cerrar las sesiones abiertas de quienes pasaron a BAJA
+    await revokeDisabledEmployeeSessions();
+
     req.flash('success', `Se actualizaron ${actualizados} empleados a BAJA`);
     return res.redirect('/personal?showBajas=1');
   } catch (err) {
     console.error('Error al actualizar BAJAS desde incidencias:', err);
+    if (before) await auditImport(req, 'import-bajas', before).catch(e => console.error('Error al auditar la importación:', e));
     req.flash('error', 'No fue posible actualizar BAJAS');
     return res.redirect('/personal');
   }
 });
 
+// Tablas de las que el respaldo sólo lleva la estructura: sesiones abiertas,
+// tokens de recuperación y códigos de respaldo de la verificación en dos
+// pasos.  Con ellas, quien tuviera el archivo podría entrar como otro.
+const BACKUP_SKIP_DATA = ['sesiones', 'password_reset_tokens', 'totp_backup_codes'];
+
+// Columnas que se respaldan con un valor fijo en lugar del real.  Sin el
+// secreto TOTP la verificación queda desactivada: tras restaurar, cada
+// empleado la vuelve a configurar al iniciar sesión.
+const BACKUP_MASKED_COLUMNS = {
+  empleados: { totp_secret: null, totp_enabled: 0, totp_last_counter: null }
+};
+
 /**
  * Respaldo completo de la base de datos (SQL).
  * GET /personal/db-backup
  *
  * Nota: se genera un dump en formato .sql (estructura + datos) sin depender
  * de binarios externos como mysqldump, para que funcione igual en Railway.
+ * No incluye secretos de acceso (ver BACKUP_SKIP_DATA y BACKUP_MASKED_COLUMNS).
  */
-router.get('/db-backup', isAuth, requireRole(['admin']), async (req, res) => {
+router.get('/db-backup', isAuth, requirePermission('backup.download'), async (req, res) => {
   try {
     const ts = new Date();
     const pad2 = (n) => String(n).padStart(2, '0');
@@ -804,6 +1174,11 @@ router.get('/db-backup', isAuth, requireRole(['admin']), async (req, res) => {
       }
 
       // Datos
+      if (BACKUP_SKIP_DATA.includes(String(table).toLowerCase())) {
+        write(`-- Datos omitidos por seguridad.\n`);
+        continue;
+      }
+      const masked = BACKUP_MASKED_COLUMNS[String(table).toLowerCase()] || {};
       const [countRows] = await pool.query(`SELECT COUNT(*) AS c FROM \`${table}\``);
       const total = countRows && countRows[0] ? Number(countRows[0].c || 0) : 0;
       if (!total) continue;
@@ -817,7 +1192,7 @@ router.get('/db-backup', isAuth, requireRole(['admin']), async (req, res) => {
         const colList = cols.map(c => `\`${c}\``).join(',');
         const valuesSql = rows.map(r => {
           const vals = cols.map(c => {
-            const v = r[c];
+            const v = Object.prototype.hasOwnProperty.call(masked, c) ? masked[c] : r[c];
             return v === null || v === undefined ? 'NULL' : sqlEscape(v);
           }).join(',');
           return `(${vals})`;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db');
+const isAuth = require('../middleware/isAuth');
+const { requirePermission } = require('../middleware/roles');
+const permissions = require('../services/permissions');
+const managerScope = require('../services/managerScope');
+const { LOGIN_SELECT } = require('../services/authProviders');
+const audit = require('../services/audit');
+
+/*
+ * Ruta POST /ver-como/:id
+ * Inicia el modo "Ver como": el dashboard y los subárboles se construyen
+ * como si el empleado indicado hubiera iniciado sesión, para reproducir
+ * lo que él ve.  Por defecto es de sólo lectura (middleware/impersonation.js);
+ * con permitir_cambios=1 se permite guardar en su nombre.  Sólo se puede
+ * ver como un empleado dentro del propio alcance y cuyo rol no tenga
+ * permisos que el administrador no tenga: la sesión toma el rol del
+ * empleado.  El inicio y la salida quedan registrados en la bitácora de
+ * auditoría.
+ */
+router.post('/:id(\\d+)', isAuth, requirePermission('personal.impersonate'), async (req, res) => {
+  const back = req.get('Referer') || '/personal';
+  if (req.session.impersonator) {
+    req.flash('error', 'Ya está en modo "Ver como"; salga primero');
+    return res.redirect(back);
+  }
+  const admin = req.session.user;
+  if (String(req.params.id) === String(admin.id)) {
+    req.flash('error', 'No puede usar "Ver como" con su propia cuenta');
+    return res.redirect(back);
+  }
+  try {
+    const [rows] = await pool.execute(`${LOGIN_SELECT} WHERE e.id = ? LIMIT 1`, [req.params.id]);
+    if (!rows.length) {
+      req.flash('error', 'Empleado no encontrado');
+      return res.redirect(back);
+    }
+    const row = rows[0];
+    await permissions.ensureLoaded();
+    if (!permissions.coversRole(admin, row.puesto_role || 'user')) {
+      req.flash('error', 'No puede usar "Ver como" con un empleado que tiene permisos que usted no tiene');
+      return res.redirect(back);
+    }
+    if (!(await managerScope.isInScope(admin, row.id))) {
+      req.flash('error', 'El empleado está fuera de su alcance');
+      return res.redirect(back);
+    }
+    const readOnly = String(req.body.permitir_cambios || '') !== '1';
+
+    req.session.impersonator = admin;
+    req.session.impersonation = { readOnly, startedAt: Date.now() };
+    req.session.user = {
+      id: row.id,
+      nombre: row.nombre,
+      puesto_id: row.puesto_id,
+      departamento_id: row.departamento_id,
+      username: row.username,
+      puesto_nombre: row.puesto_nombre,
+      departamento_nombre: row.departamento_nombre,
+      role: row.puesto_role || 'user',
+      auth_provider: 'impersonation',
+      must_change_password: false,
+      must_enroll_2fa: false
+    };
+    await audit.logEvent({
+      actor: admin,
+      accion: 'impersonation.start',
+      empleadoId: row.id,
+      detalle: { readOnly },
+      ip: req.ip
+    });
+    req.flash('success', `Viendo el sistema como ${row.nombre}${readOnly ? ' (sólo lectura)' : ''}`);
+    return res.redirect('/dashboard');
+  } catch (err) {
+    console.error('Error al iniciar "Ver como":', err);
+    req.flash('error', 'No se pudo iniciar el modo "Ver como"');
+    return res.redirect(back);
+  }
+});
+
+/*
+ * Ruta POST /ver-como/salir
+ * Termina el modo "Ver como" y restaura la sesión del administrador.
+ */
+router.post('/salir', isAuth, async (req, res) => {
+  const admin = req.session.impersonator;
+  if (!admin) {
+    return res.redirect('/dashboard');
+  }
+  const target = req.session.user;
+  await audit.logImpersonationStop(req);
+  req.session.user = admin;
+  delete req.session.impersonator;
+  delete req.session.impersonation;
+  req.flash('success', `Terminó el modo "Ver como" ${target ? target.nombre : ''}`.trim());
+  return res.redirect('/personal');
+});
+
+module.exports = router;
@@ -23,7 +23,17 @@ function redirectToKpis(req, res, deptId, anchorId) {
 
 const { pool } = require('../db');
 const isAuth = require('../middleware/isAuth');
-const { requireRole } = require('../middleware/roles');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../services/audit');
+const kpiVersions = require('../services/kpiVersions');
+const kpiRecalc = require('../services/kpiRecalc');
+const kpiFormula = require('../services/kpiFormula');
+const kpiPeriodicity = require('../services/kpiPeriodicity');
+const kpiTargets = require('../services/kpiTargets');
+const kpiCalendar = require('../services/kpiCalendar');
+const scoringScale = require('../services/scoringScale');
+const periodLock = require('../services/periodLock');
+const { getDefaultPeriod } = kpiPeriodicity;
 
 // Si un KPI es de tipo "porcentaje", estandarizamos los límites a un máximo de 100.00
 // (esto evita rangos > 100 que después no califican correctamente en el sistema).
@@ -54,6 +64,71 @@ function isPctType(scoreType) {
   return String(scoreType).toUpperCase() === 'PERCENT';
 }
 
+// Campos de la definición de un KPI que se registran en la bitácora de auditoría
+const KPI_AUDIT_FIELDS = [
+  'nombre', 'objetivo', 'unidad',
+  'rojo_min', 'rojo_max', 'amarillo_min', 'amarillo_max', 'verde_min', 'verde_max',
+  'score_type', 'direction', 'threshold_yellow', 'threshold_green',
+  'criterion_red', 'criterion_yellow', 'criterion_green',
+  'score_mode', 'score_floor', 'score_cap',
+  'formula',
+  'periodicidad', 'agregacion',
+  'departamento_id', 'corporativo'
+];
+
+// Inicio de vigencia de una edición ("YYYY-MM" del input type=month).  Si no
+// llega o es inválido, se usa el periodo por defecto del dashboard.
+function parseVigencia(raw) {
+  const parsed = parseMonth(raw);
+  if (parsed) return parsed;
+  const def = getDefaultPeriod();
+  return { anio: def.year, mes: def.month };
+}
+
+// Primer periodo cerrado a partir de "desde" (o null).  Una versión nueva
+// aplica desde ese mes en adelante, así que no puede cubrir un periodo
+// cerrado: cambiaría en silencio sus puntos, totales y exportaciones.
+async function firstClosedFrom(desde) {
+  const closed = Array.from(await periodLock.listClosedPeriods())
+    .map(key => key.split('-').map(Number))
+    .filter(([anio, mes]) => anio > desde.anio || (anio === desde.anio && mes >= desde.mes))
+    .sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+  return closed.length ? { anio: closed[0][0], mes: closed[0][1] } : null;
+}
+
+function formatVigencia(anio, mes) {
+  return `${anio}-${String(mes).padStart(2, '0')}`;
+}
+
+function closedVigenciaMessage(closed) {
+  return `El periodo ${formatVigencia(closed.anio, closed.mes)} está cerrado: `
+    + 'elige en "Vigente desde" un mes posterior a los periodos cerrados';
+}
+
+// Mes "YYYY-MM" o null si es inválido
+function parseMonth(raw) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(raw || '').trim());
+  if (!m) return null;
+  const anio = parseInt(m[1], 10);
+  const mes = parseInt(m[2], 10);
+  return (anio >= 2000 && mes >= 1 && mes <= 12) ? { anio, mes } : null;
+}
+
+// Opciones del recálculo de semáforos a partir del formulario (query o body)
+function recalcOptions(src) {
+  const def = getDefaultPeriod();
+  const desde = parseMonth(src.desde) || { anio: def.year, mes: 1 };
+  const hasta = parseMonth(src.hasta) || { anio: def.year, mes: def.month };
+  const kpiId = parseInt(src.kpi_id, 10);
+  return {
+    kpiId: Number.isFinite(kpiId) && kpiId > 0 ? kpiId : null,
+    desde,
+    hasta,
+    // Por omisión no se tocan los resultados aprobados
+    skipApproved: src.omitir_aprobados === undefined ? true : String(src.omitir_aprobados) === '1'
+  };
+}
+
 function normalizeKpiPayload(raw) {
   let {
     nombre,
@@ -72,18 +147,31 @@ function normalizeKpiPayload(raw) {
     criterion_yellow,
     criterion_green,
 
+    score_mode,
+    score_floor,
+    score_cap,
+
+    formula,
+
+    periodicidad,
+    agregacion,
+
     departamento_id
   } = raw;
 
   // Normalizar textos
   nombre = toNullableText(nombre);
   objetivo = toNullableText(objetivo);
-  // departamento_id puede venir como string; lo normalizamos o nulificamos
+  // departamento_id puede venir como string; lo normalizamos o nulificamos.
+  // "corporativo" marca un KPI de la biblioteca corporativa (sin departamento,
+  // disponible para los puestos de cualquier departamento).
   departamento_id = departamento_id ?? null;
+  const corporativo = String(departamento_id) === 'corporativo' ? 1 : 0;
+  if (corporativo) departamento_id = null;
 
   // Normalizar tipo de calificación
   score_type = (score_type || 'PERCENT').toString().toUpperCase();
-  if (!['PERCENT', 'NUMBER', 'CRITERION'].includes(score_type)) {
+  if (!['PERCENT', 'NUMBER', 'CRITERION', 'FORMULA'].includes(score_type)) {
     score_type = 'PERCENT';
   }
 
@@ -106,11 +194,12 @@ function normalizeKpiPayload(raw) {
       break;
   }
 
-  // Dirección (solo aplica para numérico/porcentaje)
+  // Dirección (solo aplica para numérico/porcentaje).  WITHIN_RANGE: verde
+  // dentro de una banda, amarillo en una banda más amplia y rojo fuera.
   direction = toNullableText(direction);
   if (score_type !== 'CRITERION') {
     direction = direction || 'HIGHER_BETTER';
-    if (!['HIGHER_BETTER', 'LOWER_BETTER'].includes(direction)) {
+    if (!['HIGHER_BETTER', 'LOWER_BETTER', 'WITHIN_RANGE'].includes(direction)) {
       direction = 'HIGHER_BETTER';
     }
   } else {
@@ -128,6 +217,21 @@ function normalizeKpiPayload(raw) {
   threshold_yellow = toNullableNumber(threshold_yellow);
   threshold_green = toNullableNumber(threshold_green);
 
+  // Modo de puntaje: STEP (puntos por color) o CONTINUOUS (proporcional a la meta)
+  score_mode = (score_mode || 'STEP').toString().toUpperCase();
+  if (score_type === 'CRITERION' || direction === 'WITHIN_RANGE' || !['STEP', 'CONTINUOUS'].includes(score_mode)) {
+    score_mode = 'STEP';
+  }
+  score_floor = score_mode === 'CONTINUOUS' ? toNullableNumber(score_floor) : null;
+  score_cap = score_mode === 'CONTINUOUS' ? toNullableNumber(score_cap) : null;
+
+  // Fórmula: sólo para KPIs calculados (se valida aparte con kpiFormula)
+  formula = score_type === 'FORMULA' ? toNullableText(formula) : null;
+
+  // Periodicidad (Mensual por omisión); la regla de agregación sólo aplica a semanales
+  periodicidad = kpiPeriodicity.normalize(periodicidad);
+  agregacion = periodicidad === 'Semanal' ? kpiPeriodicity.normalizeAggregation(agregacion, score_type) : null;
+
   // Normalizar criterios
   criterion_red = toNullableText(criterion_red);
   criterion_yellow = toNullableText(criterion_yellow);
@@ -144,6 +248,7 @@ function normalizeKpiPayload(raw) {
 
     threshold_yellow = clampPct100(threshold_yellow);
     threshold_green = clampPct100(threshold_green);
+    score_floor = clampPct100(score_floor);
   }
 
   // Switch limpio entre modos:
@@ -166,6 +271,14 @@ function normalizeKpiPayload(raw) {
     criterion_green = null;
   }
 
+  // Rango: las bandas viven en amarillo_min..verde_max (el rojo es todo lo
+  // que queda fuera); los umbrales no aplican.
+  if (direction === 'WITHIN_RANGE') {
+    rojo_min = null; rojo_max = null;
+    threshold_yellow = null;
+    threshold_green = null;
+  }
+
   return {
     nombre,
     objetivo,
@@ -182,17 +295,99 @@ function normalizeKpiPayload(raw) {
     criterion_yellow,
     criterion_green,
 
-    departamento_id
+    score_mode,
+    score_floor,
+    score_cap,
+
+    formula,
+
+    periodicidad,
+    agregacion,
+
+    departamento_id,
+    corporativo
   };
 }
 
+// Validación del modo proporcional: el piso debe quedar del lado malo de la
+// meta (umbral verde) y el tope, si se indica, no puede ser menor a 100 %.
+function continuousModeError(p) {
+  if (p.score_mode !== 'CONTINUOUS') return null;
+  if (p.threshold_green === null || p.score_floor === null) {
+    return 'El puntaje proporcional requiere el Umbral Verde (meta) y el piso';
+  }
+  const lowerBetter = p.direction === 'LOWER_BETTER';
+  if (lowerBetter ? p.score_floor <= p.threshold_green : p.score_floor >= p.threshold_green) {
+    return lowerBetter
+      ? 'El piso debe ser mayor que el Umbral Verde (menos es mejor)'
+      : 'El piso debe ser menor que el Umbral Verde';
+  }
+  if (p.score_cap !== null && (p.score_cap < 100 || p.score_cap > 1000)) {
+    return 'El tope debe estar entre 100 y 1000 %';
+  }
+  return null;
+}
+
+// Validación de la periodicidad: las semanas se agregan sumando o
+// promediando, así que los KPIs semanales deben ser numéricos.
+function periodicityError(p) {
+  if (p.periodicidad === 'Semanal' && !['NUMBER', 'PERCENT'].includes(p.score_type)) {
+    return 'Sólo los KPIs numéricos o de porcentaje pueden ser semanales';
+  }
+  return null;
+}
+
+// Validación de la dirección WITHIN_RANGE: la banda verde debe estar
+// contenida en la amarilla (amarillo_min <= verde_min <= verde_max <= amarillo_max).
+function withinRangeError(p) {
+  if (p.direction !== 'WITHIN_RANGE') return null;
+  const bands = [p.amarillo_min, p.verde_min, p.verde_max, p.amarillo_max];
+  if (bands.some(v => v === null)) {
+    return 'El KPI dentro de rango requiere mínimo y máximo de Verde y de Amarillo';
+  }
+  for (let i = 1; i < bands.length; i++) {
+    if (bands[i] < bands[i - 1]) {
+      return 'La banda verde debe quedar dentro de la amarilla (Amarillo mín ≤ Verde mín ≤ Verde máx ≤ Amarillo máx)';
+    }
+  }
+  return null;
+}
+
+// Aplica a las copias de un KPI (origen_kpi_id) la definición editada en
+// el original (objetivo, umbrales, criterios, periodicidad y agregación)
+// como nueva versión desde el mismo periodo.  El nombre y el
+// departamento de cada copia no se tocan.  Las fórmulas no se propagan: sus
+// referencias son KPIs del departamento de origen.  Devuelve cuántas copias
+// cambiaron.
+async function propagateToCopies(req, sourceId, p, desde) {
+  if (p.score_type === 'FORMULA') return 0;
+  const [copias] = await pool.execute('SELECT * FROM kpis WHERE origen_kpi_id = ?', [sourceId]);
+  if (!copias.length) return 0;
+  const versionMap = await kpiVersions.loadVersions(copias.map(c => c.id));
+  let changed = 0;
+  for (const copia of copias) {
+    const vigente = kpiVersions.definitionFor(copia, versionMap, desde.anio, desde.mes);
+    const changes = audit.diffFields(vigente, p, kpiVersions.VERSIONED_FIELDS);
+    if (!Object.keys(changes).length) continue;
+    if (!versionMap.has(Number(copia.id))) {
+      await kpiVersions.saveVersion(copia.id, copia, kpiVersions.INITIAL_PERIOD, null);
+    }
+    await kpiVersions.saveVersion(copia.id, p, desde, req.session.user.id);
+    changes.vigente_desde = formatVigencia(desde.anio, desde.mes);
+    changes.propagado_desde = Number(sourceId);
+    await audit.logFromRequest(req, { accion: 'kpi.editar', kpiId: copia.id, detalle: changes });
+    changed++;
+  }
+  return changed;
+}
+
 /*
  * GET /kpis
  * Muestra la interfaz para crear un nuevo KPI y la lista de KPIs
  * existentes agrupados por departamento.  Permite la edición inline
  * de los KPIs mediante un formulario por cada fila.
  */
-router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
+router.get('/', isAuth, requirePermission('kpi.view'), async (req, res) => {
   try {
     const [departamentos] = await pool.execute('SELECT id, nombre FROM departamentos ORDER BY nombre');
     const selectedDepartamento = (req.query.departamento_id && req.query.departamento_id !== 'all')
@@ -201,14 +396,21 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
 
     const search = (req.query.q || '').toString().trim();
 
-    // Consultar los KPIs existentes con el nombre del departamento (con filtro opcional)
-    let sql = `SELECT k.*, d.nombre AS departamento_nombre
+    // Consultar los KPIs existentes con el nombre del departamento (con filtro
+    // opcional; los corporativos aparecen en todos los departamentos), su KPI
+    // de origen si es una copia y cuántas copias tiene
+    let sql = `SELECT k.*, d.nombre AS departamento_nombre,
+                      o.nombre AS origen_nombre,
+                      (SELECT COUNT(*) FROM kpis c WHERE c.origen_kpi_id = k.id) AS copias
                FROM kpis k
-               LEFT JOIN departamentos d ON k.departamento_id = d.id`;
+               LEFT JOIN departamentos d ON k.departamento_id = d.id
+               LEFT JOIN kpis o ON o.id = k.origen_kpi_id`;
     const params = [];
     const where = [];
-    if (selectedDepartamento !== 'all') {
-      where.push('k.departamento_id = ?');
+    if (selectedDepartamento === 'corporativo') {
+      where.push('k.corporativo = 1');
+    } else if (selectedDepartamento !== 'all') {
+      where.push('(k.departamento_id = ? OR k.corporativo = 1)');
       params.push(selectedDepartamento);
     }
     if (search) {
@@ -216,19 +418,23 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
       params.push(`%${search}%`);
     }
     if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
-    sql += ' ORDER BY d.nombre, k.nombre';
+    sql += ' ORDER BY k.corporativo DESC, d.nombre, k.nombre';
 
     const [kpis] = await pool.execute(sql, params);
-    // Pasamos el rol del usuario para permitir/disabling acciones en la vista
-    const userRole = (req.session.user && req.session.user.role) || '';
+    await kpiFormula.annotate(kpis);
+    // Historial de versiones de cada KPI (más reciente primero)
+    const versionMap = await kpiVersions.loadVersions(kpis.map(k => k.id));
+    const versiones = {};
+    versionMap.forEach((list, kpiId) => { versiones[kpiId] = list.slice().reverse(); });
+    const def = getDefaultPeriod();
     res.render('kpis', {
       title: 'KPIs',
       departamentos,
       kpis,
+      versiones,
+      defaultVigencia: formatVigencia(def.year, def.month),
       selectedDepartamento,
-      search,
-      userRole,
-      isAdmin: userRole === 'admin'
+      search
     });
   } catch (err) {
     console.error('Error al cargar KPIs:', err);
@@ -241,29 +447,42 @@ router.get('/', isAuth, requireRole(['admin','manager']), async (req, res) => {
  * POST /kpis/create
  * Crea un nuevo KPI con la información proporcionada por el usuario.
  */
-router.post('/create', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/create', isAuth, requirePermission('kpi.edit'), async (req, res) => {
   const p = normalizeKpiPayload(req.body);
 
-  if (!p.nombre || !p.departamento_id) {
+  if (!p.nombre || (!p.departamento_id && !p.corporativo)) {
     req.flash('error', 'El nombre y el departamento son obligatorios');
     return redirectToKpis(req, res, p.departamento_id);
   }
+  const defError = continuousModeError(p) || withinRangeError(p) || periodicityError(p);
+  if (defError) {
+    req.flash('error', defError);
+    return redirectToKpis(req, res, p.departamento_id);
+  }
 
   try {
-    await pool.execute(
+    const formulaError = await kpiFormula.validateFormula(p, null);
+    if (formulaError) {
+      req.flash('error', formulaError);
+      return redirectToKpis(req, res, p.departamento_id);
+    }
+
+    const [result] = await pool.execute(
       `INSERT INTO kpis (
           nombre, objetivo, unidad,
           rojo_min, rojo_max, amarillo_min, amarillo_max, verde_min, verde_max,
           score_type, direction, threshold_yellow, threshold_green,
           criterion_red, criterion_yellow, criterion_green,
-          periodicidad, departamento_id
+          score_mode, score_floor, score_cap, formula,
+          periodicidad, agregacion, departamento_id, corporativo
        )
        VALUES (
           ?, ?, ?,
           ?, ?, ?, ?, ?, ?,
           ?, ?, ?, ?,
           ?, ?, ?,
-          'Mensual', ?
+          ?, ?, ?, ?,
+          ?, ?, ?, ?
        )`,
       [
         p.nombre,
@@ -286,9 +505,24 @@ router.post('/create', isAuth, requireRole(['admin']), async (req, res) => {
         p.criterion_yellow,
         p.criterion_green,
 
-        p.departamento_id
+        p.score_mode,
+        p.score_floor,
+        p.score_cap,
+        p.formula,
+
+        p.periodicidad,
+        p.agregacion,
+        p.departamento_id,
+        p.corporativo
       ]
     );
+    // Versión inicial: aplica a cualquier periodo hasta que se edite
+    await kpiVersions.saveVersion(result.insertId, p, kpiVersions.INITIAL_PERIOD, req.session.user.id);
+    await audit.logFromRequest(req, {
+      accion: 'kpi.crear',
+      kpiId: result.insertId,
+      detalle: audit.diffFields({}, p, KPI_AUDIT_FIELDS)
+    });
 
     req.flash('success', 'KPI creado');
     return redirectToKpis(req, res, p.departamento_id);
@@ -301,52 +535,85 @@ router.post('/create', isAuth, requireRole(['admin']), async (req, res) => {
 
 /*
  * POST /kpis/update/:id
- * Actualiza los valores de un KPI existente.  Los campos se reciben
- * como texto; se convierten a null cuando vienen vacíos para que se
- * almacenen correctamente en la base.
+ * Actualiza un KPI existente.  Los campos se reciben como texto; se
+ * convierten a null cuando vienen vacíos para que se almacenen
+ * correctamente en la base.  Nombre y departamento se actualizan en su
+ * lugar; los cambios de objetivo, umbrales, criterios o periodicidad se
+ * guardan como una nueva versión vigente desde el periodo indicado
+ * (vigente_desde), sin alterar la calificación de los meses anteriores.
  */
-router.post('/update/:id', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/update/:id', isAuth, requirePermission('kpi.edit'), async (req, res) => {
   const { id } = req.params;
   const p = normalizeKpiPayload(req.body);
+  const desde = parseVigencia(req.body.vigente_desde);
+  const defError = continuousModeError(p) || withinRangeError(p) || periodicityError(p);
+  if (defError) {
+    req.flash('error', defError);
+    return redirectToKpis(req, res, p.departamento_id, id);
+  }
 
   try {
-    await pool.execute(
-      `UPDATE kpis SET
-         nombre=?,
-         objetivo=?,
-         unidad=?,
-         rojo_min=?, rojo_max=?, amarillo_min=?, amarillo_max=?, verde_min=?, verde_max=?,
-         score_type=?, direction=?, threshold_yellow=?, threshold_green=?,
-         criterion_red=?, criterion_yellow=?, criterion_green=?,
-         departamento_id=?
-       WHERE id=?`,
-      [
-        p.nombre,
-        p.objetivo,
-        p.unidad,
+    const [beforeRows] = await pool.execute('SELECT * FROM kpis WHERE id = ? LIMIT 1', [id]);
+    if (!beforeRows.length) {
+      req.flash('error', 'El KPI no existe');
+      return redirectToKpis(req, res, p.departamento_id);
+    }
+    const before = beforeRows[0];
 
-        p.rojo_min,
-        p.rojo_max,
-        p.amarillo_min,
-        p.amarillo_max,
-        p.verde_min,
-        p.verde_max,
+    const formulaError = await kpiFormula.validateFormula(p, id);
+    if (formulaError) {
+      req.flash('error', formulaError);
+      return redirectToKpis(req, res, p.departamento_id, id);
+    }
 
-        p.score_type,
-        p.direction,
-        p.threshold_yellow,
-        p.threshold_green,
+    // Comparar contra la definición vigente en el periodo elegido
+    const versionMap = await kpiVersions.loadVersions([id]);
+    const vigente = kpiVersions.definitionFor(before, versionMap, desde.anio, desde.mes);
+    const defChanges = audit.diffFields(vigente, p, kpiVersions.VERSIONED_FIELDS);
+    const propagar = String(req.body.propagar || '') === '1';
 
-        p.criterion_red,
-        p.criterion_yellow,
-        p.criterion_green,
+    // La nueva versión (y la de las copias) no puede empezar en un periodo cerrado
+    if (Object.keys(defChanges).length || propagar) {
+      const closed = await firstClosedFrom(desde);
+      if (closed) {
+        req.flash('error', closedVigenciaMessage(closed));
+        return redirectToKpis(req, res, p.departamento_id, id);
+      }
+    }
 
-        p.departamento_id,
-        id
-      ]
+    await pool.execute(
+      'UPDATE kpis SET nombre = ?, departamento_id = ?, corporativo = ? WHERE id = ?',
+      [p.nombre, p.departamento_id, p.corporativo, id]
     );
 
-    req.flash('success', 'KPI actualizado');
+    if (Object.keys(defChanges).length) {
+      // KPI sin historial: la definición actual pasa a ser la versión inicial
+      if (!versionMap.has(Number(id))) {
+        await kpiVersions.saveVersion(id, before, kpiVersions.INITIAL_PERIOD, null);
+      }
+      await kpiVersions.saveVersion(id, p, desde, req.session.user.id);
+    }
+
+    const changes = {
+      ...audit.diffFields(before, p, ['nombre', 'departamento_id', 'corporativo']),
+      ...defChanges
+    };
+    if (Object.keys(changes).length) {
+      if (Object.keys(defChanges).length) changes.vigente_desde = formatVigencia(desde.anio, desde.mes);
+      await audit.logFromRequest(req, { accion: 'kpi.editar', kpiId: id, detalle: changes });
+    }
+
+    // Opcional: llevar el cambio a las copias del KPI (Clonar a departamento(s))
+    let propagadas = 0;
+    if (propagar) {
+      propagadas = await propagateToCopies(req, id, p, desde);
+    }
+
+    let msg = Object.keys(defChanges).length
+      ? `KPI actualizado (vigente desde ${formatVigencia(desde.anio, desde.mes)})`
+      : 'KPI actualizado';
+    if (propagadas) msg += `; cambio aplicado a ${propagadas} ${propagadas === 1 ? 'copia' : 'copias'}`;
+    req.flash('success', msg);
     return redirectToKpis(req, res, p.departamento_id, id);
   } catch (err) {
     console.error('Error al actualizar KPI:', err);
@@ -355,4 +622,665 @@ router.post('/update/:id', isAuth, requireRole(['admin']), async (req, res) => {
   }
 });
 
+// Columnas que se copian al clonar un KPI (la definición completa)
+const KPI_CLONE_FIELDS = [
+  'nombre', 'objetivo', 'unidad',
+  'rojo_min', 'rojo_max', 'amarillo_min', 'amarillo_max', 'verde_min', 'verde_max',
+  'score_type', 'direction', 'threshold_yellow', 'threshold_green',
+  'criterion_red', 'criterion_yellow', 'criterion_green',
+  'score_mode', 'score_floor', 'score_cap',
+  'periodicidad', 'agregacion'
+];
+
+/*
+ * POST /kpis/:id/clonar
+ * Copia la definición vigente del KPI a uno o varios departamentos.  Cada
+ * copia guarda en origen_kpi_id el KPI original (el de la biblioteca, si
+ * se clona una copia) para poder propagarle después los cambios.  No se
+ * crea una segunda copia en un departamento que ya tiene una.  Los KPIs de
+ * fórmula no se clonan porque sus referencias son del departamento de origen.
+ */
+router.post('/:id(\\d+)/clonar', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  const { id } = req.params;
+  let ids = req.body.departamento_ids;
+  if (!Array.isArray(ids)) ids = ids ? [ids] : [];
+  ids = [...new Set(ids.map(v => parseInt(v, 10)).filter(n => Number.isFinite(n) && n > 0))];
+  if (!ids.length) {
+    req.flash('error', 'Selecciona al menos un departamento');
+    return redirectToKpis(req, res, null, id);
+  }
+  try {
+    const [rows] = await pool.execute('SELECT * FROM kpis WHERE id = ? LIMIT 1', [id]);
+    if (!rows.length) {
+      req.flash('error', 'El KPI no existe');
+      return redirectToKpis(req, res);
+    }
+    const source = rows[0];
+    if (String(source.score_type || '').toUpperCase() === 'FORMULA') {
+      req.flash('error', 'Los KPIs de fórmula no se pueden clonar: sus referencias son KPIs del departamento de origen');
+      return redirectToKpis(req, res, null, id);
+    }
+    const origenId = source.origen_kpi_id || source.id;
+    const [deps] = await pool.execute(
+      `SELECT id, nombre FROM departamentos WHERE id IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    const [existing] = await pool.execute(
+      'SELECT departamento_id FROM kpis WHERE (origen_kpi_id = ? OR id = ?) AND departamento_id IS NOT NULL',
+      [origenId, origenId]
+    );
+    const taken = new Set(existing.map(r => Number(r.departamento_id)));
+
+    const creados = [];
+    const omitidos = [];
+    for (const dep of deps) {
+      if (taken.has(Number(dep.id))) {
+        omitidos.push(dep.nombre);
+        continue;
+      }
+      const [result] = await pool.execute(
+        `INSERT INTO kpis (${KPI_CLONE_FIELDS.join(', ')}, departamento_id, corporativo, origen_kpi_id)
+         VALUES (${KPI_CLONE_FIELDS.map(() => '?').join(', ')}, ?, 0, ?)`,
+        [...KPI_CLONE_FIELDS.map(f => (source[f] === undefined ? null : source[f])), dep.id, origenId]
+      );
+      // La definición actual del original es la versión inicial de la copia
+      await kpiVersions.saveVersion(result.insertId, source, kpiVersions.INITIAL_PERIOD, req.session.user.id);
+      await audit.logFromRequest(req, {
+        accion: 'kpi.clonar',
+        kpiId: result.insertId,
+        detalle: { origen_kpi_id: Number(origenId), clonado_de: Number(source.id), departamento: dep.nombre }
+      });
+      creados.push(dep.nombre);
+    }
+
+    if (creados.length) {
+      req.flash('success', `KPI clonado a ${creados.join(', ')}`
+        + (omitidos.length ? ` (ya existía en ${omitidos.join(', ')})` : ''));
+    } else {
+      req.flash('error', omitidos.length
+        ? `El KPI ya existe en ${omitidos.join(', ')}`
+        : 'Los departamentos seleccionados no existen');
+    }
+    return redirectToKpis(req, res, null, id);
+  } catch (err) {
+    console.error('Error al clonar KPI:', err);
+    req.flash('error', 'No se pudo clonar el KPI');
+    return redirectToKpis(req, res, null, id);
+  }
+});
+
+/*
+ * GET /kpis/recalcular
+ * Formulario para recalcular los semáforos guardados de un rango de
+ * periodos (todos los KPIs o uno).  Con preview=1 muestra, sin modificar
+ * nada, cuántos resultados cambiarían de color y cuáles.
+ */
+router.get('/recalcular', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  const opts = recalcOptions(req.query);
+  try {
+    const [kpis] = await pool.execute('SELECT id, nombre FROM kpis ORDER BY nombre');
+    let preview = null;
+    if (String(req.query.preview || '') === '1') {
+      if (opts.desde.anio * 100 + opts.desde.mes > opts.hasta.anio * 100 + opts.hasta.mes) {
+        req.flash('error', 'El periodo inicial no puede ser posterior al final');
+        return res.redirect('/kpis/recalcular');
+      }
+      preview = await kpiRecalc.previewRecalc(opts);
+    }
+    res.render('kpi_recalcular', {
+      title: 'Recalcular semáforos',
+      kpis,
+      opts: {
+        kpiId: opts.kpiId,
+        desde: formatVigencia(opts.desde.anio, opts.desde.mes),
+        hasta: formatVigencia(opts.hasta.anio, opts.hasta.mes),
+        skipApproved: opts.skipApproved
+      },
+      preview
+    });
+  } catch (err) {
+    console.error('Error al calcular la vista previa del recálculo:', err);
+    req.flash('error', 'No se pudo calcular la vista previa');
+    return res.redirect('/kpis');
+  }
+});
+
+/*
+ * POST /kpis/recalcular
+ * Aplica el recálculo en una transacción.  Los cambios se vuelven a
+ * calcular al aplicar, por si hubo capturas después de la vista previa.
+ */
+router.post('/recalcular', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  const opts = recalcOptions(req.body);
+  const desde = formatVigencia(opts.desde.anio, opts.desde.mes);
+  const hasta = formatVigencia(opts.hasta.anio, opts.hasta.mes);
+  const back = `/kpis/recalcular?${new URLSearchParams({
+    kpi_id: opts.kpiId ? String(opts.kpiId) : '',
+    desde,
+    hasta,
+    omitir_aprobados: opts.skipApproved ? '1' : '0'
+  }).toString()}`;
+  if (opts.desde.anio * 100 + opts.desde.mes > opts.hasta.anio * 100 + opts.hasta.mes) {
+    req.flash('error', 'El periodo inicial no puede ser posterior al final');
+    return res.redirect(back);
+  }
+  try {
+    const summary = await kpiRecalc.applyRecalc(opts);
+    await audit.logFromRequest(req, {
+      accion: 'kpi.recalcular',
+      kpiId: opts.kpiId,
+      detalle: {
+        desde,
+        hasta,
+        omitir_aprobados: opts.skipApproved,
+        revisados: summary.revisados,
+        cambiados: summary.changes.length
+      }
+    });
+    req.flash('success', `Semáforos recalculados: ${summary.changes.length} resultado(s) cambiaron de color`);
+  } catch (err) {
+    console.error('Error al recalcular semáforos:', err);
+    req.flash('error', 'No se pudo recalcular; no se aplicó ningún cambio');
+  }
+  return res.redirect(back);
+});
+
+// Niveles de la escala enviados por el formulario (etiqueta_<nivel>,
+// tono_<nivel>, puntos_<nivel>, minimo_<nivel>, activo_amarillo).  Los
+// puntos y, en la escala general, los mínimos del total deben crecer de
+// rojo a verde entre los niveles activos.
+function parseScaleLevels(body, isGeneral) {
+  const levels = [];
+  for (const nivel of scoringScale.NIVELES) {
+    const etiqueta = toNullableText(body[`etiqueta_${nivel}`]);
+    const tono = String(body[`tono_${nivel}`] || '');
+    const puntos = toNullableNumber(body[`puntos_${nivel}`]);
+    const minimo = isGeneral ? toNullableNumber(body[`minimo_${nivel}`]) : null;
+    const activo = nivel === 'amarillo' ? String(body.activo_amarillo || '') === '1' : true;
+    if (!etiqueta) return { error: 'Todos los niveles requieren una etiqueta' };
+    if (!scoringScale.TONES[tono]) return { error: `Color inválido para el nivel ${etiqueta}` };
+    if (puntos === null || puntos < 0 || puntos > 1000) return { error: `Puntos inválidos para el nivel ${etiqueta}` };
+    if (isGeneral && (minimo === null || minimo < 0)) return { error: `Mínimo del total inválido para el nivel ${etiqueta}` };
+    levels.push({ nivel, etiqueta: etiqueta.slice(0, 60), tono, puntos, minimo_total: minimo, activo });
+  }
+  const active = levels.filter(l => l.activo);
+  for (let i = 1; i < active.length; i++) {
+    if (active[i].puntos <= active[i - 1].puntos) {
+      return { error: 'Los puntos deben aumentar de un nivel al siguiente' };
+    }
+    if (isGeneral && active[i].minimo_total <= active[i - 1].minimo_total) {
+      return { error: 'El mínimo del total debe aumentar de un nivel al siguiente' };
+    }
+  }
+  return { levels };
+}
+
+/*
+ * GET /kpis/escala
+ * Escala de calificación: puntos, etiquetas y colores de cada nivel del
+ * semáforo, bandas del resultado final y escalas particulares por KPI,
+ * vigentes en el mes ?desde=YYYY-MM (por defecto el periodo actual).
+ * Con ?kpi_id=N el formulario de KPI se precarga con su escala.
+ */
+router.get('/escala', isAuth, requirePermission('scale.manage'), async (req, res) => {
+  try {
+    await scoringScale.reload();
+    const desde = parseVigencia(req.query.desde);
+    const scale = scoringScale.forPeriod(desde.anio, desde.mes);
+    const [kpis] = await pool.execute('SELECT id, nombre FROM kpis ORDER BY nombre');
+    const kpiNames = new Map(kpis.map(k => [Number(k.id), k.nombre]));
+    const overrides = [...scale.overrides.keys()]
+      .filter(id => kpiNames.has(id))
+      .map(id => ({ kpi_id: id, kpi_nombre: kpiNames.get(id), levels: scoringScale.levelsFor(id, scale) }))
+      .sort((a, b) => a.kpi_nombre.localeCompare(b.kpi_nombre));
+    const selectedKpiId = parseInt(req.query.kpi_id, 10) || null;
+    res.render('kpi_escala', {
+      title: 'Escala de calificación',
+      levels: scale.levels,
+      tones: scoringScale.TONES,
+      kpis,
+      overrides,
+      selectedKpiId,
+      selectedLevels: scoringScale.levelsFor(selectedKpiId, scale),
+      vigenteDesde: formatVigencia(desde.anio, desde.mes),
+      vigencias: scoringScale.versionsOf(0).map(v => formatVigencia(v.anio, v.mes)),
+      cerrado: await firstClosedFrom(desde)
+    });
+  } catch (err) {
+    console.error('Error al cargar la escala de calificación:', err);
+    req.flash('error', 'No se pudo cargar la escala de calificación');
+    return res.redirect('/kpis');
+  }
+});
+
+/*
+ * POST /kpis/escala
+ * Guarda la escala general (kpi_id vacío) o la escala particular de un KPI
+ * como una versión vigente desde el mes vigente_desde; no se admite un mes
+ * que deje un periodo cerrado dentro de la vigencia.  Los colores ya
+ * guardados no se modifican; si se activa o desactiva el nivel amarillo
+ * conviene recalcular los semáforos.
+ */
+router.post('/escala', isAuth, requirePermission('scale.manage'), async (req, res) => {
+  const kpiId = parseInt(req.body.kpi_id, 10) || 0;
+  const desde = parseVigencia(req.body.vigente_desde);
+  const vigencia = formatVigencia(desde.anio, desde.mes);
+  const back = kpiId ? `/kpis/escala?kpi_id=${kpiId}&desde=${vigencia}` : `/kpis/escala?desde=${vigencia}`;
+  const parsed = parseScaleLevels(req.body, !kpiId);
+  if (parsed.error) {
+    req.flash('error', parsed.error);
+    return res.redirect(back);
+  }
+  try {
+    const closed = await firstClosedFrom(desde);
+    if (closed) {
+      req.flash('error', closedVigenciaMessage(closed));
+      return res.redirect(back);
+    }
+    if (kpiId) {
+      const [rows] = await pool.execute('SELECT id FROM kpis WHERE id = ? LIMIT 1', [kpiId]);
+      if (!rows.length) {
+        req.flash('error', 'El KPI especificado no existe');
+        return res.redirect('/kpis/escala');
+      }
+    }
+    await scoringScale.ensureLoaded();
+    const before = scoringScale.levelsFor(kpiId || null, scoringScale.forPeriod(desde.anio, desde.mes));
+    await scoringScale.saveLevels(kpiId, parsed.levels, desde);
+    await audit.logFromRequest(req, {
+      accion: 'escala.editar',
+      kpiId: kpiId || null,
+      detalle: {
+        alcance: kpiId ? 'kpi' : 'general',
+        vigente_desde: vigencia,
+        antes: before.map(l => ({ nivel: l.nivel, etiqueta: l.etiqueta, tono: l.tono, puntos: l.puntos, minimo_total: l.minimo_total, activo: l.activo })),
+        despues: parsed.levels
+      }
+    });
+    const yellowBefore = before.find(l => l.nivel === 'amarillo');
+    const yellowAfter = parsed.levels.find(l => l.nivel === 'amarillo');
+    let msg = `Escala de calificación guardada (vigente desde ${vigencia})`;
+    if (yellowBefore && yellowBefore.activo !== yellowAfter.activo) {
+      msg += '. Cambió el nivel amarillo: usa "Recalcular semáforos" para actualizar los resultados ya capturados';
+    }
+    req.flash('success', msg);
+  } catch (err) {
+    console.error('Error al guardar la escala de calificación:', err);
+    req.flash('error', err && err.code === 'ER_NO_SUCH_TABLE'
+      ? 'Falta aplicar el script de base de datos (tabla escala_calificacion)'
+      : 'No se pudo guardar la escala de calificación');
+  }
+  return res.redirect(back);
+});
+
+/*
+ * POST /kpis/escala/:kpiId/eliminar
+ * Quita la escala particular de un KPI a partir del mes vigente_desde;
+ * desde ese mes vuelve a usar la escala general.
+ */
+router.post('/escala/:kpiId/eliminar', isAuth, requirePermission('scale.manage'), async (req, res) => {
+  const kpiId = parseInt(req.params.kpiId, 10);
+  const desde = parseVigencia(req.body.vigente_desde);
+  const vigencia = formatVigencia(desde.anio, desde.mes);
+  const back = `/kpis/escala?desde=${vigencia}`;
+  if (!kpiId) {
+    req.flash('error', 'KPI inválido');
+    return res.redirect(back);
+  }
+  try {
+    const closed = await firstClosedFrom(desde);
+    if (closed) {
+      req.flash('error', closedVigenciaMessage(closed));
+      return res.redirect(back);
+    }
+    await scoringScale.deleteOverride(kpiId, desde);
+    await audit.logFromRequest(req, {
+      accion: 'escala.editar',
+      kpiId,
+      detalle: { alcance: 'kpi', eliminada: true, vigente_desde: vigencia }
+    });
+    req.flash('success', `El KPI usa la escala general desde ${vigencia}`);
+  } catch (err) {
+    console.error('Error al eliminar la escala del KPI:', err);
+    req.flash('error', 'No se pudo eliminar la escala del KPI');
+  }
+  return res.redirect(back);
+});
+
+// Sucursales, puestos y colaboradores a los que se puede asignar una meta
+// particular del KPI: todas las sucursales, los puestos que tienen el KPI
+// y los colaboradores (sin bajas) de esos puestos.
+async function loadTargetCandidates(kpiId) {
+  const [sucursales] = await pool.execute('SELECT id, nombre FROM sucursales ORDER BY nombre');
+  const [puestos] = await pool.execute(
+    `SELECT p.id, p.nombre
+     FROM puesto_kpis pk
+     JOIN puestos p ON p.id = pk.puesto_id
+     WHERE pk.kpi_id = ?
+     ORDER BY p.nombre`,
+    [kpiId]
+  );
+  const [empleados] = await pool.execute(
+    `SELECT e.id, e.nombre, e.incidencia_id,
+            p.nombre AS puesto_nombre,
+            s.nombre AS sucursal_nombre
+     FROM empleados e
+     JOIN puesto_kpis pk ON pk.puesto_id = e.puesto_id AND pk.kpi_id = ?
+     LEFT JOIN puestos p ON p.id = e.puesto_id
+     LEFT JOIN sucursales s ON s.id = e.sucursal_id
+     LEFT JOIN departamentos d ON d.id = e.departamento_id
+     WHERE (d.nombre IS NULL OR d.nombre <> 'BAJA')
+     ORDER BY e.nombre`,
+    [kpiId]
+  );
+  return { sucursal: sucursales, puesto: puestos, empleado: empleados };
+}
+
+// Metas enviadas por el formulario (amarillo_<alcance>_<id>, verde_<alcance>_<id>).
+// Sólo se consideran las filas presentes en el formulario; ambas vacías
+// eliminan la meta.
+function parseTargetEntries(body, kpi, candidates) {
+  const entries = [];
+  const pct = isPctType(kpi.score_type);
+  const down = kpi.direction === 'LOWER_BETTER';
+  for (const alcance of Object.keys(kpiTargets.ALCANCES)) {
+    for (const c of candidates[alcance]) {
+      const rawY = body[`amarillo_${alcance}_${c.id}`];
+      const rawG = body[`verde_${alcance}_${c.id}`];
+      if (rawY === undefined && rawG === undefined) continue;
+      let y = toNullableNumber(rawY);
+      let g = toNullableNumber(rawG);
+      if (pct) {
+        y = clampPct100(y);
+        g = clampPct100(g);
+      }
+      if ((y === null) !== (g === null)) {
+        return { error: `La meta de ${kpiTargets.ALCANCES[alcance]} "${c.nombre}" requiere los umbrales Amarillo y Verde` };
+      }
+      if (y !== null && (down ? g > y : g < y)) {
+        return {
+          error: `En la meta de ${kpiTargets.ALCANCES[alcance]} "${c.nombre}" el Umbral Verde debe ser ${down ? 'menor o igual' : 'mayor o igual'} que el Amarillo`
+        };
+      }
+      entries.push({ alcance, referencia_id: Number(c.id), threshold_yellow: y, threshold_green: g });
+    }
+  }
+  return { entries };
+}
+
+/*
+ * GET /kpis/metas
+ * Metas particulares de un KPI por sucursal, puesto o colaborador (gana la
+ * más específica), vigentes en el mes ?desde=YYYY-MM (por defecto el
+ * periodo actual).  Sin ?kpi_id sólo muestra el selector de KPI.
+ */
+router.get('/metas', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  try {
+    const [kpis] = await pool.execute(
+      'SELECT id, nombre, score_type, direction, threshold_yellow, threshold_green FROM kpis ORDER BY nombre'
+    );
+    const selectedKpiId = parseInt(req.query.kpi_id, 10) || null;
+    const desde = parseVigencia(req.query.desde);
+    const selected = kpis.find(k => Number(k.id) === selectedKpiId);
+    // Meta general y tipo de calificación vigentes en el mes elegido
+    const kpi = selected ? (await kpiVersions.resolveForPeriod([selected], desde.anio, desde.mes))[0] : null;
+    let candidates = null;
+    const metas = {};
+    if (kpi && kpiTargets.usesThresholds(kpi)) {
+      candidates = await loadTargetCandidates(kpi.id);
+      (await kpiTargets.listForKpi(kpi.id, desde.anio, desde.mes)).forEach(m => {
+        metas[`${m.alcance}_${m.referencia_id}`] = m;
+      });
+    }
+    res.render('kpi_metas', {
+      title: 'Metas particulares',
+      kpis,
+      kpi,
+      candidates,
+      metas,
+      alcances: kpiTargets.ALCANCES,
+      vigenteDesde: formatVigencia(desde.anio, desde.mes),
+      cerrado: await firstClosedFrom(desde)
+    });
+  } catch (err) {
+    console.error('Error al cargar las metas particulares:', err);
+    req.flash('error', err && err.code === 'ER_NO_SUCH_TABLE'
+      ? 'Falta aplicar el script de base de datos (tabla kpi_metas)'
+      : 'No se pudieron cargar las metas particulares');
+    return res.redirect('/kpis');
+  }
+});
+
+/*
+ * POST /kpis/metas
+ * Guarda en bloque las metas particulares del KPI, vigentes a partir del
+ * mes vigente_desde.  No se admite un mes que deje un periodo cerrado
+ * dentro de la vigencia.  Los resultados ya capturados conservan su
+ * color; para recalificarlos con las nuevas metas se usa "Recalcular
+ * semáforos".
+ */
+router.post('/metas', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  const kpiId = parseInt(req.body.kpi_id, 10);
+  if (!kpiId) {
+    req.flash('error', 'KPI inválido');
+    return res.redirect('/kpis/metas');
+  }
+  const desde = parseVigencia(req.body.vigente_desde);
+  const back = `/kpis/metas?kpi_id=${kpiId}&desde=${formatVigencia(desde.anio, desde.mes)}`;
+  try {
+    const [rows] = await pool.execute(
+      'SELECT id, nombre, score_type, direction FROM kpis WHERE id = ? LIMIT 1',
+      [kpiId]
+    );
+    if (!rows.length) {
+      req.flash('error', 'El KPI especificado no existe');
+      return res.redirect('/kpis/metas');
+    }
+    const kpi = rows[0];
+    if (!kpiTargets.usesThresholds(kpi)) {
+      req.flash('error', 'Los KPIs de criterio o de rango no admiten metas particulares');
+      return res.redirect(back);
+    }
+    const parsed = parseTargetEntries(req.body, kpi, await loadTargetCandidates(kpiId));
+    if (parsed.error) {
+      req.flash('error', parsed.error);
+      return res.redirect(back);
+    }
+    const closed = await firstClosedFrom(desde);
+    if (closed) {
+      req.flash('error', closedVigenciaMessage(closed));
+      return res.redirect(back);
+    }
+    const summary = await kpiTargets.saveForKpi(kpiId, parsed.entries, desde, req.session.user.id);
+    if (summary.cambios.length) {
+      await audit.logFromRequest(req, {
+        accion: 'kpi.metas',
+        kpiId,
+        detalle: {
+          vigente_desde: formatVigencia(desde.anio, desde.mes),
+          creadas: summary.creadas,
+          modificadas: summary.modificadas,
+          eliminadas: summary.eliminadas,
+          cambios: summary.cambios
+        }
+      });
+      req.flash('success', `Metas guardadas (${summary.creadas} nuevas, ${summary.modificadas} modificadas, ${summary.eliminadas} eliminadas). `
+        + 'Usa "Recalcular semáforos" para recalificar los resultados ya capturados');
+    } else {
+      req.flash('success', 'Sin cambios en las metas');
+    }
+  } catch (err) {
+    console.error('Error al guardar las metas particulares:', err);
+    req.flash('error', err && err.code === 'ER_NO_SUCH_TABLE'
+      ? 'Falta aplicar el script de base de datos (tabla kpi_metas)'
+      : 'No se pudieron guardar las metas; no se aplicó ningún cambio');
+  }
+  return res.redirect(back);
+});
+
+/*
+ * GET /kpis/calendario
+ * Calendario mensual de metas de un KPI en un año (general y por
+ * sucursal).  Se carga desde Excel; sin ?kpi_id sólo muestra el selector.
+ */
+router.get('/calendario', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  try {
+    const [kpis] = await pool.execute(
+      'SELECT id, nombre, score_type, direction, objetivo, threshold_yellow, threshold_green FROM kpis ORDER BY nombre'
+    );
+    const selectedKpiId = parseInt(req.query.kpi_id, 10) || null;
+    const kpi = kpis.find(k => Number(k.id) === selectedKpiId) || null;
+    const anio = parseInt(req.query.anio, 10) || getDefaultPeriod().year;
+    const rows = kpi && kpiTargets.usesThresholds(kpi) ? await kpiCalendar.listForKpi(kpi.id, anio) : [];
+    const general = {};
+    const porSucursal = new Map();
+    rows.forEach(r => {
+      if (Number(r.sucursal_id) === kpiCalendar.GENERAL) {
+        general[r.mes] = r;
+        return;
+      }
+      const suc = porSucursal.get(r.sucursal_id) || { nombre: r.sucursal_nombre || `Sucursal ${r.sucursal_id}`, meses: {} };
+      suc.meses[r.mes] = r;
+      porSucursal.set(r.sucursal_id, suc);
+    });
+    res.render('kpi_calendario', {
+      title: 'Calendario de metas',
+      kpis,
+      kpi,
+      anio,
+      general,
+      sucursales: [...porSucursal.values()],
+      meses: kpiCalendar.MESES
+    });
+  } catch (err) {
+    console.error('Error al cargar el calendario de metas:', err);
+    req.flash('error', err && err.code === 'ER_NO_SUCH_TABLE'
+      ? 'Falta aplicar el script de base de datos (tabla kpi_calendario)'
+      : 'No se pudo cargar el calendario de metas');
+    return res.redirect('/kpis');
+  }
+});
+
+/*
+ * GET /kpis/calendario/plantilla
+ * Descarga el calendario del año en Excel (la plantilla para cargarlo).
+ */
+router.get('/calendario/plantilla', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  const kpiId = parseInt(req.query.kpi_id, 10);
+  const anio = parseInt(req.query.anio, 10) || getDefaultPeriod().year;
+  try {
+    const [rows] = await pool.execute('SELECT id, nombre, objetivo FROM kpis WHERE id = ? LIMIT 1', [kpiId || 0]);
+    if (!rows.length) {
+      req.flash('error', 'El KPI especificado no existe');
+      return res.redirect('/kpis/calendario');
+    }
+    const wb = kpiCalendar.buildTemplate(rows[0], anio, await kpiCalendar.listForKpi(kpiId, anio));
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Calendario_KPI_${kpiId}_${anio}.xlsx"`);
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error('Error al generar la plantilla del calendario:', err);
+    req.flash('error', err && err.code === 'ER_NO_SUCH_TABLE'
+      ? 'Falta aplicar el script de base de datos (tabla kpi_calendario)'
+      : 'No se pudo generar la plantilla');
+    return res.redirect(`/kpis/calendario?kpi_id=${kpiId || ''}&anio=${anio}`);
+  }
+});
+
+/*
+ * POST /kpis/calendario/importar?kpi_id=N
+ * Recibe el archivo de Excel como cuerpo de la petición (fetch con la
+ * cabecera X-CSRF-Token) y reemplaza el calendario de los años que trae;
+ * los meses cerrados conservan sus metas.  Si alguna fila tiene errores no
+ * se guarda nada.
+ */
+router.post(
+  '/calendario/importar',
+  isAuth,
+  requirePermission('kpi.edit'),
+  express.raw({ type: () => true, limit: '5mb' }),
+  async (req, res) => {
+    const kpiId = parseInt(req.query.kpi_id, 10);
+    try {
+      const [rows] = await pool.execute(
+        'SELECT id, nombre, score_type, direction FROM kpis WHERE id = ? LIMIT 1',
+        [kpiId || 0]
+      );
+      if (!rows.length) return res.status(404).json({ ok: false, error: 'El KPI especificado no existe' });
+      const kpi = rows[0];
+      if (!kpiTargets.usesThresholds(kpi)) {
+        return res.status(400).json({ ok: false, error: 'Los KPIs de criterio o de rango no admiten calendario de metas' });
+      }
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ ok: false, error: 'Selecciona un archivo de Excel' });
+      }
+      const [sucursales] = await pool.execute('SELECT id, nombre FROM sucursales');
+      const parsed = await kpiCalendar.parseWorkbook(req.body, kpi, sucursales);
+      if (parsed.errors.length) {
+        const extra = parsed.errors.length > 5 ? ` (y ${parsed.errors.length - 5} más)` : '';
+        return res.status(400).json({ ok: false, error: parsed.errors.slice(0, 5).join('; ') + extra });
+      }
+      const summary = await kpiCalendar.replaceYears(kpiId, parsed.anios, parsed.entries, req.session.user.id);
+      await audit.logFromRequest(req, {
+        accion: 'kpi.calendario',
+        kpiId,
+        detalle: {
+          anios: parsed.anios,
+          filas: summary.guardadas,
+          reemplazadas: summary.eliminadas,
+          cerrados: summary.cerrados
+        }
+      });
+      const cerrados = summary.cerrados.length
+        ? `Los meses cerrados (${summary.cerrados.join(', ')}) conservan sus metas. `
+        : '';
+      req.flash('success', `Calendario cargado: ${summary.guardadas} meses para ${parsed.anios.join(', ')}. ${cerrados}`
+        + 'Usa "Recalcular semáforos" para recalificar los resultados ya capturados');
+      return res.json({ ok: true, anio: parsed.anios[0] });
+    } catch (err) {
+      console.error('Error al importar el calendario de metas:', err);
+      return res.status(500).json({
+        ok: false,
+        error: err && err.code === 'ER_NO_SUCH_TABLE'
+          ? 'Falta aplicar el script de base de datos (tabla kpi_calendario)'
+          : 'No se pudo cargar el calendario; no se aplicó ningún cambio'
+      });
+    }
+  }
+);
+
+/*
+ * POST /kpis/calendario/eliminar
+ * Borra el calendario del KPI en un año; esos meses vuelven a la meta de
+ * la definición.  Los meses cerrados conservan sus metas.
+ */
+router.post('/calendario/eliminar', isAuth, requirePermission('kpi.edit'), async (req, res) => {
+  const kpiId = parseInt(req.body.kpi_id, 10);
+  const anio = parseInt(req.body.anio, 10);
+  const back = `/kpis/calendario?kpi_id=${kpiId || ''}&anio=${anio || ''}`;
+  if (!kpiId || !anio) {
+    req.flash('error', 'KPI o año inválido');
+    return res.redirect(back);
+  }
+  try {
+    const summary = await kpiCalendar.replaceYears(kpiId, [anio], [], req.session.user.id);
+    if (summary.eliminadas) {
+      await audit.logFromRequest(req, {
+        accion: 'kpi.calendario',
+        kpiId,
+        detalle: { anios: [anio], filas: 0, reemplazadas: summary.eliminadas, cerrados: summary.cerrados }
+      });
+    }
+    req.flash('success', `Calendario ${anio} eliminado (${summary.eliminadas} meses)`
+      + (summary.cerrados.length ? `. Los meses cerrados (${summary.cerrados.join(', ')}) conservan sus metas` : ''));
+  } catch (err) {
+    console.error('Error al eliminar el calendario de metas:', err);
+    req.flash('error', err && err.code === 'ER_NO_SUCH_TABLE'
+      ? 'Falta aplicar el script de base de datos (tabla kpi_calendario)'
+      : 'No se pudo eliminar el calendario');
+  }
+  return res.redirect(back);
+});
+
 module.exports = router;
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db');
 const isAuth = require('../middleware/isAuth');
-const { requireRole } = require('../middleware/roles');
+const { requirePermission } = require('../middleware/roles');
+const permissions = require('../services/permissions');
+const audit = require('../services/audit');
 
 /*
  * GET /puestos
@@ -10,8 +12,8 @@ const { requireRole } = require('../middleware/roles');
  * Incluye enlaces para asignar KPIs y formularios para crear
  * departamentos y sucursales.
  */
-// Lista de puestos.  Sólo accesible para administradores y managers.
-router.get('/', isAuth, requireRole(['admin', 'manager']), async (req, res) => {
+// Lista de puestos.  Requiere el permiso puestos.view.
+router.get('/', isAuth, requirePermission('puestos.view'), async (req, res) => {
   try {
     const [puestos] = await pool.execute(
       `SELECT p.id,
@@ -38,9 +40,7 @@ router.get('/', isAuth, requireRole(['admin', 'manager']), async (req, res) => {
       puestos,
       departamentos,
       sucursales,
-      roles: ['admin', 'manager', 'user'],
-      userRole: req.session.user.role,
-      isAdmin: req.session.user && req.session.user.role === 'admin'
+      roles: await permissions.listRoles()
     });
   } catch (err) {
     console.error('Error al cargar puestos:', err);
@@ -52,11 +52,11 @@ router.get('/', isAuth, requireRole(['admin', 'manager']), async (req, res) => {
 /*
  * GET /puestos/:id
  * Muestra un formulario para asignar o quitar KPIs a un puesto
- * específico.  Sólo se listan los KPIs del mismo departamento para
- * evitar confusión.
+ * específico.  Sólo se listan los KPIs del mismo departamento (más los
+ * de la biblioteca corporativa) para evitar confusión.
  */
 // Formulario para asignar/quitar KPIs a un puesto específico
-router.get('/:id(\\d+)', isAuth, requireRole(['admin','manager']), async (req, res) => {
+router.get('/:id(\\d+)', isAuth, requirePermission('puestos.view'), async (req, res) => {
   const puestoId = req.params.id;
   try {
     // Obtener información del puesto
@@ -71,12 +71,12 @@ router.get('/:id(\\d+)', isAuth, requireRole(['admin','manager']), async (req, r
       return res.redirect('/puestos');
     }
     const puesto = puestoRows[0];
-    // Obtener todos los KPIs de ese departamento
+    // Obtener todos los KPIs de ese departamento y los corporativos
     const [kpis] = await pool.execute(
-      `SELECT k.id, k.nombre
+      `SELECT k.id, k.nombre, k.corporativo
        FROM kpis k
-       WHERE k.departamento_id = ?
-       ORDER BY k.nombre`,
+       WHERE k.departamento_id = ? OR k.corporativo = 1
+       ORDER BY k.corporativo, k.nombre`,
       [puesto.departamento_id]
     );
     // Obtener KPIs ya asignados con su peso
@@ -93,15 +93,14 @@ router.get('/:id(\\d+)', isAuth, requireRole(['admin','manager']), async (req, r
     const kpiList = kpis.map(k => ({
       id: k.id,
       nombre: k.nombre,
+      corporativo: !!k.corporativo,
       checked: asignadosSet.has(k.id),
       peso: asignadosSet.has(k.id) ? (pesoMap[k.id] != null ? pesoMap[k.id] : '') : ''
     }));
     res.render('puesto_kpis', {
       title: `KPIs del puesto ${puesto.nombre}`,
       puesto,
-      kpis: kpiList,
-      userRole: req.session.user.role,
-      isAdmin: req.session.user && req.session.user.role === 'admin'
+      kpis: kpiList
     });
   } catch (err) {
     console.error('Error al cargar KPIs del puesto:', err);
@@ -119,8 +118,8 @@ router.get('/:id(\\d+)', isAuth, requireRole(['admin','manager']), async (req, r
  */
 // Actualiza las asignaciones de KPIs a un puesto específico
 // Actualiza las asignaciones de KPIs a un puesto específico.
-// Sólo los administradores pueden modificar; los managers tienen acceso de sólo lectura
-router.post('/:id(\\d+)', isAuth, requireRole(['admin']), async (req, res) => {
+// Requiere el permiso puestos.edit; con puestos.view la pantalla es de sólo lectura
+router.post('/:id(\\d+)', isAuth, requirePermission('puestos.edit'), async (req, res) => {
   const puestoId = req.params.id;
 
   // Debug opcional: activa con DEBUG_PUESTO_KPIS=1 en .env
@@ -300,6 +299,8 @@ router.post('/:id(\\d+)', isAuth, requireRole(['admin']), async (req, res) => {
       req.flash('error', `La suma actual de pesos es ${totalPeso.toFixed(2)}%. Debe ser 100% para continuar.`);
       return res.redirect(`/puestos/${puestoId}`);
     }
+    // Asignaciones previas, para registrar en la bitácora qué cambió
+    const [prevRows] = await pool.execute('SELECT kpi_id, peso FROM puesto_kpis WHERE puesto_id = ?', [puestoId]);
     // Eliminar asignaciones actuales
     await pool.execute('DELETE FROM puesto_kpis WHERE puesto_id = ?', [puestoId]);
     // Insertar nuevas asignaciones con peso
@@ -309,6 +310,23 @@ router.post('/:id(\\d+)', isAuth, requireRole(['admin']), async (req, res) => {
         [puestoId, kpiId, peso]
       );
     }
+    const prevMap = new Map(prevRows.map(r => [String(r.kpi_id), Number(r.peso)]));
+    const cambios = [];
+    for (const { id: kpiId, peso } of pesoValues) {
+      const key = String(kpiId);
+      const antes = prevMap.has(key) ? prevMap.get(key) : null;
+      if (antes === null || Math.abs(antes - peso) > 0.001) {
+        cambios.push({ kpi_id: Number(kpiId), antes, despues: peso });
+      }
+      prevMap.delete(key);
+    }
+    prevMap.forEach((antes, key) => cambios.push({ kpi_id: Number(key), antes, despues: null }));
+    if (cambios.length) {
+      await audit.logFromRequest(req, {
+        accion: 'puesto.kpis',
+        detalle: { puesto_id: Number(puestoId), cambios }
+      });
+    }
     req.flash('success', 'Asignaciones de KPIs actualizadas');
     return res.redirect('/puestos');
   } catch (err) {
@@ -325,7 +343,7 @@ router.post('/:id(\\d+)', isAuth, requireRole(['admin']), async (req, res) => {
  * mismo nombre.  Si se crea correctamente, se redirige a la lista de
  * puestos.
  */
-router.post('/crear-departamento', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/crear-departamento', isAuth, requirePermission('puestos.edit'), async (req, res) => {
   const { nombre } = req.body;
   if (!nombre) {
     req.flash('error', 'Debe especificar el nombre del departamento');
@@ -352,7 +370,7 @@ router.post('/crear-departamento', isAuth, requireRole(['admin']), async (req, r
  * Crea una sucursal para el departamento OPERACIONES.  Sólo se
  * requiere el nombre.  Si ya existe, se muestra un mensaje.
  */
-router.post('/crear-sucursal', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/crear-sucursal', isAuth, requirePermission('puestos.edit'), async (req, res) => {
   const { nombre } = req.body;
   if (!nombre) {
     req.flash('error', 'Debe especificar el nombre de la sucursal');
@@ -385,7 +403,7 @@ router.post('/crear-sucursal', isAuth, requireRole(['admin']), async (req, res)
  * Permite editar el nombre del puesto, su departamento y la persona a quien reporta.
  * Si responde_a_id viene vacío, se establece en NULL.
  */
-router.post('/editar/:id', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/editar/:id', isAuth, requirePermission('puestos.edit'), async (req, res) => {
   const { id } = req.params;
   let { nombre, departamento_id, responde_a_id, role } = req.body;
   // Normalizar valores
@@ -401,13 +419,12 @@ router.post('/editar/:id', isAuth, requireRole(['admin']), async (req, res) => {
       req.flash('error', 'Un puesto no puede responder a sí mismo');
       return res.redirect('/puestos');
     }
-    // Construir consulta dinámica según el rol del usuario.  Sólo los administradores pueden cambiar el rol del puesto.
+    // Construir consulta dinámica según los permisos del usuario.  Sólo quien administra roles puede cambiar el rol del puesto.
     let query = 'UPDATE puestos SET nombre = ?, departamento_id = ?, responde_a_id = ?';
     const params = [nombre, departamento_id, responde_a_id];
-    if (req.session.user.role === 'admin') {
-      // Validar que el rol proporcionado sea uno de los permitidos; de lo contrario usar "user"
-      const validRoles = ['admin', 'manager', 'user'];
-      const newRole = validRoles.includes(role) ? role : 'user';
+    if (permissions.can(req.session.user, 'roles.manage')) {
+      // Validar que el rol proporcionado exista; de lo contrario usar "user"
+      const newRole = role && await permissions.roleExists(role) ? role : 'user';
       query += ', role = ?';
       params.push(newRole);
     }
@@ -427,7 +444,7 @@ router.post('/editar/:id', isAuth, requireRole(['admin']), async (req, res) => {
  * POST /puestos/crear
  * Crea un nuevo puesto.  Recibe nombre, departamento_id y responde_a_id.
  */
-router.post('/crear', isAuth, requireRole(['admin']), async (req, res) => {
+router.post('/crear', isAuth, requirePermission('puestos.edit'), async (req, res) => {
   let { nombre, departamento_id, responde_a_id, role } = req.body;
   nombre = nombre && nombre.trim();
   if (!nombre) {
@@ -437,11 +454,10 @@ router.post('/crear', isAuth, requireRole(['admin']), async (req, res) => {
   departamento_id = departamento_id || null;
   responde_a_id = responde_a_id && responde_a_id !== '' ? responde_a_id : null;
   try {
-    // Determinar el rol para el nuevo puesto.  Sólo los administradores pueden elegir; los managers crean puestos de rol "user".
+    // Determinar el rol para el nuevo puesto.  Sólo quien administra roles puede elegirlo; los demás crean puestos de rol "user".
     let puestoRole = 'user';
-    if (req.session.user.role === 'admin') {
-      const validRoles = ['admin', 'manager', 'user'];
-      puestoRole = validRoles.includes(role) ? role : 'user';
+    if (permissions.can(req.session.user, 'roles.manage')) {
+      puestoRole = role && await permissions.roleExists(role) ? role : 'user';
     }
     await pool.execute(
       'INSERT INTO puestos (nombre, departamento_id, responde_a_id, role) VALUES (?, ?, ?, ?)',
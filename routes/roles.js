@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db');
+const isAuth = require('../middleware/isAuth');
+const { requirePermission } = require('../middleware/roles');
+const permissions = require('../services/permissions');
+const audit = require('../services/audit');
+
+/*
+ * Ruta GET /roles
+ * Muestra la matriz de permisos por rol y los formularios para crear o
+ * eliminar roles.  Requiere el permiso roles.manage.
+ */
+router.get('/', isAuth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    await permissions.reload();
+    const roles = await permissions.listRoles();
+    const [usage] = await pool.execute('SELECT role, COUNT(*) AS total FROM puestos GROUP BY role');
+    const puestosPorRol = {};
+    usage.forEach(r => { puestosPorRol[r.role || 'user'] = Number(r.total); });
+
+    // Permisos agrupados por sección para la tabla
+    const grupos = [];
+    permissions.PERMISSIONS.forEach(p => {
+      let g = grupos.find(x => x.nombre === p.group);
+      if (!g) {
+        g = { nombre: p.group, permisos: [] };
+        grupos.push(g);
+      }
+      g.permisos.push(p);
+    });
+
+    const matriz = {};
+    roles.forEach(r => {
+      matriz[r.clave] = Array.from(permissions.permissionsForRole(r.clave));
+    });
+
+    res.render('roles', {
+      title: 'Roles y permisos',
+      roles,
+      grupos,
+      matriz,
+      puestosPorRol,
+      superuserRole: permissions.SUPERUSER_ROLE
+    });
+  } catch (err) {
+    console.error('Error al cargar roles:', err);
+    req.flash('error', 'No se pudo cargar la matriz de permisos');
+    return res.redirect('/dashboard');
+  }
+});
+
+/*
+ * Ruta POST /roles/guardar
+ * Guarda la matriz completa.  Se reciben los permisos marcados como
+ * perm[<rol>][] = <permiso>.  El rol administrador conserva siempre
+ * todos los permisos.  Los permisos agregados y quitados a cada rol se
+ * registran en la bitácora.
+ */
+router.post('/guardar', isAuth, requirePermission('roles.manage'), async (req, res) => {
+  const perm = req.body.perm || {};
+  const validKeys = permissions.PERMISSIONS.map(p => p.key);
+  try {
+    // Permisos vigentes, para registrar en la bitácora qué cambió
+    await permissions.reload();
+    const roles = await permissions.listRoles();
+    for (const rol of roles) {
+      if (rol.clave === permissions.SUPERUSER_ROLE) continue;
+      let selected = perm[rol.clave] || [];
+      if (!Array.isArray(selected)) selected = [selected];
+      selected = Array.from(new Set(selected.map(String))).filter(k => validKeys.includes(k));
+      const before = permissions.permissionsForRole(rol.clave);
+      const agregados = selected.filter(k => !before.has(k));
+      const quitados = Array.from(before).filter(k => validKeys.includes(k) && !selected.includes(k));
+      await pool.execute('DELETE FROM rol_permisos WHERE rol_clave = ?', [rol.clave]);
+      for (const key of selected) {
+        await pool.execute('INSERT INTO rol_permisos (rol_clave, permiso) VALUES (?, ?)', [rol.clave, key]);
+      }
+      if (agregados.length || quitados.length) {
+        await audit.logFromRequest(req, {
+          accion: 'rol.permisos',
+          detalle: { rol: rol.clave, agregados, quitados }
+        });
+      }
+    }
+    await permissions.reload();
+    req.flash('success', 'Permisos actualizados');
+  } catch (err) {
+    console.error('Error al guardar permisos:', err);
+    req.flash('error', 'No se pudieron guardar los permisos');
+  }
+  return res.redirect('/roles');
+});
+
+/*
+ * Ruta POST /roles/crear
+ * Crea un rol nuevo sin permisos.  La clave es la que se guarda en
+ * puestos.role: minúsculas, números y guion bajo.
+ */
+router.post('/crear', isAuth, requirePermission('roles.manage'), async (req, res) => {
+  const clave = String(req.body.clave || '').trim().toLowerCase();
+  const nombre = String(req.body.nombre || '').trim();
+  const descripcion = String(req.body.descripcion || '').trim() || null;
+  if (!/^[a-z][a-z0-9_]{1,49}$/.test(clave) || !nombre) {
+    req.flash('error', 'Indique una clave (minúsculas, números y guion bajo) y un nombre para el rol');
+    return res.redirect('/roles');
+  }
+  try {
+    if (await permissions.roleExists(clave)) {
+      req.flash('error', 'Ya existe un rol con esa clave');
+      return res.redirect('/roles');
+    }
+    await pool.execute(
+      'INSERT INTO roles (clave, nombre, descripcion, es_sistema) VALUES (?, ?, ?, 0)',
+      [clave, nombre.slice(0, 100), descripcion ? descripcion.slice(0, 255) : null]
+    );
+    await permissions.reload();
+    req.flash('success', 'Rol creado; asigne sus permisos en la tabla');
+  } catch (err) {
+    console.error('Error al crear rol:', err);
+    req.flash('error', 'No se pudo crear el rol');
+  }
+  return res.redirect('/roles');
+});
+
+/*
+ * Ruta POST /roles/eliminar/:clave
+ * Elimina un rol creado desde esta pantalla.  Los roles del sistema y
+ * los roles asignados a algún puesto no pueden eliminarse.
+ */
+router.post('/eliminar/:clave', isAuth, requirePermission('roles.manage'), async (req, res) => {
+  const clave = String(req.params.clave || '');
+  try {
+    const roles = await permissions.listRoles();
+    const rol = roles.find(r => r.clave === clave);
+    if (!rol || rol.es_sistema) {
+      req.flash('error', 'Este rol no puede eliminarse');
+      return res.redirect('/roles');
+    }
+    const [usage] = await pool.execute('SELECT COUNT(*) AS total FROM puestos WHERE role = ?', [clave]);
+    if (Number(usage[0].total) > 0) {
+      req.flash('error', 'El rol está asignado a uno o más puestos; reasígnelos antes de eliminarlo');
+      return res.redirect('/roles');
+    }
+    await pool.execute('DELETE FROM rol_permisos WHERE rol_clave = ?', [clave]);
+    await pool.execute('DELETE FROM roles WHERE clave = ?', [clave]);
+    await permissions.reload();
+    req.flash('success', 'Rol eliminado');
+  } catch (err) {
+    console.error('Error al eliminar rol:', err);
+    req.flash('error', 'No se pudo eliminar el rol');
+  }
+  return res.redirect('/roles');
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const isAuth = require('../middleware/isAuth');
+const { requirePermission } = require('../middleware/roles');
+const { pool } = require('../db');
+const { listActiveSessions, revokeSession, revokeEmployeeSessions } = require('../services/sessionStore');
+const audit = require('../services/audit');
+
+/*
+ * Ruta GET /sesiones
+ * Lista las sesiones activas (empleado, IP, navegador y última
+ * actividad).  Requiere el permiso sessions.manage.
+ */
+router.get('/', isAuth, requirePermission('sessions.manage'), async (req, res) => {
+  try {
+    const sesiones = await listActiveSessions();
+    res.render('sesiones', {
+      title: 'Sesiones activas',
+      sesiones,
+      currentSid: req.sessionID
+    });
+  } catch (err) {
+    console.error('Error al listar sesiones:', err);
+    req.flash('error', 'No se pudo cargar el listado de sesiones');
+    return res.redirect('/dashboard');
+  }
+});
+
+/*
+ * Ruta POST /sesiones/revocar
+ * Revoca una sesión concreta (campo sid).  La sesión actual no puede
+ * revocarse desde aquí; para eso está "Cerrar sesión".
+ */
+router.post('/revocar', isAuth, requirePermission('sessions.manage'), async (req, res) => {
+  const sid = String(req.body.sid || '');
+  if (!sid || sid === req.sessionID) {
+    req.flash('error', 'No es posible revocar la sesión actual');
+    return res.redirect('/sesiones');
+  }
+  try {
+    const [rows] = await pool.execute('SELECT empleado_id FROM sesiones WHERE sid = ? LIMIT 1', [sid]);
+    const ok = await revokeSession(sid);
+    if (ok) {
+      await audit.logFromRequest(req, {
+        accion: 'sesion.revocar',
+        empleadoId: rows.length ? rows[0].empleado_id : null,
+        detalle: { sesiones: 1 }
+      });
+    }
+    req.flash(ok ? 'success' : 'error', ok ? 'Sesión revocada' : 'La sesión ya no existe');
+  } catch (err) {
+    console.error('Error al revocar sesión:', err);
+    req.flash('error', 'No se pudo revocar la sesión');
+  }
+  return res.redirect('/sesiones');
+});
+
+/*
+ * Ruta POST /sesiones/revocar-empleado/:id
+ * Revoca todas las sesiones de un empleado (excepto la actual).
+ */
+router.post('/revocar-empleado/:id', isAuth, requirePermission('sessions.manage'), async (req, res) => {
+  try {
+    const total = await revokeEmployeeSessions(req.params.id, { exceptSid: req.sessionID });
+    if (total) {
+      await audit.logFromRequest(req, {
+        accion: 'sesion.revocar',
+        empleadoId: Number(req.params.id),
+        detalle: { sesiones: total }
+      });
+    }
+    req.flash('success', `Se revocaron ${total} sesiones`);
+  } catch (err) {
+    console.error('Error al revocar sesiones del empleado:', err);
+    req.flash('error', 'No se pudieron revocar las sesiones');
+  }
+  return res.redirect('/sesiones');
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const isAuth = require('../middleware/isAuth');
+const totp = require('../services/totp');
+const { pool } = require('../db');
+
+/*
+ * Rutas de la verificación en dos pasos (TOTP) del usuario conectado.
+ * El alta consiste en escanear el código QR con una app de
+ * autenticación y confirmar un código; al activarse se muestran una
+ * única vez los códigos de respaldo.
+ */
+
+async function renderPage(req, res, extra = {}) {
+  const user = req.session.user;
+  const [rows] = await pool.execute('SELECT totp_enabled FROM empleados WHERE id = ? LIMIT 1', [user.id]);
+  const enabled = !!(rows[0] && rows[0].totp_enabled);
+  const view = {
+    title: 'Verificación en dos pasos',
+    enabled,
+    required: totp.isTotpRequiredForRole(user.role),
+    remainingCodes: enabled ? await totp.countUnusedBackupCodes(user.id) : 0,
+    qrDataUrl: null,
+    setupSecret: null,
+    backupCodes: null,
+    ...extra
+  };
+  if (!enabled) {
+    // Conservar el mismo secreto mientras el usuario no confirme el alta
+    if (!req.session.totpSetupSecret) {
+      req.session.totpSetupSecret = totp.generateSecret();
+    }
+    view.setupSecret = req.session.totpSetupSecret;
+    view.qrDataUrl = await QRCode.toDataURL(totp.buildOtpAuthUrl(view.setupSecret, user.username || String(user.id)));
+  }
+  return res.render('verificacion_2fa', view);
+}
+
+/*
+ * Ruta GET /2fa
+ * Muestra el estado de la verificación en dos pasos o el código QR
+ * para darla de alta.
+ */
+router.get('/', isAuth, async (req, res) => {
+  try {
+    return await renderPage(req, res);
+  } catch (err) {
+    console.error('Error al cargar verificación en dos pasos:', err);
+    req.flash('error', 'No se pudo cargar la verificación en dos pasos');
+    return res.redirect('/dashboard');
+  }
+});
+
+/*
+ * Ruta POST /2fa/activar
+ * Confirma el alta con un código generado por la app.
+ */
+router.post('/activar', isAuth, async (req, res) => {
+  const user = req.session.user;
+  const secret = req.session.totpSetupSecret;
+  try {
+    const counter = totp.verifyToken(secret, req.body.code);
+    if (!secret || counter === null) {
+      req.flash('error', 'El código no es válido. Verifique la hora de su dispositivo e intente de nuevo.');
+      return res.redirect('/2fa');
+    }
+    await totp.enableTotp(user.id, secret, counter);
+    const backupCodes = await totp.regenerateBackupCodes(user.id);
+    delete req.session.totpSetupSecret;
+    req.session.user.must_enroll_2fa = false;
+    return await renderPage(req, res, { backupCodes });
+  } catch (err) {
+    console.error('Error al activar verificación en dos pasos:', err);
+    req.flash('error', 'No se pudo activar la verificación en dos pasos');
+    return res.redirect('/2fa');
+  }
+});
+
+/*
+ * Ruta POST /2fa/codigos
+ * Genera un juego nuevo de códigos de respaldo (invalida los anteriores).
+ */
+router.post('/codigos', isAuth, async (req, res) => {
+  const user = req.session.user;
+  try {
+    const check = await totp.verifySecondFactor(user.id, req.body.code);
+    if (!check.ok) {
+      req.flash('error', 'Código incorrecto');
+      return res.redirect('/2fa');
+    }
+    const backupCodes = await totp.regenerateBackupCodes(user.id);
+    return await renderPage(req, res, { backupCodes });
+  } catch (err) {
+    console.error('Error al regenerar códigos de respaldo:', err);
+    req.flash('error', 'No se pudieron generar los códigos de respaldo');
+    return res.redirect('/2fa');
+  }
+});
+
+/*
+ * Ruta POST /2fa/desactivar
+ * Desactiva la verificación en dos pasos.  No se permite cuando el rol
+ * del puesto la exige.
+ */
+router.post('/desactivar', isAuth, async (req, res) => {
+  const user = req.session.user;
+  if (totp.isTotpRequiredForRole(user.role)) {
+    req.flash('error', 'Su puesto requiere verificación en dos pasos; no es posible desactivarla');
+    return res.redirect('/2fa');
+  }
+  try {
+    const check = await totp.verifySecondFactor(user.id, req.body.code);
+    if (!check.ok) {
+      req.flash('error', 'Código incorrecto');
+      return res.redirect('/2fa');
+    }
+    await totp.disableTotp(user.id);
+    req.flash('success', 'Verificación en dos pasos desactivada');
+    return res.redirect('/2fa');
+  } catch (err) {
+    console.error('Error al desactivar verificación en dos pasos:', err);
+    req.flash('error', 'No se pudo desactivar la verificación en dos pasos');
+    return res.redirect('/2fa');
+  }
+});
+
+module.exports = router;
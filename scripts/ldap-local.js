@@ -0,0 +1,291 @@
+/*
+ * Servidor LDAP de prueba para el proveedor services/ldapAuth.js.
+ *
+ * Implementa sólo lo que usa el proveedor (bind simple, búsqueda con
+ * filtros de igualdad/and/or/not/presencia y unbind) sobre un directorio
+ * en memoria, sin dependencias externas.
+ *
+ * Uso:
+ *   node scripts/ldap-local.js
+ *     Levanta el servidor en un puerto libre, ejecuta los casos de prueba
+ *     del proveedor (bind correcto e incorrecto, contraseña vacía, grupo,
+ *     búsqueda por base para AD, inyección en el DN) y termina.  Sale con
+ *     código 1 si algún caso falla.  No necesita base de datos.
+ *
+ *   node scripts/ldap-local.js --serve [puerto]
+ *     Deja el servidor escuchando (puerto 3890 por omisión) para iniciar
+ *     sesión en la aplicación con LDAP.  Arranca la app con:
+ *       AUTH_PROVIDERS=ldap,local
+ *       LDAP_URL=ldap://127.0.0.1:3890
+ *       LDAP_USER_DN_TEMPLATE=uid={username},ou=people,dc=chc,dc=local
+ *       LDAP_GROUP_BASE_DN=ou=groups,dc=chc,dc=local        (opcional)
+ *       LDAP_GROUP_FILTER=(&(objectClass=groupOfNames)(cn=kpi)(member={dn}))
+ *     y entra como "ana" / "secreto".  Para que se relacione con un
+ *     empleado, indica su No. de empleado (incidencia_id) o correo con
+ *     LDAP_LOCAL_EMPLOYEE_NUMBER / LDAP_LOCAL_EMAIL antes de arrancar este
+ *     servidor.  "luis" / "otra" existe pero no pertenece al grupo kpi.
+ */
+
+const net = require('net');
+
+const BASE = 'dc=chc,dc=local';
+
+const DIRECTORY = [
+  {
+    dn: `uid=ana,ou=people,${BASE}`,
+    password: 'secreto',
+    attributes: {
+      objectClass: ['inetOrgPerson'],
+      uid: ['ana'],
+      sAMAccountName: ['ana'],
+      employeeNumber: [process.env.LDAP_LOCAL_EMPLOYEE_NUMBER || '1001'],
+      mail: [process.env.LDAP_LOCAL_EMAIL || 'ana@chc.local']
+    }
+  },
+  {
+    dn: `uid=luis,ou=people,${BASE}`,
+    password: 'otra',
+    attributes: {
+      objectClass: ['inetOrgPerson'],
+      uid: ['luis'],
+      sAMAccountName: ['luis'],
+      employeeNumber: ['1002'],
+      mail: ['luis@chc.local']
+    }
+  },
+  {
+    dn: `cn=kpi,ou=groups,${BASE}`,
+    attributes: {
+      objectClass: ['groupOfNames'],
+      cn: ['kpi'],
+      member: [`uid=ana,ou=people,${BASE}`]
+    }
+  }
+];
+
+// --- BER (sólo lo necesario para LDAPv3) ---
+
+function readLength(buf, pos) {
+  if (pos >= buf.length) return null;
+  const first = buf[pos];
+  if (first < 0x80) return { length: first, next: pos + 1 };
+  const bytes = first & 0x7f;
+  if (pos + 1 + bytes > buf.length) return null;
+  let length = 0;
+  for (let i = 0; i < bytes; i++) length = (length * 256) + buf[pos + 1 + i];
+  return { length, next: pos + 1 + bytes };
+}
+
+// Lee un elemento TLV; null si el búfer aún no lo contiene completo
+function readTlv(buf, pos = 0) {
+  if (pos >= buf.length) return null;
+  const len = readLength(buf, pos + 1);
+  if (!len || len.next + len.length > buf.length) return null;
+  return { tag: buf[pos], value: buf.subarray(len.next, len.next + len.length), end: len.next + len.length };
+}
+
+function children(buf) {
+  const list = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    const tlv = readTlv(buf, pos);
+    if (!tlv) break;
+    list.push(tlv);
+    pos = tlv.end;
+  }
+  return list;
+}
+
+function readInt(buf) {
+  let n = 0;
+  for (const b of buf) n = (n * 256) + b;
+  return n;
+}
+
+function encodeLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  while (n > 0) {
+    bytes.unshift(n & 0xff);
+    n = Math.floor(n / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag, content) {
+  const value = Buffer.isBuffer(content) ? content : Buffer.concat(content);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(value.length), value]);
+}
+
+const octets = text => tlv(0x04, Buffer.from(String(text), 'utf8'));
+
+function encodeInt(tag, n) {
+  const bytes = [];
+  do {
+    bytes.unshift(n & 0xff);
+    n = Math.floor(n / 256);
+  } while (n > 0);
+  if (bytes[0] & 0x80) bytes.unshift(0);
+  return tlv(tag, Buffer.from(bytes));
+}
+
+function message(id, op) {
+  return tlv(0x30, [encodeInt(0x02, id), op]);
+}
+
+function result(tag, code, text = '') {
+  return tlv(tag, [encodeInt(0x0a, code), octets(''), octets(text)]);
+}
+
+// --- Directorio ---
+
+const norm = dn => String(dn || '').replace(/\s*,\s*/g, ',').trim().toLowerCase();
+
+function attrValues(entry, attr) {
+  const key = Object.keys(entry.attributes).find(k => k.toLowerCase() === String(attr).toLowerCase());
+  return key ? entry.attributes[key] : [];
+}
+
+// Evalúa un filtro codificado (RFC 4511 §4.5.1)
+function matches(entry, filter) {
+  const text = b => b.toString('utf8');
+  switch (filter.tag) {
+    case 0xa0: return children(filter.value).every(f => matches(entry, f));
+    case 0xa1: return children(filter.value).some(f => matches(entry, f));
+    case 0xa2: return !matches(entry, readTlv(filter.value));
+    case 0xa3: {
+      const [attr, value] = children(filter.value).map(c => text(c.value));
+      return attrValues(entry, attr).some(v => norm(v) === norm(value));
+    }
+    case 0x87: return attrValues(entry, text(filter.value)).length > 0;
+    default: return false;
+  }
+}
+
+function search(base, scope, filter) {
+  const b = norm(base);
+  return DIRECTORY.filter(entry => {
+    const dn = norm(entry.dn);
+    if (scope === 0) return dn === b;
+    if (scope === 1) return dn.endsWith(`,${b}`) && dn.split(',').length === b.split(',').length + 1;
+    return dn === b || dn.endsWith(`,${b}`);
+  }).filter(entry => matches(entry, filter));
+}
+
+function entryMessage(id, entry, wanted) {
+  const names = Object.keys(entry.attributes)
+    .filter(k => !wanted.length || wanted.some(w => w.toLowerCase() === k.toLowerCase()));
+  const attrs = names.map(k => tlv(0x30, [octets(k), tlv(0x31, entry.attributes[k].map(octets))]));
+  return message(id, tlv(0x64, [octets(entry.dn), tlv(0x30, attrs)]));
+}
+
+function handle(socket, msg) {
+  const [idTlv, op] = children(msg.value);
+  const id = readInt(idTlv.value);
+  switch (op.tag) {
+    case 0x60: { // BindRequest
+      const [, name, auth] = children(op.value);
+      const dn = name.value.toString('utf8');
+      const password = auth.value.toString('utf8');
+      const entry = DIRECTORY.find(e => e.password && norm(e.dn) === norm(dn));
+      const ok = !!entry && password !== '' && entry.password === password;
+      socket.write(message(id, result(0x61, ok ? 0 : 49, ok ? '' : 'invalid credentials')));
+      return;
+    }
+    case 0x63: { // SearchRequest
+      const [base, scope, , , , , filter, attributes] = children(op.value);
+      const wanted = children(attributes.value).map(a => a.value.toString('utf8')).filter(a => a !== 'dn');
+      search(base.value.toString('utf8'), readInt(scope.value), filter)
+        .forEach(entry => socket.write(entryMessage(id, entry, wanted)));
+      socket.write(message(id, result(0x65, 0)));
+      return;
+    }
+    case 0x42: // UnbindRequest
+      socket.end();
+      return;
+    default: // Operación no soportada por el servidor de prueba
+      socket.write(message(id, result(0x78, 53, 'unwilling to perform')));
+  }
+}
+
+function createServer() {
+  return net.createServer(socket => {
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      pending = Buffer.concat([pending, chunk]);
+      let msg;
+      while ((msg = readTlv(pending))) {
+        pending = pending.subarray(msg.end);
+        handle(socket, msg);
+      }
+    });
+    socket.on('error', () => {});
+  });
+}
+
+// --- Casos de prueba del proveedor ---
+
+async function runChecks() {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const ldapAuth = require('../services/ldapAuth');
+  const findEmployee = async ({ incidenciaId, email }) => ({ incidencia_id: incidenciaId, correo: email });
+
+  const setEnv = (extra = {}) => {
+    Object.keys(process.env).filter(k => k.startsWith('LDAP_')).forEach(k => delete process.env[k]);
+    Object.assign(process.env, {
+      LDAP_URL: `ldap://127.0.0.1:${port}`,
+      LDAP_USER_DN_TEMPLATE: `uid={username},ou=people,${BASE}`,
+      LDAP_TIMEOUT_MS: '2000'
+    }, extra);
+  };
+  const group = {
+    LDAP_GROUP_BASE_DN: `ou=groups,${BASE}`,
+    LDAP_GROUP_FILTER: '(&(objectClass=groupOfNames)(cn=kpi)(member={dn}))'
+  };
+  const cases = [
+    ['bind correcto relaciona por employeeNumber y mail', {}, 'ana', 'secreto',
+      r => r && r.incidencia_id === '1001' && r.correo === 'ana@chc.local'],
+    ['contraseña incorrecta', {}, 'ana', 'mala', r => r === null],
+    ['contraseña vacía (bind anónimo) se rechaza', {}, 'ana', '', r => r === null],
+    ['usuario inexistente', {}, 'pedro', 'secreto', r => r === null],
+    ['usuario dentro del grupo requerido', group, 'ana', 'secreto', r => r && r.incidencia_id === '1001'],
+    ['usuario fuera del grupo requerido', group, 'luis', 'otra', r => r === null],
+    ['búsqueda de atributos por base (estilo AD)', {
+      LDAP_USER_SEARCH_BASE: `ou=people,${BASE}`,
+      LDAP_USER_SEARCH_FILTER: '(sAMAccountName={username})'
+    }, 'luis', 'otra', r => r && r.incidencia_id === '1002'],
+    ['caracteres especiales en el usuario se escapan en el DN', {}, 'ana,ou=people', 'secreto', r => r === null]
+  ];
+
+  let failed = 0;
+  for (const [label, env, username, password, check] of cases) {
+    setEnv(env);
+    let outcome;
+    try {
+      outcome = await ldapAuth.authenticate(username, password, findEmployee);
+    } catch (err) {
+      outcome = err;
+    }
+    const ok = !(outcome instanceof Error) && check(outcome);
+    if (!ok) failed++;
+    console.log(`${ok ? 'OK   ' : 'FALLA'} ${label}${ok ? '' : ` -> ${outcome instanceof Error ? outcome.message : JSON.stringify(outcome)}`}`);
+  }
+  server.close();
+  console.log(failed ? `${failed} caso(s) fallaron` : 'Todos los casos pasaron');
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (process.argv[2] === '--serve') {
+  const port = parseInt(process.argv[3] || '3890', 10);
+  createServer().listen(port, '127.0.0.1', () => {
+    console.log(`Servidor LDAP de prueba en ldap://127.0.0.1:${port} (base ${BASE})`);
+    console.log('Usuarios: ana / secreto (grupo kpi), luis / otra');
+  });
+} else {
+  runChecks().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,239 @@
+/*
+ * Proveedor OpenID Connect de prueba para services/oidcAuth.js.
+ *
+ * Implementa el flujo "authorization code" con PKCE (S256) sin
+ * dependencias externas: discovery, authorize (sin pantalla de
+ * consentimiento), token, jwks y userinfo.  Firma los id_token con una
+ * llave RSA generada al arrancar.  Sólo acepta code_challenge_method=S256
+ * y rechaza el canje si el code_verifier no corresponde al challenge.
+ *
+ * Uso:
+ *   node scripts/oidc-local.js
+ *     Levanta el proveedor en un puerto libre, recorre el flujo completo
+ *     con services/oidcAuth.js (beginLogin -> authorize -> completeLogin)
+ *     y comprueba los rechazos (verifier, state y nonce alterados, código
+ *     reutilizado, correo no verificado) y el correo obtenido por
+ *     userinfo.  Sale con código 1 si algún caso falla.  No necesita base
+ *     de datos.
+ *
+ *   node scripts/oidc-local.js --serve [puerto]
+ *     Deja el proveedor escuchando (puerto 9400 por omisión) para iniciar
+ *     sesión en la aplicación con "Entrar con cuenta corporativa".
+ *     Arranca la app con:
+ *       OIDC_ISSUER=http://127.0.0.1:9400
+ *       OIDC_CLIENT_ID=kpi-local
+ *       OIDC_REDIRECT_URI=http://localhost:3000/login/oidc/callback
+ *     El proveedor autentica a OIDC_LOCAL_EMAIL (por omisión
+ *     ana@chc.local); usa el correo de un empleado con acceso habilitado.
+ *     Si la app usa otra URL de retorno, indícala con OIDC_REDIRECT_URI
+ *     también al arrancar este script.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const CLIENT_ID = 'kpi-local';
+const DEFAULT_REDIRECT_URI = 'http://localhost:3000/login/oidc/callback';
+
+// Usuarios de prueba; login_hint elige uno (por omisión "ana")
+const USERS = {
+  ana: { sub: 'ana', email: process.env.OIDC_LOCAL_EMAIL || 'ana@chc.local', email_verified: true, name: 'Ana' },
+  sin_verificar: { sub: 'sin_verificar', email: 'nv@chc.local', email_verified: false },
+  solo_userinfo: { sub: 'solo_userinfo', userinfoEmail: 'ui@chc.local' }
+};
+
+const base64url = buf => Buffer.from(buf).toString('base64')
+  .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+function createProvider({ redirectUri = DEFAULT_REDIRECT_URI } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = base64url(crypto.randomBytes(8));
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+  const codes = new Map();
+  const tokens = new Map();
+  let issuer = '';
+
+  function sign(payload) {
+    const data = `${base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }))}.${base64url(JSON.stringify(payload))}`;
+    return `${data}.${base64url(crypto.sign('sha256', Buffer.from(data), privateKey))}`;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function authorize(url, res) {
+    const q = url.searchParams;
+    if (q.get('client_id') !== CLIENT_ID || q.get('redirect_uri') !== redirectUri) {
+      return send(res, 400, { error: 'invalid_request', error_description: 'client_id o redirect_uri no registrados' });
+    }
+    const back = new URL(redirectUri);
+    if (q.get('state')) back.searchParams.set('state', q.get('state'));
+    const fail = error => {
+      back.searchParams.set('error', error);
+      res.writeHead(302, { Location: back.toString() });
+      res.end();
+    };
+    if (q.get('response_type') !== 'code') return fail('unsupported_response_type');
+    if (!q.get('code_challenge') || q.get('code_challenge_method') !== 'S256') return fail('invalid_request');
+    const user = USERS[q.get('login_hint') || 'ana'];
+    if (!user) return fail('access_denied');
+    const code = base64url(crypto.randomBytes(24));
+    codes.set(code, { user, nonce: q.get('nonce'), challenge: q.get('code_challenge') });
+    back.searchParams.set('code', code);
+    res.writeHead(302, { Location: back.toString() });
+    return res.end();
+  }
+
+  function token(body, res) {
+    const p = new URLSearchParams(body);
+    const grant = codes.get(p.get('code'));
+    codes.delete(p.get('code')); // un código sólo se canjea una vez
+    if (p.get('grant_type') !== 'authorization_code' || !grant) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'código inválido o ya usado' });
+    }
+    if (p.get('client_id') !== CLIENT_ID || p.get('redirect_uri') !== redirectUri) {
+      return send(res, 400, { error: 'invalid_client' });
+    }
+    const expected = base64url(crypto.createHash('sha256').update(p.get('code_verifier') || '').digest());
+    if (expected !== grant.challenge) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'code_verifier no corresponde (PKCE)' });
+    }
+    const { userinfoEmail, ...claims } = grant.user;
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = base64url(crypto.randomBytes(24));
+    tokens.set(accessToken, { ...claims, ...(userinfoEmail ? { email: userinfoEmail, email_verified: true } : {}) });
+    return send(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: sign({ iss: issuer, aud: CLIENT_ID, iat: now, exp: now + 300, nonce: grant.nonce, ...claims })
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer || 'http://localhost');
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+        return send(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+          userinfo_endpoint: `${issuer}/userinfo`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256'],
+          token_endpoint_auth_methods_supported: ['none'],
+          scopes_supported: ['openid', 'email', 'profile']
+        });
+      }
+      if (req.method === 'GET' && url.pathname === '/jwks') return send(res, 200, { keys: [jwk] });
+      if (req.method === 'GET' && url.pathname === '/authorize') return authorize(url, res);
+      if (req.method === 'POST' && url.pathname === '/token') return token(body, res);
+      if (url.pathname === '/userinfo') {
+        const claims = tokens.get(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+        return claims ? send(res, 200, claims) : send(res, 401, { error: 'invalid_token' });
+      }
+      return send(res, 404, { error: 'not_found' });
+    });
+  });
+
+  return {
+    server,
+    listen(port, host) {
+      return new Promise(resolve => server.listen(port, host, () => {
+        issuer = `http://${host}:${server.address().port}`;
+        resolve(issuer);
+      }));
+    }
+  };
+}
+
+// --- Casos de prueba del proveedor ---
+
+async function runChecks() {
+  const provider = createProvider();
+  const issuer = await provider.listen(0, '127.0.0.1');
+  Object.assign(process.env, {
+    OIDC_ISSUER: issuer,
+    OIDC_CLIENT_ID: CLIENT_ID,
+    OIDC_CLIENT_SECRET: '',
+    OIDC_REDIRECT_URI: DEFAULT_REDIRECT_URI
+  });
+  const oidcAuth = require('../services/oidcAuth');
+
+  // Recorre el flujo como lo haría el navegador; tamper permite alterar
+  // los valores guardados en sesión antes del callback.
+  async function login({ hint, tamper } = {}) {
+    const { url, checks } = await oidcAuth.beginLogin(DEFAULT_REDIRECT_URI);
+    const authUrl = new URL(url);
+    if (hint) authUrl.searchParams.set('login_hint', hint);
+    const resp = await fetch(authUrl, { redirect: 'manual' });
+    const location = new URL(resp.headers.get('location'));
+    const saved = tamper ? tamper({ ...checks }) : checks;
+    const callback = { method: 'GET', url: `${location.pathname}${location.search}` };
+    return { email: await oidcAuth.completeLogin(callback, saved), authUrl, location, checks, callback };
+  }
+
+  const cases = [
+    ['flujo completo con PKCE S256 devuelve el correo', async () => {
+      const r = await login();
+      return r.email === USERS.ana.email
+        && r.authUrl.searchParams.get('code_challenge_method') === 'S256'
+        && r.authUrl.searchParams.get('code_challenge') !== r.checks.codeVerifier;
+    }],
+    ['code_verifier alterado: el proveedor rechaza el canje', async () => {
+      await login({ tamper: c => ({ ...c, codeVerifier: `${c.codeVerifier}x` }) });
+    }, /invalid_grant/],
+    ['state alterado: se rechaza el callback', async () => {
+      await login({ tamper: c => ({ ...c, state: 'otro' }) });
+    }, /state mismatch/],
+    ['nonce alterado: se rechaza el id_token', async () => {
+      await login({ tamper: c => ({ ...c, nonce: 'otro' }) });
+    }, /nonce mismatch/],
+    ['código reutilizado: el proveedor lo rechaza', async () => {
+      const r = await login();
+      await oidcAuth.completeLogin(r.callback, r.checks);
+    }, /invalid_grant/],
+    ['correo marcado como no verificado: no se acepta', async () => (await login({ hint: 'sin_verificar' })).email === null],
+    ['correo ausente en el id_token: se toma de userinfo', async () => (await login({ hint: 'solo_userinfo' })).email === 'ui@chc.local']
+  ];
+
+  let failed = 0;
+  for (const [label, run, expectedError] of cases) {
+    let ok;
+    let detail = '';
+    try {
+      const value = await run();
+      ok = !expectedError && value === true;
+      if (!ok) detail = expectedError ? 'se esperaba un error' : `resultado ${JSON.stringify(value)}`;
+    } catch (err) {
+      ok = !!expectedError && expectedError.test(err.message || '');
+      if (!ok) detail = err.message;
+    }
+    if (!ok) failed++;
+    console.log(`${ok ? 'OK   ' : 'FALLA'} ${label}${ok ? '' : ` -> ${detail}`}`);
+  }
+  provider.server.close();
+  console.log(failed ? `${failed} caso(s) fallaron` : 'Todos los casos pasaron');
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (process.argv[2] === '--serve') {
+  const port = parseInt(process.argv[3] || '9400', 10);
+  const provider = createProvider({ redirectUri: process.env.OIDC_REDIRECT_URI || DEFAULT_REDIRECT_URI });
+  provider.listen(port, '127.0.0.1').then(issuer => {
+    console.log(`Proveedor OIDC de prueba en ${issuer} (client_id ${CLIENT_ID})`);
+    console.log(`Autentica como ${USERS.ana.email}`);
+  });
+} else {
+  runChecks().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
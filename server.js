@@ -9,6 +9,7 @@ require('dotenv').config();
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
+const crypto = require('crypto');
 const flash = require('connect-flash');
 const bodyParser = require('body-parser');
 
@@ -27,29 +28,99 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
 app.use(bodyParser.json({ limit: '1mb' }));
 
-// Configuración de la sesión.  Se utiliza un valor secreto definido
-// en el archivo .env.  La opción saveUninitialized=false evita
-// sesiones vacías; resave=false para no guardar sesiones no
-// modificadas en cada petición.
+// Configuración de la sesión.
+// Las sesiones se guardan en MySQL (tabla `sesiones`) para sobrevivir a
+// reinicios.  Variables de entorno:
+//   SESSION_SECRET         - secreto para firmar la cookie (obligatorio salvo
+//                            con NODE_ENV=development)
+//   SESSION_IDLE_MINUTES   - minutos de inactividad antes de expirar (60)
+//   SESSION_MAX_HOURS      - duración máxima desde el inicio de sesión (12)
+//   SESSION_COOKIE_SECURE  - 'true' fuerza cookie segura, 'false' la desactiva;
+//                            por defecto ('auto') se marca como segura cuando
+//                            la petición llega por HTTPS
+//   TRUST_PROXY            - número de proxies de confianza (ej. 1 detrás de
+//                            nginx) para detectar HTTPS e IP real del cliente
+// La opción saveUninitialized=false evita sesiones vacías; resave=false
+// para no guardar sesiones no modificadas en cada petición.  rolling=true
+// renueva la vigencia de la cookie con cada petición (tiempo de inactividad).
+// Sin SESSION_SECRET sólo se arranca en desarrollo declarado, con un
+// secreto aleatorio por proceso (las sesiones no sobreviven a reinicios).
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  if (process.env.NODE_ENV !== 'development') {
+    console.error('SESSION_SECRET no está definido. Sólo puede omitirse con NODE_ENV=development.');
+    process.exit(1);
+  }
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('SESSION_SECRET no está definido: se usa un secreto aleatorio; las sesiones se pierden al reiniciar.');
+}
+
+// Los enlaces de recuperación de contraseña sólo se arman con APP_BASE_URL
+if (!process.env.APP_BASE_URL) {
+  console.warn('APP_BASE_URL no está definido: no se enviarán enlaces de recuperación de contraseña.');
+}
+
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isFinite(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+const SESSION_IDLE_MS = (parseInt(process.env.SESSION_IDLE_MINUTES || '60', 10) || 60) * 60 * 1000;
+const SESSION_MAX_MS = (parseFloat(process.env.SESSION_MAX_HOURS || '12') || 12) * 60 * 60 * 1000;
+const cookieSecureEnv = String(process.env.SESSION_COOKIE_SECURE || 'auto').toLowerCase();
+
+const { MySqlSessionStore } = require('./services/sessionStore');
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'defaultSecret',
+  secret: sessionSecret,
+  store: new MySqlSessionStore({ defaultTtlMs: SESSION_IDLE_MS }),
   resave: false,
-  saveUninitialized: false
+  saveUninitialized: false,
+  rolling: true,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: cookieSecureEnv === 'true' ? true : (cookieSecureEnv === 'false' ? false : 'auto'),
+    maxAge: SESSION_IDLE_MS
+  }
 }));
 
 // Flash messages para mostrar avisos y errores al usuario
 app.use(flash());
 
+// Caducidad absoluta de la sesión (independiente de la actividad)
+const sessionTimeout = require('./middleware/sessionTimeout');
+app.use(sessionTimeout(SESSION_MAX_MS));
+
+// Protección CSRF: expone res.locals.csrfToken y valida el token en
+// toda petición que modifica datos.
+const csrfProtection = require('./middleware/csrf');
+app.use(csrfProtection);
+
 // Variables locales disponibles en todas las vistas.  Aquí definimos
 // usuario y mensajes flash que se pasarán automáticamente a las
 // plantillas sin necesidad de declararlos en cada controlador.
 app.use((req, res, next) => {
   res.locals.user = req.session.user;
-  res.locals.success_msg = req.flash('success');
-  res.locals.error_msg = req.flash('error');
+  // req.flash() crea session.flash aunque no haya mensajes; sólo se lee
+  // si existe para no crear sesiones anónimas en cada petición.
+  const hasFlash = !!req.session.flash;
+  res.locals.success_msg = hasFlash ? req.flash('success') : [];
+  res.locals.error_msg = hasFlash ? req.flash('error') : [];
   next();
 });
 
+// Matriz de permisos: expone res.locals.permissions (Set) a las vistas.
+const { loadPermissions } = require('./services/permissions');
+app.use(loadPermissions);
+
+// Escala de calificación: expone res.locals.escala a las vistas.
+const { loadScoringScale } = require('./services/scoringScale');
+app.use(loadScoringScale);
+
+// Modo "Ver como": aviso en el header y bloqueo de escritura
+const impersonationGuard = require('./middleware/impersonation');
+app.use(impersonationGuard);
+
 // Importación de rutas
 const authRoutes = require('./routes/auth');
 const dashboardRoutes = require('./routes/dashboard');
@@ -57,6 +128,11 @@ const employeeRoutes = require('./routes/employees');
 const positionRoutes = require('./routes/positions');
 const kpiRoutes = require('./routes/kpis');
 const organigramaRoutes = require('./routes/organigrama');
+const sesionesRoutes = require('./routes/sesiones');
+const twoFactorRoutes = require('./routes/twofactor');
+const roleRoutes = require('./routes/roles');
+const impersonationRoutes = require('./routes/impersonation');
+const auditoriaRoutes = require('./routes/auditoria');
 
 // Cargar el programador de correos.  Se ejecutará una tarea
 // recurrente para enviar automáticamente los resultados de KPIs el día
@@ -72,6 +148,11 @@ app.use('/personal', employeeRoutes);
 app.use('/puestos', positionRoutes);
 app.use('/kpis', kpiRoutes);
 app.use('/organigrama', organigramaRoutes);
+app.use('/sesiones', sesionesRoutes);
+app.use('/2fa', twoFactorRoutes);
+app.use('/roles', roleRoutes);
+app.use('/ver-como', impersonationRoutes);
+app.use('/auditoria', auditoriaRoutes);
 
 // Ruta por defecto: redirige a dashboard si autenticado o a login.
 app.get('*', (req, res) => {
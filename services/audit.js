@@ -0,0 +1,259 @@
+const { pool } = require('../db');
+
+/*
+ * Bitácora de auditoría.
+ *
+ * Registra en la tabla `auditoria` (sólo inserciones; nunca se actualiza
+ * ni se borra) quién hizo qué y sobre qué empleado: capturas de
+ * resultados, aprobaciones, envíos a revisión, cambios en definiciones
+ * de KPIs, pesos por puesto, edición e importación de empleados,
+ * permisos, alcances, desbloqueos, revocación de sesiones, cierre de
+ * periodos y el modo "Ver como".
+ * Para resultados se guarda además el KPI, el periodo y los valores
+ * anterior y nuevo; el resto del detalle se guarda como JSON.
+ *
+ * Un error al escribir la bitácora se reporta en consola pero no
+ * interrumpe la operación del usuario.
+ */
+
+// Acciones registradas y su descripción para la pantalla de auditoría
+const ACTIONS = {
+  'resultado.guardar': 'Captura de resultado',
+  'resultado.aprobar': 'Visto bueno',
+  'resultado.revision': 'Envío a revisión',
+  'resultado.formula': 'Cálculo de KPI por fórmula',
+  'kpi.crear': 'Alta de KPI',
+  'kpi.editar': 'Edición de KPI',
+  'kpi.clonar': 'Clonación de KPI',
+  'kpi.recalcular': 'Recálculo de semáforos',
+  'kpi.metas': 'Metas particulares de KPI',
+  'kpi.calendario': 'Calendario de metas de KPI',
+  'escala.editar': 'Escala de calificación',
+  'puesto.kpis': 'KPIs y pesos del puesto',
+  'empleado.editar': 'Edición de empleado',
+  'empleado.2fa_reset': 'Restablecimiento de verificación en dos pasos',
+  'empleado.importar': 'Importación de empleado desde incidencias',
+  'empleado.alcance': 'Alcance de gerente',
+  'acceso.desbloquear': 'Desbloqueo de acceso',
+  'sesion.revocar': 'Revocación de sesiones',
+  'rol.permisos': 'Permisos por rol',
+  'periodo.cerrar': 'Cierre de periodo',
+  'periodo.reabrir': 'Reapertura de periodo',
+  'impersonation.start': 'Inicio de "Ver como"',
+  'impersonation.stop': 'Fin de "Ver como"'
+};
+
+function toText(v) {
+  if (v === undefined || v === null) return null;
+  return String(v).slice(0, 255);
+}
+
+/**
+ * Registra un evento.
+ * @param {Object} event
+ * @param {Object|null} event.actor - usuario que realiza la acción ({ id, nombre })
+ * @param {string} event.accion - clave de la acción (ver ACTIONS)
+ * @param {number|null} [event.empleadoId] - empleado afectado
+ * @param {number|null} [event.kpiId]
+ * @param {number|null} [event.anio]
+ * @param {number|null} [event.mes]
+ * @param {*} [event.valorAnterior]
+ * @param {*} [event.valorNuevo]
+ * @param {Object|null} [event.detalle] - datos adicionales
+ * @param {string|null} [event.ip]
+ * @returns {Promise<void>}
+ */
+async function logEvent({
+  actor,
+  accion,
+  empleadoId = null,
+  kpiId = null,
+  anio = null,
+  mes = null,
+  valorAnterior = null,
+  valorNuevo = null,
+  detalle = null,
+  ip = null
+}) {
+  try {
+    await pool.execute(
+      `INSERT INTO auditoria (creado_el, actor_id, actor_nombre, accion, empleado_id,
+                              kpi_id, anio, mes, valor_anterior, valor_nuevo, detalle, ip)
+       VALUES (NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor ? actor.id : null,
+        actor ? String(actor.nombre || '').slice(0, 150) : null,
+        accion,
+        empleadoId || null,
+        kpiId || null,
+        anio || null,
+        mes || null,
+        toText(valorAnterior),
+        toText(valorNuevo),
+        detalle ? JSON.stringify(detalle) : null,
+        ip || null
+      ]
+    );
+  } catch (err) {
+    console.error(`No se pudo registrar el evento de auditoría ${accion}:`, err.message || err);
+  }
+}
+
+/**
+ * Usuario real que realiza la acción: durante el modo "Ver como" es el
+ * administrador que inició la suplantación, no el empleado suplantado.
+ * @param {Object} req
+ * @returns {Object|null}
+ */
+function actorFromRequest(req) {
+  if (!req.session) return null;
+  return req.session.impersonator || req.session.user || null;
+}
+
+/**
+ * Registra un evento originado en una petición: toma el actor real y la
+ * IP, y si hay "Ver como" activo anota a quién se suplantaba.
+ * @param {Object} req
+ * @param {Object} event - mismos campos que logEvent, sin actor ni ip
+ * @returns {Promise<void>}
+ */
+function logFromRequest(req, event) {
+  let detalle = event.detalle || null;
+  if (req.session && req.session.impersonator && req.session.user) {
+    detalle = { ...(detalle || {}), ver_como: req.session.user.id };
+  }
+  return logEvent({ ...event, detalle, actor: actorFromRequest(req), ip: req.ip });
+}
+
+/**
+ * Registra el fin del modo "Ver como" de la sesión actual.  Se llama
+ * antes de restaurar o destruir la sesión, tanto al salir del modo como
+ * al cerrar sesión o al caducar, para que todo inicio tenga su fin.
+ * @param {Object} req
+ * @param {Object} [extra] - datos adicionales para el detalle
+ * @returns {Promise<void>}
+ */
+function logImpersonationStop(req, extra = {}) {
+  const session = req.session || {};
+  if (!session.impersonator) return Promise.resolve();
+  const info = session.impersonation || {};
+  return logEvent({
+    actor: session.impersonator,
+    accion: 'impersonation.stop',
+    empleadoId: session.user ? session.user.id : null,
+    detalle: {
+      readOnly: info.readOnly,
+      segundos: info.startedAt ? Math.round((Date.now() - info.startedAt) / 1000) : null,
+      ...extra
+    },
+    ip: req.ip
+  });
+}
+
+/**
+ * Estado actual de un resultado (antes de modificarlo).
+ * @param {number} empleadoId
+ * @param {number} kpiId
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Object|null>}
+ */
+async function getResultSnapshot(empleadoId, kpiId, anio, mes) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM kpi_resultados
+     WHERE empleado_id = ? AND kpi_id = ? AND anio = ? AND mes = ?
+     LIMIT 1`,
+    [empleadoId, kpiId, anio, mes]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Campos que cambiaron entre dos objetos.
+ * @param {Object} before
+ * @param {Object} after
+ * @param {string[]} fields
+ * @returns {Object} { campo: { antes, despues } }
+ */
+function diffFields(before, after, fields) {
+  const changes = {};
+  fields.forEach(f => {
+    const a = before && before[f] !== undefined && before[f] !== null ? String(before[f]) : '';
+    const b = after && after[f] !== undefined && after[f] !== null ? String(after[f]) : '';
+    // DECIMAL de MySQL llega como '90.00': no cuenta como cambio frente a '90'
+    const sameNumber = a !== '' && b !== '' && Number.isFinite(Number(a)) && Number(a) === Number(b);
+    if (a !== b && !sameNumber) changes[f] = { antes: a || null, despues: b || null };
+  });
+  return changes;
+}
+
+/**
+ * Busca eventos con filtros y paginación.
+ * @param {Object} filters - { desde, hasta, actor, empleado, accion, kpiId, anio, mes }
+ * @param {Object} [page] - { limit, offset }; sin limit devuelve todo (exportación)
+ * @returns {Promise<{rows: Array, total: number}>}
+ */
+async function searchEvents(filters, page = {}) {
+  const where = [];
+  const params = [];
+  if (filters.desde) {
+    where.push('a.creado_el >= ?');
+    params.push(`${filters.desde} 00:00:00`);
+  }
+  if (filters.hasta) {
+    where.push('a.creado_el <= ?');
+    params.push(`${filters.hasta} 23:59:59`);
+  }
+  if (filters.actor) {
+    where.push('a.actor_nombre LIKE ?');
+    params.push(`%${filters.actor}%`);
+  }
+  if (filters.empleado) {
+    where.push('(e.nombre LIKE ? OR e.incidencia_id = ?)');
+    params.push(`%${filters.empleado}%`, filters.empleado);
+  }
+  if (filters.accion) {
+    where.push('a.accion = ?');
+    params.push(filters.accion);
+  }
+  if (filters.kpiId) {
+    where.push('a.kpi_id = ?');
+    params.push(filters.kpiId);
+  }
+  if (filters.anio) {
+    where.push('a.anio = ?');
+    params.push(filters.anio);
+  }
+  if (filters.mes) {
+    where.push('a.mes = ?');
+    params.push(filters.mes);
+  }
+  const whereClause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const from = `FROM auditoria a
+     LEFT JOIN empleados e ON e.id = a.empleado_id
+     LEFT JOIN kpis k ON k.id = a.kpi_id
+     ${whereClause}`;
+
+  const [countRows] = await pool.execute(`SELECT COUNT(*) AS total ${from}`, params);
+  const limit = Number.isInteger(page.limit) && page.limit > 0 ? page.limit : null;
+  const offset = Number.isInteger(page.offset) && page.offset >= 0 ? page.offset : 0;
+  const [rows] = await pool.execute(
+    `SELECT a.*, e.nombre AS empleado_nombre, e.incidencia_id, k.nombre AS kpi_nombre
+     ${from}
+     ORDER BY a.id DESC
+     ${limit ? `LIMIT ${limit} OFFSET ${offset}` : ''}`,
+    params
+  );
+  return { rows, total: countRows[0] ? Number(countRows[0].total) : 0 };
+}
+
+module.exports = {
+  ACTIONS,
+  logEvent,
+  logFromRequest,
+  actorFromRequest,
+  logImpersonationStop,
+  getResultSnapshot,
+  diffFields,
+  searchEvents
+};
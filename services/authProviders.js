@@ -0,0 +1,156 @@
+const { pool } = require('../db');
+const { hashPassword, verifyPassword } = require('./passwords');
+const ldapAuth = require('./ldapAuth');
+
+/*
+ * Capa de proveedores de autenticación.
+ *
+ * Cada proveedor recibe usuario y contraseña y, si las credenciales son
+ * válidas, devuelve la fila del empleado (LOGIN_SELECT) con acceso
+ * habilitado.  Los proveedores se prueban en el orden indicado por
+ * AUTH_PROVIDERS (por defecto 'ldap,local'): se intenta primero el
+ * directorio corporativo y, si no autentica o no está disponible, las
+ * credenciales locales de empleados.  Los proveedores sin configuración
+ * (p. ej. LDAP sin LDAP_URL) se omiten; con AUTH_PROVIDERS=ldap se
+ * desactiva el respaldo local.
+ *
+ * Proveedores disponibles:
+ *   local - empleados.username / empleados.password (hash scrypt)
+ *   ldap  - bind LDAP / Active Directory (services/ldapAuth.js)
+ */
+
+// Consulta base de los datos que se guardan en sesión al iniciar sesión.
+const LOGIN_SELECT = `
+  SELECT e.id, e.nombre, e.username, e.password, e.must_change_password, e.totp_enabled,
+         e.puesto_id, e.departamento_id,
+         p.nombre AS puesto_nombre, d.nombre AS departamento_nombre,
+         p.role AS puesto_role
+  FROM empleados e
+  LEFT JOIN puestos p ON e.puesto_id = p.id
+  LEFT JOIN departamentos d ON e.departamento_id = d.id`;
+
+/**
+ * Obtiene la fila de inicio de sesión de un empleado con acceso habilitado.
+ * @param {number} employeeId
+ * @returns {Promise<Object|null>}
+ */
+async function findLoginRowById(employeeId) {
+  const [rows] = await pool.execute(
+    `${LOGIN_SELECT}
+     WHERE e.id = ? AND e.login_enabled = 1
+     LIMIT 1`,
+    [employeeId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Relaciona una identidad externa con un empleado con acceso habilitado,
+ * primero por No. de empleado (incidencia_id) y luego por correo.  Si el
+ * valor es ambiguo (más de un empleado) no se relaciona.
+ * @param {Object} identity
+ * @param {string|null} identity.incidenciaId
+ * @param {string|null} identity.email
+ * @returns {Promise<Object|null>}
+ */
+async function findLoginRowByIdentity({ incidenciaId, email }) {
+  if (incidenciaId) {
+    const [rows] = await pool.execute(
+      `${LOGIN_SELECT}
+       WHERE e.incidencia_id = ? AND e.login_enabled = 1`,
+      [incidenciaId]
+    );
+    if (rows.length === 1) return rows[0];
+  }
+  if (email) {
+    const [rows] = await pool.execute(
+      `${LOGIN_SELECT}
+       WHERE LOWER(e.correo) = LOWER(?) AND e.login_enabled = 1`,
+      [email]
+    );
+    if (rows.length === 1) return rows[0];
+  }
+  return null;
+}
+
+const localProvider = {
+  name: 'local',
+  isConfigured: () => true,
+  async authenticate(username, password) {
+    const [rows] = await pool.execute(
+      `${LOGIN_SELECT}
+       WHERE e.username = ? AND e.login_enabled = 1`,
+      [username]
+    );
+    // Se verifica la contraseña de cada candidato; sólo se acepta el
+    // acceso si exactamente un registro coincide.
+    const matches = [];
+    for (const row of rows) {
+      const check = await verifyPassword(password, row.password);
+      if (check.ok) matches.push({ row, needsRehash: check.needsRehash });
+    }
+    if (matches.length !== 1) return null;
+    const { row, needsRehash } = matches[0];
+    if (needsRehash) {
+      // Migración transparente de contraseñas legacy en texto plano
+      try {
+        const hashed = await hashPassword(password);
+        await pool.execute('UPDATE empleados SET password = ? WHERE id = ?', [hashed, row.id]);
+      } catch (e) {
+        console.error('No se pudo migrar la contraseña a hash:', e);
+      }
+    }
+    return row;
+  }
+};
+
+const ldapProvider = {
+  name: 'ldap',
+  isConfigured: ldapAuth.isConfigured,
+  authenticate: (username, password) => ldapAuth.authenticate(username, password, findLoginRowByIdentity)
+};
+
+const PROVIDERS = {
+  local: localProvider,
+  ldap: ldapProvider
+};
+
+/**
+ * Proveedores activos en el orden configurado.
+ * @returns {Array<Object>}
+ */
+function getActiveProviders() {
+  const names = String(process.env.AUTH_PROVIDERS || 'ldap,local')
+    .split(',')
+    .map(n => n.trim().toLowerCase())
+    .filter(Boolean);
+  const list = names.map(n => PROVIDERS[n]).filter(p => p && p.isConfigured());
+  return list.length ? list : [localProvider];
+}
+
+/**
+ * Autentica con el primer proveedor que acepte las credenciales.  Los
+ * errores de un proveedor (p. ej. directorio caído) se registran y se
+ * continúa con el siguiente.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{row: Object, provider: string}|null>}
+ */
+async function authenticate(username, password) {
+  for (const provider of getActiveProviders()) {
+    try {
+      const row = await provider.authenticate(username, password);
+      if (row) return { row, provider: provider.name };
+    } catch (err) {
+      console.error(`Error en el proveedor de autenticación ${provider.name}:`, err.message || err);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  LOGIN_SELECT,
+  authenticate,
+  findLoginRowById,
+  findLoginRowByIdentity
+};
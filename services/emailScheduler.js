@@ -1,6 +1,6 @@
 const cron = require('node-cron');
 const { sendIndividualKpiResults } = require('./kpiEmail');
-const dashboardRoutes = require('../routes/dashboard');
+const { getDefaultPeriod } = require('./kpiPeriodicity');
 const { pool } = require('../db');
 
 /*
@@ -9,8 +9,8 @@ const { pool } = require('../db');
  * a las 20:00 (8pm) para enviar los resultados del mes anterior a
  * todos los empleados que tienen correo registrado y que aún no han
  * recibido su archivo. El cálculo del periodo usa la función
- * getDefaultPeriod del dashboard, que aplica la regla de "día 1-10
- * se considera mes anterior".
+ * getDefaultPeriod (services/kpiPeriodicity.js), que aplica la regla
+ * de "día 1-10 se considera mes anterior".
  */
 
 /**
@@ -47,23 +47,8 @@ function scheduleMonthlyEmails() {
         return;
       }
       console.log(`[KPI Scheduler] Ejecutando envío automático de correos (límite ${limit} / reenvío ${resendFlag ? 'habilitado' : 'deshabilitado'})...`);
-      // Calcular periodo para el que se enviarán los resultados.  Usar la misma regla de getDefaultPeriod
-      const getDefault = dashboardRoutes.getDefaultPeriod || dashboardRoutes.router?.getDefaultPeriod;
-      let period;
-      if (getDefault) {
-        period = getDefault();
-      } else {
-        // Respaldo: calcula periodo manualmente
-        const d = new Date();
-        let y = d.getFullYear();
-        let m = d.getMonth() + 1;
-        if (d.getDate() <= 10) {
-          m -= 1;
-          if (m < 1) { m = 12; y -= 1; }
-        }
-        period = { year: y, month: m };
-      }
-      const { year, month } = period;
+      // Calcular periodo para el que se enviarán los resultados (misma regla que el dashboard)
+      const { year, month } = getDefaultPeriod();
       // Seleccionar empleados con correo no enviados en el periodo, hasta el límite establecido
       const [unsentRows] = await pool.execute(
         `SELECT e.id FROM empleados e
@@ -0,0 +1,369 @@
+const ExcelJS = require('exceljs');
+const { pool } = require('../db');
+const { toNumberOrNull } = require('./kpiScoring');
+const { usesThresholds } = require('./kpiTargets');
+const periodLock = require('./periodLock');
+
+/*
+ * Calendario mensual de metas (tabla kpi_calendario).
+ *
+ * Para KPIs estacionales (ventas de diciembre contra febrero) la meta
+ * cambia cada mes.  El calendario guarda, por KPI y año, los umbrales
+ * Amarillo/Verde (y opcionalmente el texto del objetivo) de cada mes; el
+ * de una sucursal tiene prioridad sobre el general (sucursal_id = 0).  Un
+ * mes sin calendario usa la definición vigente.  Las metas particulares
+ * (services/kpiTargets.js) se aplican después y siguen teniendo prioridad.
+ * Sólo aplica a KPIs calificados por umbrales.
+ *
+ * El calendario se carga desde Excel: una fila por mes con las columnas
+ * Año, Mes, Sucursal (vacía = general), Objetivo, Amarillo y Verde.  Cada
+ * año incluido en el archivo reemplaza el calendario de ese año, salvo los
+ * meses cerrados (services/periodLock.js), que conservan sus metas.
+ */
+
+const MESES = ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'];
+
+// Sucursal de las filas generales (la columna es parte de la llave única)
+const GENERAL = 0;
+
+const COLUMNS = [
+  { header: 'Año', key: 'anio', width: 8 },
+  { header: 'Mes', key: 'mes', width: 14 },
+  { header: 'Sucursal', key: 'sucursal', width: 24 },
+  { header: 'Objetivo', key: 'objetivo', width: 36 },
+  { header: 'Amarillo', key: 'amarillo', width: 12 },
+  { header: 'Verde', key: 'verde', width: 12 }
+];
+
+function normText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Calendarios de los KPIs en los años indicados.
+ * @param {number[]} kpiIds
+ * @param {number[]} anios
+ * @param {Object} [db] - pool o conexión
+ * @returns {Promise<Map<string, Object>>} `${kpi_id}|${anio}|${mes}|${sucursal_id}` -> fila
+ */
+async function load(kpiIds, anios, db = pool) {
+  const map = new Map();
+  const ids = [...new Set((kpiIds || []).map(Number).filter(Number.isFinite))];
+  const years = [...new Set((anios || []).map(Number).filter(Number.isFinite))];
+  if (!ids.length || !years.length) return map;
+  try {
+    const [rows] = await db.execute(
+      `SELECT kpi_id, anio, mes, sucursal_id, objetivo, threshold_yellow, threshold_green
+       FROM kpi_calendario
+       WHERE kpi_id IN (${ids.map(() => '?').join(',')})
+         AND anio IN (${years.map(() => '?').join(',')})`,
+      [...ids, ...years]
+    );
+    rows.forEach(r => map.set(`${r.kpi_id}|${r.anio}|${r.mes}|${r.sucursal_id}`, r));
+  } catch (err) {
+    if (!err || err.code !== 'ER_NO_SUCH_TABLE') throw err;
+  }
+  return map;
+}
+
+/**
+ * Fila del calendario que aplica: la de la sucursal o, si no hay, la general.
+ * @param {Map} calendar - resultado de load()
+ * @param {number} kpiId
+ * @param {number} anio
+ * @param {number} mes
+ * @param {number|null} sucursalId
+ * @returns {Object|undefined}
+ */
+function entryFor(calendar, kpiId, anio, mes, sucursalId) {
+  const key = `${Number(kpiId)}|${Number(anio)}|${Number(mes)}|`;
+  return (sucursalId ? calendar.get(key + Number(sucursalId)) : undefined) || calendar.get(key + GENERAL);
+}
+
+/**
+ * Definición del KPI con la meta del mes aplicada (si corresponde).
+ * Agrega meta_mes (etiqueta del mes) para indicar que viene del calendario.
+ * @param {Object} kpi
+ * @param {Object|undefined} entry
+ * @returns {Object}
+ */
+function applyMonth(kpi, entry) {
+  if (!entry || !usesThresholds(kpi)) return kpi;
+  return {
+    ...kpi,
+    objetivo: entry.objetivo || kpi.objetivo,
+    threshold_yellow: entry.threshold_yellow,
+    threshold_green: entry.threshold_green,
+    meta_mes: `${MESES[Number(entry.mes) - 1]} ${entry.anio}${Number(entry.sucursal_id) ? ' (sucursal)' : ''}`
+  };
+}
+
+/**
+ * Sucursal de cada empleado.
+ * @param {number[]} empleadoIds
+ * @param {Object} [db]
+ * @returns {Promise<Map<number, number|null>>}
+ */
+async function sucursalesOf(empleadoIds, db = pool) {
+  const ids = [...new Set((empleadoIds || []).map(Number).filter(Number.isFinite))];
+  if (!ids.length) return new Map();
+  const [rows] = await db.execute(
+    `SELECT id, sucursal_id FROM empleados WHERE id IN (${ids.map(() => '?').join(',')})`,
+    ids
+  );
+  return new Map(rows.map(r => [Number(r.id), r.sucursal_id]));
+}
+
+/**
+ * Aplica a una lista de KPIs la meta del mes para un empleado.
+ * @param {Array} kpis - definiciones (ya resueltas para el periodo)
+ * @param {number} empleadoId
+ * @param {number} anio
+ * @param {number} mes
+ * @param {Object} [db]
+ * @returns {Promise<Array>}
+ */
+async function resolveForEmployee(kpis, empleadoId, anio, mes, db = pool) {
+  const calendar = await load((kpis || []).map(k => k.id), [anio], db);
+  if (!calendar.size) return kpis;
+  const sucursalId = (await sucursalesOf([empleadoId], db)).get(Number(empleadoId));
+  return kpis.map(k => applyMonth(k, entryFor(calendar, k.id, anio, mes, sucursalId)));
+}
+
+/**
+ * Texto de la meta del mes para el dashboard (vacío si no hay calendario).
+ * @param {Object} kpi - definición con applyMonth aplicado
+ * @returns {string}
+ */
+function describe(kpi) {
+  if (!kpi || !kpi.meta_mes) return '';
+  const down = String(kpi.direction || '').toUpperCase() === 'LOWER_BETTER';
+  const g = toNumberOrNull(kpi.threshold_green);
+  return `Meta de ${kpi.meta_mes}: ${down ? '≤' : '≥'} ${g === null ? '—' : g}`;
+}
+
+/**
+ * Calendario de un KPI en un año, con el nombre de la sucursal.
+ * @param {number} kpiId
+ * @param {number} anio
+ * @returns {Promise<Array>}
+ */
+async function listForKpi(kpiId, anio) {
+  const [rows] = await pool.execute(
+    `SELECT c.anio, c.mes, c.sucursal_id, s.nombre AS sucursal_nombre,
+            c.objetivo, c.threshold_yellow, c.threshold_green
+     FROM kpi_calendario c
+     LEFT JOIN sucursales s ON s.id = c.sucursal_id
+     WHERE c.kpi_id = ? AND c.anio = ?
+     ORDER BY c.sucursal_id, c.mes`,
+    [kpiId, anio]
+  );
+  return rows;
+}
+
+function parseMes(value) {
+  const n = parseInt(value, 10);
+  if (String(n) === String(value ?? '').trim() && n >= 1 && n <= 12) return n;
+  const i = MESES.findIndex(m => normText(m) === normText(value));
+  return i >= 0 ? i + 1 : null;
+}
+
+function cellText(cell) {
+  const v = cell.value;
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'object') {
+    if (v.richText) return v.richText.map(t => t.text).join('');
+    if (v.result !== undefined) return String(v.result ?? '');
+    if (v.text !== undefined) return String(v.text);
+  }
+  return String(v);
+}
+
+/**
+ * Lee el calendario de un archivo de Excel (primera hoja, encabezados en
+ * la fila 1).  Las filas sin umbrales se ignoran.
+ * @param {Buffer} buffer
+ * @param {Object} kpi - score_type y direction para validar los umbrales
+ * @param {Array<{id: number, nombre: string}>} sucursales
+ * @returns {Promise<{entries: Array, anios: number[], errors: string[]}>}
+ */
+async function parseWorkbook(buffer, kpi, sucursales) {
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.load(buffer);
+  } catch (err) {
+    return { entries: [], anios: [], errors: ['El archivo no es un Excel válido (.xlsx)'] };
+  }
+  const ws = wb.worksheets[0];
+  if (!ws) return { entries: [], anios: [], errors: ['El archivo no tiene hojas'] };
+
+  const cols = {};
+  ws.getRow(1).eachCell((cell, col) => {
+    const h = normText(cellText(cell));
+    const c = COLUMNS.find(x => normText(x.header) === h);
+    if (c) cols[c.key] = col;
+  });
+  const missing = COLUMNS.filter(c => !cols[c.key] && c.key !== 'sucursal' && c.key !== 'objetivo');
+  if (missing.length) {
+    return { entries: [], anios: [], errors: [`Faltan columnas: ${missing.map(c => c.header).join(', ')}`] };
+  }
+
+  const sucByName = new Map(sucursales.map(s => [normText(s.nombre), Number(s.id)]));
+  const pct = String(kpi.score_type || '').toUpperCase() === 'PERCENT';
+  const down = String(kpi.direction || '').toUpperCase() === 'LOWER_BETTER';
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+  ws.eachRow((row, n) => {
+    if (n === 1) return;
+    const get = key => (cols[key] ? cellText(row.getCell(cols[key])).trim() : '');
+    const rawY = get('amarillo');
+    const rawG = get('verde');
+    if (rawY === '' && rawG === '') return;
+    const anio = parseInt(get('anio'), 10);
+    const mes = parseMes(get('mes'));
+    const sucursal = get('sucursal');
+    const sucursalId = sucursal ? sucByName.get(normText(sucursal)) : GENERAL;
+    let y = toNumberOrNull(rawY);
+    let g = toNumberOrNull(rawG);
+    if (!anio || anio < 2000 || anio > 2100) errors.push(`Fila ${n}: año inválido`);
+    else if (!mes) errors.push(`Fila ${n}: mes inválido ("${get('mes')}")`);
+    else if (sucursalId === undefined) errors.push(`Fila ${n}: la sucursal "${sucursal}" no existe`);
+    else if (y === null || g === null) errors.push(`Fila ${n}: requiere los umbrales Amarillo y Verde numéricos`);
+    else {
+      if (pct) {
+        // Igual que en el catálogo: los porcentajes se topan en 100
+        y = Math.min(y, 100);
+        g = Math.min(g, 100);
+      }
+      const key = `${anio}|${mes}|${sucursalId}`;
+      if (down ? g > y : g < y) {
+        errors.push(`Fila ${n}: el Umbral Verde debe ser ${down ? 'menor o igual' : 'mayor o igual'} que el Amarillo`);
+      } else if (seen.has(key)) {
+        errors.push(`Fila ${n}: ${MESES[mes - 1]} ${anio} está repetido${sucursal ? ` para ${sucursal}` : ''}`);
+      } else {
+        seen.add(key);
+        entries.push({
+          anio,
+          mes,
+          sucursal_id: sucursalId,
+          objetivo: get('objetivo').slice(0, 255) || null,
+          threshold_yellow: y,
+          threshold_green: g
+        });
+      }
+    }
+  });
+  if (!entries.length && !errors.length) errors.push('El archivo no tiene filas con umbrales');
+  return { entries, anios: [...new Set(entries.map(e => e.anio))].sort(), errors };
+}
+
+/**
+ * Plantilla de Excel con el calendario actual del año (o los 12 meses
+ * vacíos con la meta general como referencia).
+ * @param {Object} kpi
+ * @param {number} anio
+ * @param {Array} rows - listForKpi(kpi.id, anio)
+ * @returns {ExcelJS.Workbook}
+ */
+function buildTemplate(kpi, anio, rows) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = 'KPI Manager CHC';
+  wb.created = new Date();
+  const ws = wb.addWorksheet('Calendario');
+  ws.columns = COLUMNS;
+  ws.getRow(1).font = { bold: true };
+  const general = new Map(rows.filter(r => Number(r.sucursal_id) === GENERAL).map(r => [Number(r.mes), r]));
+  MESES.forEach((nombre, i) => {
+    const r = general.get(i + 1);
+    ws.addRow({
+      anio,
+      mes: nombre,
+      sucursal: '',
+      objetivo: r ? r.objetivo || '' : kpi.objetivo || '',
+      amarillo: r ? toNumberOrNull(r.threshold_yellow) : null,
+      verde: r ? toNumberOrNull(r.threshold_green) : null
+    });
+  });
+  rows.filter(r => Number(r.sucursal_id) !== GENERAL).forEach(r => {
+    ws.addRow({
+      anio,
+      mes: MESES[Number(r.mes) - 1],
+      sucursal: r.sucursal_nombre || '',
+      objetivo: r.objetivo || '',
+      amarillo: toNumberOrNull(r.threshold_yellow),
+      verde: toNumberOrNull(r.threshold_green)
+    });
+  });
+  return wb;
+}
+
+/**
+ * Reemplaza en una transacción el calendario del KPI en los años del
+ * archivo.  Los meses cerrados no se tocan: se conservan sus filas y se
+ * ignoran las del archivo para esos meses.
+ * @param {number} kpiId
+ * @param {number[]} anios
+ * @param {Array} entries - parseWorkbook().entries
+ * @param {number|null} actorId
+ * @returns {Promise<{eliminadas: number, guardadas: number, cerrados: string[]}>}
+ */
+async function replaceYears(kpiId, anios, entries, actorId) {
+  const closed = await periodLock.listClosedPeriods();
+  const cerrados = [];
+  anios.forEach(anio => {
+    for (let mes = 1; mes <= 12; mes++) {
+      if (closed.has(`${anio}-${mes}`)) cerrados.push({ anio, mes });
+    }
+  });
+  const open = entries.filter(e => !closed.has(`${e.anio}-${e.mes}`));
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const keepClosed = cerrados.length
+      ? ` AND (anio * 100 + mes) NOT IN (${cerrados.map(() => '?').join(',')})`
+      : '';
+    const [del] = await conn.execute(
+      `DELETE FROM kpi_calendario WHERE kpi_id = ? AND anio IN (${anios.map(() => '?').join(',')})${keepClosed}`,
+      [kpiId, ...anios, ...cerrados.map(c => c.anio * 100 + c.mes)]
+    );
+    for (const e of open) {
+      await conn.execute(
+        `INSERT INTO kpi_calendario
+           (kpi_id, anio, mes, sucursal_id, objetivo, threshold_yellow, threshold_green, actualizado_por, actualizado_el)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [kpiId, e.anio, e.mes, e.sucursal_id, e.objetivo, e.threshold_yellow, e.threshold_green, actorId || null]
+      );
+    }
+    await conn.commit();
+    return {
+      eliminadas: del.affectedRows || 0,
+      guardadas: open.length,
+      cerrados: cerrados.map(c => `${c.anio}-${String(c.mes).padStart(2, '0')}`)
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = {
+  MESES,
+  GENERAL,
+  load,
+  entryFor,
+  applyMonth,
+  sucursalesOf,
+  resolveForEmployee,
+  describe,
+  listForKpi,
+  parseWorkbook,
+  buildTemplate,
+  replaceYears
+};
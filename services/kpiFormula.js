@@ -0,0 +1,386 @@
+const { pool } = require('../db');
+const { scoreKpi, toNumberOrNull } = require('./kpiScoring');
+const kpiVersions = require('./kpiVersions');
+const scoringScale = require('./scoringScale');
+const kpiPeriodicity = require('./kpiPeriodicity');
+const kpiTargets = require('./kpiTargets');
+const kpiCalendar = require('./kpiCalendar');
+
+/*
+ * KPIs calculados (score_type = 'FORMULA').
+ *
+ * El valor de un KPI de fórmula se obtiene de los resultados de otros
+ * KPIs del mismo empleado y periodo; no se captura.  La fórmula admite
+ * números, referencias a otros KPIs por id entre llaves, los operadores
+ * + - * /, paréntesis y signo negativo.  Ejemplo: {12} / {15} * 100
+ *
+ * La fórmula se interpreta con un analizador propio (nunca con eval).  Si
+ * falta alguno de los valores o hay una división entre cero, el KPI queda
+ * sin valor.  El color se califica igual que un KPI numérico (umbrales,
+ * dirección y modo de puntaje).
+ *
+ * Cuando /dashboard/save guarda un resultado se recalculan, en orden, los
+ * KPIs de fórmula del empleado que dependen de él (también en cadena).
+ * Los resultados aprobados no se modifican.
+ */
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 30;
+
+function tokenize(expr) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|\{\s*(\d+)\s*\}|([-+*/()]))/y;
+  let pos = 0;
+  const src = String(expr);
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) throw new Error(`Carácter no válido en la posición ${pos + 1}`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'ref', id: Number(m[2]) });
+    else tokens.push({ type: 'op', value: m[3] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Analiza una fórmula y devuelve su árbol.
+ * Gramática: expr = term (('+'|'-') term)* ; term = factor (('*'|'/') factor)* ;
+ * factor = ('-'|'+') factor | número | {id} | '(' expr ')'
+ * @param {string} expr
+ * @returns {Object} nodo { type: 'num'|'ref'|'neg'|'bin', ... }
+ * @throws {Error} con un mensaje para el usuario si la fórmula no es válida
+ */
+function parse(expr) {
+  const src = String(expr || '').trim();
+  if (!src) throw new Error('La fórmula está vacía');
+  if (src.length > MAX_LENGTH) throw new Error(`La fórmula no puede exceder ${MAX_LENGTH} caracteres`);
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (t, ops) => t && t.type === 'op' && ops.includes(t.value);
+
+  function expression(depth) {
+    let node = term(depth);
+    while (isOp(peek(), '+-')) {
+      const op = tokens[i++].value;
+      node = { type: 'bin', op, left: node, right: term(depth) };
+    }
+    return node;
+  }
+  function term(depth) {
+    let node = factor(depth);
+    while (isOp(peek(), '*/')) {
+      const op = tokens[i++].value;
+      node = { type: 'bin', op, left: node, right: factor(depth) };
+    }
+    return node;
+  }
+  function factor(depth) {
+    if (depth > MAX_DEPTH) throw new Error('La fórmula tiene demasiados niveles anidados');
+    const t = tokens[i++];
+    if (!t) throw new Error('La fórmula está incompleta');
+    if (t.type === 'num') return { type: 'num', value: t.value };
+    if (t.type === 'ref') return { type: 'ref', id: t.id };
+    if (t.value === '-') return { type: 'neg', arg: factor(depth + 1) };
+    if (t.value === '+') return factor(depth + 1);
+    if (t.value === '(') {
+      const node = expression(depth + 1);
+      if (!isOp(tokens[i++], ')')) throw new Error('Falta cerrar un paréntesis');
+      return node;
+    }
+    throw new Error(`Operador "${t.value}" fuera de lugar`);
+  }
+
+  const ast = expression(0);
+  if (i < tokens.length) {
+    const t = tokens[i];
+    throw new Error(`Sobra "${t.type === 'ref' ? `{${t.id}}` : (t.value)}" en la fórmula`);
+  }
+  return ast;
+}
+
+/**
+ * Ids de los KPIs a los que hace referencia un árbol (sin repetir).
+ * @param {Object} ast
+ * @returns {number[]}
+ */
+function references(ast) {
+  const ids = new Set();
+  const walk = (n) => {
+    if (!n) return;
+    if (n.type === 'ref') ids.add(n.id);
+    else if (n.type === 'neg') walk(n.arg);
+    else if (n.type === 'bin') { walk(n.left); walk(n.right); }
+  };
+  walk(ast);
+  return [...ids];
+}
+
+/**
+ * Evalúa un árbol con los valores de los KPIs referenciados.
+ * @param {Object} ast
+ * @param {Map<number, number|null>} values - kpi_id -> valor numérico
+ * @returns {number|null} null si falta un valor o hay división entre cero
+ */
+function evaluate(ast, values) {
+  const calc = (n) => {
+    switch (n.type) {
+      case 'num': return n.value;
+      case 'ref': {
+        const v = values.get(n.id);
+        return v === undefined ? null : v;
+      }
+      case 'neg': {
+        const v = calc(n.arg);
+        return v === null ? null : -v;
+      }
+      default: {
+        const a = calc(n.left);
+        const b = calc(n.right);
+        if (a === null || b === null) return null;
+        if (n.op === '+') return a + b;
+        if (n.op === '-') return a - b;
+        if (n.op === '*') return a * b;
+        return b === 0 ? null : a / b;
+      }
+    }
+  };
+  const result = calc(ast);
+  return result === null || !Number.isFinite(result) ? null : Math.round(result * 100) / 100;
+}
+
+function safeReferences(formula) {
+  try {
+    return references(parse(formula));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Busca una referencia circular: si desde las referencias de un KPI se
+ * puede volver a él.
+ * @param {number|null} kpiId
+ * @param {number[]} refs - referencias de la fórmula nueva
+ * @param {Map<number, number[]>} graph - referencias de las demás fórmulas
+ * @returns {number[]|null} ciclo (ids, empezando y terminando en kpiId) o null
+ */
+function findCycle(kpiId, refs, graph) {
+  if (!kpiId) return null;
+  const visited = new Set();
+  const walk = (id, path) => {
+    if (id === kpiId) return [...path, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const next of graph.get(id) || []) {
+      const found = walk(next, [...path, id]);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const ref of refs) {
+    const found = walk(ref, [kpiId]);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Valida la fórmula de un KPI (payload normalizado del editor): sintaxis,
+ * que los KPIs referenciados existan y sean numéricos, y que no haya
+ * referencias circulares.
+ * @param {Object} p - payload con score_type y formula
+ * @param {number|null} kpiId - KPI que se edita (null al crear)
+ * @returns {Promise<string|null>} mensaje de error o null
+ */
+async function validateFormula(p, kpiId) {
+  if (p.score_type !== 'FORMULA') return null;
+  if (!p.formula) return 'El KPI calculado requiere una fórmula';
+  let refs;
+  try {
+    refs = references(parse(p.formula));
+  } catch (err) {
+    return `Fórmula inválida: ${err.message}`;
+  }
+  if (!refs.length) return 'La fórmula debe hacer referencia al menos a un KPI, p. ej. {12} / {15} * 100';
+  const selfId = kpiId ? Number(kpiId) : null;
+  if (selfId && refs.includes(selfId)) return 'La fórmula no puede hacer referencia al propio KPI';
+
+  const [rows] = await pool.execute('SELECT id, nombre, score_type, formula FROM kpis');
+  const byId = new Map(rows.map(r => [Number(r.id), r]));
+  const missing = refs.filter(id => !byId.has(id));
+  if (missing.length) {
+    return `La fórmula hace referencia a KPIs que no existen: ${missing.map(id => `{${id}}`).join(', ')}`;
+  }
+  const textual = refs.filter(id => String(byId.get(id).score_type || '').toUpperCase() === 'CRITERION');
+  if (textual.length) {
+    return `La fórmula sólo puede usar KPIs numéricos: ${textual.map(id => byId.get(id).nombre).join(', ')}`;
+  }
+
+  const graph = new Map();
+  rows.forEach(r => {
+    if (Number(r.id) !== selfId && String(r.score_type || '').toUpperCase() === 'FORMULA') {
+      graph.set(Number(r.id), safeReferences(r.formula));
+    }
+  });
+  const cycle = findCycle(selfId, refs, graph);
+  if (cycle) {
+    return `Referencia circular: ${cycle.map(id => (byId.get(id) ? byId.get(id).nombre : `{${id}}`)).join(' → ')}`;
+  }
+  return null;
+}
+
+/**
+ * Fórmula con los nombres de los KPIs en lugar de sus ids.
+ * @param {string} formula
+ * @param {Map<number, string>} names
+ * @returns {string}
+ */
+function describe(formula, names) {
+  return String(formula || '').replace(/\{\s*(\d+)\s*\}/g, (m, id) => {
+    const name = names.get(Number(id));
+    return name ? `[${name}]` : m;
+  });
+}
+
+/**
+ * Agrega `formula_texto` (fórmula legible) a los KPIs de fórmula de una lista.
+ * @param {Array} kpis
+ * @returns {Promise<Array>}
+ */
+async function annotate(kpis) {
+  const formulas = (kpis || []).filter(k => String(k.score_type || '').toUpperCase() === 'FORMULA' && k.formula);
+  if (!formulas.length) return kpis;
+  const ids = [...new Set(formulas.flatMap(k => safeReferences(k.formula)))];
+  const names = new Map();
+  if (ids.length) {
+    const [rows] = await pool.execute(
+      `SELECT id, nombre FROM kpis WHERE id IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    rows.forEach(r => names.set(Number(r.id), r.nombre));
+  }
+  formulas.forEach(k => { k.formula_texto = describe(k.formula, names); });
+  return kpis;
+}
+
+/**
+ * Recalcula los KPIs de fórmula de un empleado que dependen (directa o
+ * indirectamente) del KPI cuyo resultado cambió.
+ * @param {number} empleadoId
+ * @param {number} kpiId - KPI capturado
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Array>} [{ kpi_id, valor, color, puntaje, valorAnterior, colorAnterior }]
+ */
+async function recalcDependents(empleadoId, kpiId, anio, mes) {
+  const [assigned] = await pool.execute(
+    `SELECT k.*
+     FROM empleados e
+     JOIN puesto_kpis pk ON pk.puesto_id = e.puesto_id
+     JOIN kpis k ON k.id = pk.kpi_id
+     WHERE e.id = ?`,
+    [empleadoId]
+  );
+  // Definición del periodo con la meta del mes y la meta particular del empleado
+  const defs = await kpiTargets.resolveForEmployee(
+    await kpiCalendar.resolveForEmployee(await kpiVersions.resolveForPeriod(assigned, anio, mes), empleadoId, anio, mes),
+    empleadoId, anio, mes
+  );
+  const formulas = new Map();
+  defs.forEach(k => {
+    if (String(k.score_type || '').toUpperCase() !== 'FORMULA') return;
+    // Fórmulas trimestrales/anuales: sólo se calculan en su mes de captura
+    if (kpiPeriodicity.captureMonth(k.periodicidad, mes) !== Number(mes)) return;
+    try {
+      const ast = parse(k.formula);
+      formulas.set(Number(k.id), { kpi: k, ast, refs: references(ast) });
+    } catch (e) {
+      // Fórmula inválida en la versión del periodo: no se calcula
+    }
+  });
+  if (!formulas.size) return [];
+
+  // KPIs de fórmula afectados por el cambio (cierre transitivo)
+  const affected = new Set();
+  const queue = [Number(kpiId)];
+  while (queue.length) {
+    const changed = queue.shift();
+    formulas.forEach((f, id) => {
+      if (!affected.has(id) && f.refs.includes(changed)) {
+        affected.add(id);
+        queue.push(id);
+      }
+    });
+  }
+  if (!affected.size) return [];
+
+  // Orden topológico: primero las fórmulas cuyas entradas ya están listas.
+  // Las que forman un ciclo (no debería haberlos) quedan fuera.
+  const order = [];
+  const pending = new Set(affected);
+  let progress = true;
+  while (pending.size && progress) {
+    progress = false;
+    pending.forEach(id => {
+      if (formulas.get(id).refs.some(ref => pending.has(ref) && ref !== id)) return;
+      if (formulas.get(id).refs.includes(id)) return;
+      order.push(id);
+      pending.delete(id);
+      progress = true;
+    });
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT kpi_id, valor, color, visto_bueno FROM kpi_resultados
+     WHERE empleado_id = ? AND anio = ? AND mes = ?`,
+    [empleadoId, anio, mes]
+  );
+  const stored = new Map(rows.map(r => [Number(r.kpi_id), r]));
+  const values = new Map(rows.map(r => [Number(r.kpi_id), toNumberOrNull(r.valor)]));
+  const scale = await scoringScale.getScale(anio, mes);
+  const updates = [];
+
+  for (const id of order) {
+    const { kpi, ast } = formulas.get(id);
+    const before = stored.get(id);
+    if (before && before.visto_bueno === 1) continue;
+    const n = evaluate(ast, values);
+    values.set(id, n);
+    const valor = n === null ? null : String(n);
+    const prevValor = before && before.valor !== null && before.valor !== '' ? String(before.valor) : null;
+    if (n === null && !prevValor) continue;
+    const r = n === null ? { color: null, score: null } : scoreKpi(kpi, n, scale);
+    if (prevValor !== null && toNumberOrNull(prevValor) === n && (before.color || null) === r.color) continue;
+
+    await pool.execute(
+      `INSERT INTO kpi_resultados (empleado_id, kpi_id, anio, mes, valor, color)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE valor = VALUES(valor), color = VALUES(color)`,
+      [empleadoId, id, anio, mes, valor, r.color]
+    );
+    updates.push({
+      kpi_id: id,
+      valor,
+      color: r.color,
+      puntaje: r.score,
+      valorAnterior: prevValor,
+      colorAnterior: before ? before.color : null
+    });
+  }
+  return updates;
+}
+
+module.exports = {
+  parse,
+  references,
+  evaluate,
+  findCycle,
+  validateFormula,
+  describe,
+  annotate,
+  recalcDependents
+};
@@ -0,0 +1,345 @@
+const { pool } = require('../db');
+const { toNumberOrNull } = require('./kpiScoring');
+
+/*
+ * Periodicidad de los KPIs.
+ *
+ * Los resultados siguen guardándose por año/mes en kpi_resultados:
+ * - Mensual: un resultado por mes.
+ * - Trimestral, Semestral y Anual: un solo resultado por periodo, guardado
+ *   en el último mes del periodo (mes de captura: 3/6/9/12, 6/12 o 12).  El
+ *   dashboard lo muestra en todos los meses del periodo, pero sólo suma en
+ *   el total ponderado del mes de captura, de modo que cuenta una vez.
+ * - Semanal: cada semana se guarda en kpi_resultados_semana y el resultado
+ *   del mes es el agregado de sus semanas según la regla del KPI (suma,
+ *   promedio o último valor).  Una semana (de lunes a domingo) pertenece al
+ *   mes en que cae su jueves, así que cada mes tiene 4 o 5 semanas.
+ *
+ * La ventana de captura sigue la regla de getDefaultPeriod: el periodo por
+ * omisión es el que contiene el mes por omisión (en los primeros 10 días
+ * todavía el mes anterior) y, para los semanales, los lunes y martes
+ * todavía corresponden a la semana anterior.
+ */
+
+// Meses que abarca cada periodicidad (Semanal se agrega por mes)
+const PERIODICIDADES = {
+  Semanal: 1,
+  Mensual: 1,
+  Trimestral: 3,
+  Semestral: 6,
+  Anual: 12
+};
+
+// Reglas para llevar las semanas al mes
+const AGREGACIONES = {
+  SUMA: 'Suma',
+  PROMEDIO: 'Promedio',
+  ULTIMO: 'Último valor'
+};
+
+// Días al inicio de la semana (lunes, martes) en que se sigue capturando la anterior
+const WEEK_CAPTURE_WINDOW_DAYS = 2;
+
+/**
+ * Periodicidad válida ('Mensual' por omisión).
+ * @param {string} value
+ * @returns {string}
+ */
+function normalize(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return Object.keys(PERIODICIDADES).find(p => p.toLowerCase() === v) || 'Mensual';
+}
+
+/**
+ * Regla de agregación válida para un KPI semanal.  Sin regla, los
+ * porcentajes se promedian y los números se suman.
+ * @param {string} value
+ * @param {string} scoreType
+ * @returns {string}
+ */
+function normalizeAggregation(value, scoreType) {
+  const v = String(value || '').trim().toUpperCase();
+  if (AGREGACIONES[v]) return v;
+  return String(scoreType || '').toUpperCase() === 'PERCENT' ? 'PROMEDIO' : 'SUMA';
+}
+
+/**
+ * Mes en que se guarda el resultado del periodo que contiene `mes`.
+ * @param {string} periodicidad
+ * @param {number} mes
+ * @returns {number}
+ */
+function captureMonth(periodicidad, mes) {
+  const n = PERIODICIDADES[normalize(periodicidad)];
+  return Math.ceil(Number(mes) / n) * n;
+}
+
+/**
+ * Etiqueta del periodo que contiene `mes` (null para semanal y mensual).
+ * @param {string} periodicidad
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {string|null}
+ */
+function periodLabel(periodicidad, anio, mes) {
+  const p = normalize(periodicidad);
+  if (p === 'Trimestral') return `T${Math.ceil(Number(mes) / 3)} ${anio}`;
+  if (p === 'Semestral') return `S${Math.ceil(Number(mes) / 6)} ${anio}`;
+  if (p === 'Anual') return String(anio);
+  return null;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Semanas de un mes: las que tienen su jueves dentro del mes.
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Array<{semana: number, inicio: Date, fin: Date, etiqueta: string}>}
+ */
+function weeksOfMonth(anio, mes) {
+  const first = new Date(anio, mes - 1, 1);
+  // Primer jueves del mes (getDay: 4 = jueves)
+  const thursday = new Date(anio, mes - 1, 1 + ((4 - first.getDay() + 7) % 7));
+  const weeks = [];
+  for (let semana = 1; thursday.getMonth() === mes - 1; semana++) {
+    const inicio = new Date(thursday.getFullYear(), thursday.getMonth(), thursday.getDate() - 3);
+    const fin = new Date(thursday.getFullYear(), thursday.getMonth(), thursday.getDate() + 3);
+    weeks.push({
+      semana,
+      inicio,
+      fin,
+      etiqueta: `${pad2(inicio.getDate())}/${pad2(inicio.getMonth() + 1)} – ${pad2(fin.getDate())}/${pad2(fin.getMonth() + 1)}`
+    });
+    thursday.setDate(thursday.getDate() + 7);
+  }
+  return weeks;
+}
+
+/**
+ * Semana (y mes al que pertenece) de una fecha.
+ * @param {Date} date
+ * @returns {{anio: number, mes: number, semana: number}}
+ */
+function weekFor(date) {
+  const dow = date.getDay() || 7; // 1 = lunes ... 7 = domingo
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - dow + 4);
+  return {
+    anio: thursday.getFullYear(),
+    mes: thursday.getMonth() + 1,
+    semana: Math.floor((thursday.getDate() - 1) / 7) + 1
+  };
+}
+
+/**
+ * Semana por omisión para capturar: la actual o, los lunes y martes, la anterior.
+ * @param {Date} [now]
+ * @returns {{anio: number, mes: number, semana: number}}
+ */
+function defaultWeek(now = new Date()) {
+  const d = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if ((d.getDay() || 7) <= WEEK_CAPTURE_WINDOW_DAYS) d.setDate(d.getDate() - 7);
+  return weekFor(d);
+}
+
+/**
+ * Calcula el periodo por defecto basado en la fecha actual.  Si el día
+ * del mes es menor o igual a 10, se considera que el periodo por
+ * defecto corresponde al mes anterior; de lo contrario se toma el
+ * mes actual.  Este comportamiento permite que, durante los
+ * primeros 10 días del mes, se sigan mostrando y editando los
+ * resultados del mes pasado.  El cálculo usa la fecha del
+ * servidor (por ejemplo, la configuración de la PC donde corre
+ * Node.js), de modo que cambiar el reloj del equipo afecta el
+ * periodo que se selecciona.
+ *
+ * Con una periodicidad distinta de la mensual se devuelve el mes de
+ * captura del periodo que contiene ese mes (p. ej. marzo para el primer
+ * trimestre) y, para los semanales, además la semana a capturar (los
+ * lunes y martes todavía la anterior; ver defaultWeek).
+ *
+ * @param {Date} [now] Objeto Date opcional para pruebas; por
+ *     defecto usa new Date().
+ * @param {string} [periodicidad] Periodicidad del KPI; por defecto 'Mensual'.
+ * @returns {{year:number, month:number, week?:number}} Objeto con año y mes (1-12).
+ */
+function getDefaultPeriod(now = new Date(), periodicidad = 'Mensual') {
+  const p = normalize(periodicidad);
+  if (p === 'Semanal') {
+    const w = defaultWeek(now);
+    return { year: w.anio, month: w.mes, week: w.semana };
+  }
+  let year = now.getFullYear();
+  let month = now.getMonth() + 1; // 1-12
+  if (now.getDate() <= 10) {
+    month -= 1;
+    if (month < 1) {
+      month = 12;
+      year -= 1;
+    }
+  }
+  return { year, month: captureMonth(p, month) };
+}
+
+/**
+ * Valor del mes a partir de los valores de sus semanas (en orden).
+ * Las semanas sin valor no cuentan.
+ * @param {Array} values
+ * @param {string} regla - SUMA | PROMEDIO | ULTIMO
+ * @returns {number|null}
+ */
+function aggregate(values, regla) {
+  const nums = (values || []).map(toNumberOrNull).filter(n => n !== null);
+  if (!nums.length) return null;
+  let result;
+  if (regla === 'ULTIMO') result = nums[nums.length - 1];
+  else {
+    const sum = nums.reduce((a, b) => a + b, 0);
+    result = regla === 'PROMEDIO' ? sum / nums.length : sum;
+  }
+  return Math.round(result * 100) / 100;
+}
+
+/**
+ * Valores semanales enviados por el formulario (semana_1 ... semana_5).
+ * Un campo vacío borra la semana.
+ * @param {Object} body
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {{values?: Map<number, string|null>, error?: string}}
+ */
+function weeklyValuesFromBody(body, anio, mes) {
+  const values = new Map();
+  for (const w of weeksOfMonth(anio, mes)) {
+    const raw = body[`semana_${w.semana}`];
+    if (raw === undefined) continue;
+    const s = String(raw).trim();
+    if (s === '') {
+      values.set(w.semana, null);
+      continue;
+    }
+    const n = toNumberOrNull(s);
+    if (n === null) return { error: `El valor de la semana ${w.semana} (${w.etiqueta}) no es numérico` };
+    values.set(w.semana, String(n));
+  }
+  return { values };
+}
+
+/**
+ * Valores semanales guardados de un empleado en un mes.
+ * @param {number} empleadoId
+ * @param {number[]} kpiIds
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Map<number, Map<number, string>>>} kpi_id -> (semana -> valor)
+ */
+async function loadWeeks(empleadoId, kpiIds, anio, mes) {
+  const map = new Map();
+  const ids = [...new Set((kpiIds || []).map(Number).filter(Number.isFinite))];
+  if (!ids.length) return map;
+  try {
+    const [rows] = await pool.execute(
+      `SELECT kpi_id, semana, valor FROM kpi_resultados_semana
+       WHERE empleado_id = ? AND anio = ? AND mes = ?
+         AND kpi_id IN (${ids.map(() => '?').join(',')})
+       ORDER BY semana`,
+      [empleadoId, anio, mes, ...ids]
+    );
+    rows.forEach(r => {
+      const weeks = map.get(Number(r.kpi_id)) || new Map();
+      if (r.valor !== null && r.valor !== '') weeks.set(Number(r.semana), r.valor);
+      map.set(Number(r.kpi_id), weeks);
+    });
+  } catch (err) {
+    if (!err || err.code !== 'ER_NO_SUCH_TABLE') throw err;
+  }
+  return map;
+}
+
+/**
+ * Guarda (o borra, con valor null) las semanas capturadas.
+ * @param {number} empleadoId
+ * @param {number} kpiId
+ * @param {number} anio
+ * @param {number} mes
+ * @param {Map<number, string|null>} values
+ * @param {number|null} actorId
+ * @returns {Promise<void>}
+ */
+async function saveWeeks(empleadoId, kpiId, anio, mes, values, actorId) {
+  for (const [semana, valor] of values) {
+    if (valor === null) {
+      await pool.execute(
+        `DELETE FROM kpi_resultados_semana
+         WHERE empleado_id = ? AND kpi_id = ? AND anio = ? AND mes = ? AND semana = ?`,
+        [empleadoId, kpiId, anio, mes, semana]
+      );
+    } else {
+      await pool.execute(
+        `INSERT INTO kpi_resultados_semana (empleado_id, kpi_id, anio, mes, semana, valor, actualizado_por, actualizado_el)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE
+           valor = VALUES(valor),
+           actualizado_por = VALUES(actualizado_por),
+           actualizado_el = NOW()`,
+        [empleadoId, kpiId, anio, mes, semana, valor, actorId || null]
+      );
+    }
+  }
+}
+
+/**
+ * Agrega a cada KPI la información de periodicidad para el mes mostrado:
+ * periodicidad, mes_captura, cuenta_en_total, periodo_etiqueta y, en los
+ * semanales, agregacion y semanas [{semana, etiqueta, valor, actual}].
+ * @param {Array} kpis
+ * @param {number} empleadoId
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Array>}
+ */
+async function annotate(kpis, empleadoId, anio, mes) {
+  (kpis || []).forEach(k => {
+    k.periodicidad = normalize(k.periodicidad);
+    k.mes_captura = captureMonth(k.periodicidad, mes);
+    k.cuenta_en_total = k.mes_captura === Number(mes);
+    k.periodo_etiqueta = periodLabel(k.periodicidad, anio, mes);
+  });
+  const weekly = (kpis || []).filter(k => k.periodicidad === 'Semanal');
+  if (!weekly.length) return kpis;
+  const stored = await loadWeeks(empleadoId, weekly.map(k => k.id), anio, mes);
+  const weeks = weeksOfMonth(anio, mes);
+  const def = defaultWeek();
+  const isCurrentMonth = def.anio === Number(anio) && def.mes === Number(mes);
+  weekly.forEach(k => {
+    const values = stored.get(Number(k.id)) || new Map();
+    k.agregacion = normalizeAggregation(k.agregacion, k.score_type);
+    k.semanas = weeks.map(w => ({
+      semana: w.semana,
+      etiqueta: w.etiqueta,
+      valor: values.has(w.semana) ? values.get(w.semana) : '',
+      actual: isCurrentMonth && def.semana === w.semana
+    }));
+  });
+  return kpis;
+}
+
+module.exports = {
+  PERIODICIDADES,
+  AGREGACIONES,
+  normalize,
+  normalizeAggregation,
+  captureMonth,
+  periodLabel,
+  weeksOfMonth,
+  weekFor,
+  defaultWeek,
+  getDefaultPeriod,
+  aggregate,
+  weeklyValuesFromBody,
+  loadWeeks,
+  saveWeeks,
+  annotate
+};
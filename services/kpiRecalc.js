@@ -0,0 +1,163 @@
+const { pool } = require('../db');
+const { scoreKpi } = require('./kpiScoring');
+const kpiVersions = require('./kpiVersions');
+const periodLock = require('./periodLock');
+const scoringScale = require('./scoringScale');
+const kpiTargets = require('./kpiTargets');
+const kpiCalendar = require('./kpiCalendar');
+
+/*
+ * Recálculo de semáforos.
+ *
+ * Vuelve a calificar con scoreKpi los resultados capturados en un rango
+ * de periodos (opcionalmente de un solo KPI), usando para cada mes la
+ * versión de la definición vigente, el calendario de metas del mes y la
+ * meta particular de cada empleado (services/kpiCalendar.js y
+ * services/kpiTargets.js).  Sólo se cambia el color cuando la
+ * nueva calificación es distinta y válida: un valor que ya no puede
+ * calificarse conserva su color.  Los periodos cerrados nunca se tocan y
+ * los resultados aprobados se pueden omitir.
+ *
+ * previewRecalc no modifica nada (vista previa); applyRecalc repite el
+ * cálculo dentro de una transacción y actualiza las filas afectadas.
+ */
+
+/**
+ * Calcula los cambios de color.
+ * @param {Object} db - pool o conexión (con execute)
+ * @param {Object} opts
+ * @param {number|null} opts.kpiId - KPI a recalcular (null = todos)
+ * @param {{anio: number, mes: number}} opts.desde
+ * @param {{anio: number, mes: number}} opts.hasta
+ * @param {boolean} opts.skipApproved - omitir resultados con visto bueno
+ * @param {boolean} [opts.forUpdate] - bloquear las filas leídas (dentro de transacción)
+ * @returns {Promise<Object>} { revisados, changes, skippedApproved, skippedClosed, unscored }
+ */
+async function collectChanges(db, { kpiId, desde, hasta, skipApproved, forUpdate = false }) {
+  const params = [desde.anio * 100 + desde.mes, hasta.anio * 100 + hasta.mes];
+  let kpiFilter = '';
+  if (kpiId) {
+    kpiFilter = 'AND kr.kpi_id = ?';
+    params.push(kpiId);
+  }
+  const [rows] = await db.execute(
+    `SELECT kr.empleado_id, kr.kpi_id, kr.anio, kr.mes, kr.valor, kr.color, kr.visto_bueno
+     FROM kpi_resultados kr
+     WHERE (kr.anio * 100 + kr.mes) BETWEEN ? AND ?
+       AND kr.valor IS NOT NULL AND kr.valor <> ''
+       ${kpiFilter}
+     ORDER BY kr.anio, kr.mes, kr.kpi_id, kr.empleado_id
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    params
+  );
+
+  const summary = { revisados: rows.length, changes: [], skippedApproved: 0, skippedClosed: 0, unscored: 0 };
+  if (!rows.length) return summary;
+
+  const kpiIds = [...new Set(rows.map(r => r.kpi_id))];
+  const [kpis] = await db.execute(
+    `SELECT * FROM kpis WHERE id IN (${kpiIds.map(() => '?').join(',')})`,
+    kpiIds
+  );
+  const kpiMap = new Map(kpis.map(k => [Number(k.id), k]));
+  const versionMap = await kpiVersions.loadVersions(kpiIds);
+  const closed = await periodLock.listClosedPeriods();
+  await scoringScale.ensureLoaded();
+  const metas = await kpiTargets.loadForEmployees(rows.map(r => r.empleado_id), db);
+  const calendar = await kpiCalendar.load(kpiIds, rows.map(r => r.anio), db);
+  const sucursales = calendar.size ? await kpiCalendar.sucursalesOf(rows.map(r => r.empleado_id), db) : new Map();
+
+  rows.forEach(r => {
+    const kpi = kpiMap.get(Number(r.kpi_id));
+    if (!kpi) return;
+    if (closed.has(`${r.anio}-${r.mes}`)) {
+      summary.skippedClosed++;
+      return;
+    }
+    if (skipApproved && Number(r.visto_bueno) === 1) {
+      summary.skippedApproved++;
+      return;
+    }
+    const def = kpiTargets.applyTarget(
+      kpiCalendar.applyMonth(
+        kpiVersions.definitionFor(kpi, versionMap, r.anio, r.mes),
+        kpiCalendar.entryFor(calendar, r.kpi_id, r.anio, r.mes, sucursales.get(Number(r.empleado_id)))
+      ),
+      kpiTargets.targetFor(metas.get(Number(r.empleado_id)), r.kpi_id, r.anio, r.mes)
+    );
+    const { color } = scoreKpi(def, r.valor, scoringScale.forPeriod(r.anio, r.mes));
+    if (!color) {
+      summary.unscored++;
+      return;
+    }
+    if (color !== (r.color || null)) {
+      summary.changes.push({
+        empleado_id: r.empleado_id,
+        kpi_id: r.kpi_id,
+        kpi_nombre: kpi.nombre,
+        anio: r.anio,
+        mes: r.mes,
+        valor: r.valor,
+        color_actual: r.color || null,
+        color_nuevo: color
+      });
+    }
+  });
+  return summary;
+}
+
+/**
+ * Vista previa del recálculo (no modifica datos).
+ * @param {Object} opts - ver collectChanges
+ * @returns {Promise<Object>}
+ */
+async function previewRecalc(opts) {
+  const summary = await collectChanges(pool, opts);
+  // Nombres de empleado para mostrar en la vista previa
+  const empIds = [...new Set(summary.changes.map(c => c.empleado_id))];
+  if (empIds.length) {
+    const [emps] = await pool.execute(
+      `SELECT id, nombre, incidencia_id FROM empleados WHERE id IN (${empIds.map(() => '?').join(',')})`,
+      empIds
+    );
+    const empMap = new Map(emps.map(e => [Number(e.id), e]));
+    summary.changes.forEach(c => {
+      const e = empMap.get(Number(c.empleado_id));
+      c.empleado_nombre = e ? e.nombre : '';
+      c.incidencia_id = e ? e.incidencia_id : '';
+    });
+  }
+  return summary;
+}
+
+/**
+ * Aplica el recálculo en una transacción.
+ * @param {Object} opts - ver collectChanges
+ * @returns {Promise<Object>} mismo resumen que la vista previa
+ */
+async function applyRecalc(opts) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const summary = await collectChanges(conn, { ...opts, forUpdate: true });
+    for (const c of summary.changes) {
+      await conn.execute(
+        `UPDATE kpi_resultados SET color = ?
+         WHERE empleado_id = ? AND kpi_id = ? AND anio = ? AND mes = ?`,
+        [c.color_nuevo, c.empleado_id, c.kpi_id, c.anio, c.mes]
+      );
+    }
+    await conn.commit();
+    return summary;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = {
+  previewRecalc,
+  applyRecalc
+};
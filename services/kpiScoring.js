@@ -2,9 +2,23 @@
 //
 // Modelo nuevo (sin usar rangos legacy):
 // - score_type: PERCENT | NUMBER | CRITERION
-// - direction: HIGHER_BETTER | LOWER_BETTER
+// - direction: HIGHER_BETTER | LOWER_BETTER | WITHIN_RANGE
+//   (WITHIN_RANGE usa las bandas verde_min..verde_max y amarillo_min..amarillo_max;
+//   fuera de la banda amarilla es rojo)
 // - thresholds: threshold_yellow, threshold_green
 // - criteria: criterion_red, criterion_yellow, criterion_green
+// - score_mode: STEP (puntos fijos por color) | CONTINUOUS (proporcional)
+//
+// En modo CONTINUOUS (sólo NUMBER / PERCENT) el color se sigue calculando
+// con los umbrales, pero el puntaje se interpola linealmente: 0 puntos en
+// el piso (score_floor) y los puntos del nivel verde en la meta
+// (threshold_green).  score_cap limita el puntaje por encima de la meta,
+// como porcentaje de los puntos de la meta (vacío = sin excedente).
+//
+// Los puntos de cada color y si el nivel amarillo está activo se toman de
+// la escala de calificación (services/scoringScale.js).
+
+const scoringScale = require('./scoringScale');
 
 function toNumberOrNull(v) {
   if (v === null || v === undefined) return null;
@@ -20,11 +34,85 @@ function toNumberOrNull(v) {
  *
  * @param {object} kpi - fila de la tabla kpis
  * @param {string|number|null} rawValue - valor capturado
- * @returns {{color: ('rojo'|'amarillo'|'verde'|null), score: (40|70|100|null), reason: string|null}}
+ * @param {object} [scale] - escala de calificación (por omisión, la cargada en memoria)
+ * @returns {{color: ('rojo'|'amarillo'|'verde'|null), score: (number|null), reason: string|null}}
  */
-function scoreKpi(kpi, rawValue) {
+function scoreKpi(kpi, rawValue, scale = scoringScale.current()) {
   if (!kpi) return { color: null, score: null, reason: 'KPI inválido' };
+  const { color, reason } = colorFor(kpi, rawValue, scoringScale.isActive('amarillo', kpi.id, scale));
+  if (!color) return { color: null, score: null, reason };
+  const continuous = isContinuous(kpi) ? continuousPoints(kpi, toNumberOrNull(rawValue), scale) : null;
+  return {
+    color,
+    score: continuous !== null ? continuous : scoringScale.pointsFor(color, kpi.id, scale),
+    reason: null
+  };
+}
+
+/**
+ * Indica si el KPI se califica en modo proporcional.
+ * @param {object} kpi
+ * @returns {boolean}
+ */
+function isContinuous(kpi) {
+  return !!kpi
+    && String(kpi.score_mode || '').toUpperCase() === 'CONTINUOUS'
+    && String(kpi.score_type || '').toUpperCase() !== 'CRITERION'
+    && String(kpi.direction || '').toUpperCase() !== 'WITHIN_RANGE';
+}
+
+/**
+ * Puntaje proporcional: 0 en el piso, los puntos del nivel verde en la
+ * meta y, por encima de la meta, hasta score_cap % de esos puntos.
+ * Devuelve null si el piso no está definido o no queda del lado malo de
+ * la meta (en ese caso se usan los puntos fijos del color).
+ *
+ * @param {object} kpi
+ * @param {number|null} n - valor numérico capturado
+ * @param {object} [scale]
+ * @returns {number|null}
+ */
+function continuousPoints(kpi, n, scale = scoringScale.current()) {
+  const floor = toNumberOrNull(kpi.score_floor);
+  const target = toNumberOrNull(kpi.threshold_green);
+  if (n === null || floor === null || target === null) return null;
+  const lowerBetter = String(kpi.direction || 'HIGHER_BETTER').toUpperCase() === 'LOWER_BETTER';
+  if (lowerBetter ? floor <= target : floor >= target) return null;
+
+  const cap = toNumberOrNull(kpi.score_cap);
+  const maxRatio = cap !== null && cap > 100 ? cap / 100 : 1;
+  // (n - piso) / (meta - piso) funciona en ambos sentidos
+  const ratio = Math.min(Math.max((n - floor) / (target - floor), 0), maxRatio);
+  const targetPoints = scoringScale.pointsFor('verde', kpi.id, scale);
+  return Math.round(ratio * targetPoints * 100) / 100;
+}
+
+/**
+ * Puntos de un resultado guardado: en modo proporcional se recalculan a
+ * partir del valor; en modo por niveles son los puntos de su color.
+ *
+ * @param {object} kpi - definición del KPI vigente en el periodo
+ * @param {{valor: *, color: (string|null)}} result
+ * @param {object} [scale]
+ * @returns {number|null}
+ */
+function resultPoints(kpi, result, scale = scoringScale.current()) {
+  if (!kpi || !result || !result.color) return null;
+  if (isContinuous(kpi)) {
+    const points = continuousPoints(kpi, toNumberOrNull(result.valor), scale);
+    if (points !== null) return points;
+  }
+  return scoringScale.pointsFor(result.color, kpi.id, scale);
+}
 
+/**
+ * Color del semáforo según umbrales o criterios.
+ * @param {object} kpi
+ * @param {string|number|null} rawValue
+ * @param {boolean} withYellow - false en escalas de dos niveles
+ * @returns {{color: (string|null), reason: (string|null)}}
+ */
+function colorFor(kpi, rawValue, withYellow) {
   const scoreType = (kpi.score_type || '').toUpperCase();
   const direction = (kpi.direction || 'HIGHER_BETTER').toUpperCase();
 
@@ -32,46 +120,66 @@ function scoreKpi(kpi, rawValue) {
   if (scoreType === 'CRITERION') {
     const v = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
     const r = (kpi.criterion_red || '').trim();
-    const y = (kpi.criterion_yellow || '').trim();
+    const y = withYellow ? (kpi.criterion_yellow || '').trim() : '';
     const g = (kpi.criterion_green || '').trim();
 
     // Si no hay criterios definidos, no calificamos (pero tampoco rompemos)
     if (!r && !y && !g) {
-      return { color: null, score: null, reason: 'Sin criterios definidos' };
+      return { color: null, reason: 'Sin criterios definidos' };
     }
 
-    if (g && v === g) return { color: 'verde', score: 100, reason: null };
-    if (y && v === y) return { color: 'amarillo', score: 70, reason: null };
-    if (r && v === r) return { color: 'rojo', score: 40, reason: null };
+    if (g && v === g) return { color: 'verde', reason: null };
+    if (y && v === y) return { color: 'amarillo', reason: null };
+    if (r && v === r) return { color: 'rojo', reason: null };
 
     // Valor no coincide con ninguno (evita asignar color incorrecto)
-    return { color: null, score: null, reason: 'Valor no coincide con criterio' };
+    return { color: null, reason: 'Valor no coincide con criterio' };
   }
 
   // NUMBER / PERCENT: thresholds
   const n = toNumberOrNull(rawValue);
-  if (n === null) return { color: null, score: null, reason: 'Valor no numérico' };
+  if (n === null) return { color: null, reason: 'Valor no numérico' };
+
+  // WITHIN_RANGE: tanto pasarse como quedarse corto es malo
+  if (direction === 'WITHIN_RANGE') {
+    const gMin = toNumberOrNull(kpi.verde_min);
+    const gMax = toNumberOrNull(kpi.verde_max);
+    const yMin = toNumberOrNull(kpi.amarillo_min);
+    const yMax = toNumberOrNull(kpi.amarillo_max);
+    if (gMin === null || gMax === null || yMin === null || yMax === null) {
+      return { color: null, reason: 'Sin rangos definidos' };
+    }
+    if (n >= gMin && n <= gMax) return { color: 'verde', reason: null };
+    if (withYellow && n >= yMin && n <= yMax) return { color: 'amarillo', reason: null };
+    return { color: 'rojo', reason: null };
+  }
 
   const ty = toNumberOrNull(kpi.threshold_yellow);
   const tg = toNumberOrNull(kpi.threshold_green);
   if (ty === null || tg === null) {
-    return { color: null, score: null, reason: 'Sin umbrales definidos' };
+    return { color: null, reason: 'Sin umbrales definidos' };
   }
 
+  // Sin nivel amarillo, lo que no llega a verde es rojo
+  const middle = withYellow ? 'amarillo' : 'rojo';
+
   // HIGHER_BETTER (↑)
   if (direction === 'HIGHER_BETTER') {
-    if (n >= tg) return { color: 'verde', score: 100, reason: null };
-    if (n >= ty) return { color: 'amarillo', score: 70, reason: null };
-    return { color: 'rojo', score: 40, reason: null };
+    if (n >= tg) return { color: 'verde', reason: null };
+    if (n >= ty) return { color: middle, reason: null };
+    return { color: 'rojo', reason: null };
   }
 
   // LOWER_BETTER (↓)
-  if (n <= tg) return { color: 'verde', score: 100, reason: null };
-  if (n <= ty) return { color: 'amarillo', score: 70, reason: null };
-  return { color: 'rojo', score: 40, reason: null };
+  if (n <= tg) return { color: 'verde', reason: null };
+  if (n <= ty) return { color: middle, reason: null };
+  return { color: 'rojo', reason: null };
 }
 
 module.exports = {
   scoreKpi,
+  isContinuous,
+  continuousPoints,
+  resultPoints,
   toNumberOrNull,
 };
@@ -0,0 +1,303 @@
+const { pool } = require('../db');
+const { toNumberOrNull } = require('./kpiScoring');
+
+/*
+ * Metas particulares de KPIs (tabla kpi_metas).
+ *
+ * Los umbrales de la fila de kpis (threshold_yellow / threshold_green) son
+ * la meta general.  Una meta particular los sustituye para una sucursal,
+ * un puesto o un colaborador; gana la más específica (colaborador, luego
+ * puesto, luego sucursal).  Sólo aplica a KPIs calificados por umbrales
+ * (número, porcentaje o fórmula); los de criterio y los de rango no usan
+ * metas particulares.
+ *
+ * Igual que las versiones de la definición (services/kpiVersions.js), cada
+ * meta tiene el periodo a partir del cual está vigente (vigente_desde_anio /
+ * vigente_desde_mes).  Para un mes se usa, en cada alcance, la última fila
+ * cuyo inicio no sea posterior a ese mes; una fila sin umbrales indica que
+ * desde ese mes ya no hay meta particular en ese alcance.  Así los meses
+ * pasados (y los periodos cerrados) conservan la meta que tenían.
+ */
+
+// En orden de precedencia (la primera que exista gana)
+const ALCANCES = {
+  empleado: 'colaborador',
+  puesto: 'puesto',
+  sucursal: 'sucursal'
+};
+
+/**
+ * Indica si el KPI se califica con umbrales (admite metas particulares).
+ * @param {Object} kpi
+ * @returns {boolean}
+ */
+function periodKey(anio, mes) {
+  return Number(anio) * 100 + Number(mes);
+}
+
+function hasThresholds(meta) {
+  return !!meta && (meta.threshold_yellow !== null || meta.threshold_green !== null);
+}
+
+/**
+ * Fila vigente en un periodo dentro de las versiones (ordenadas) de una meta.
+ * @param {Array} versions
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Object|null}
+ */
+function versionAt(versions, anio, mes) {
+  const target = periodKey(anio, mes);
+  let current = null;
+  for (const v of versions || []) {
+    if (periodKey(v.vigente_desde_anio, v.vigente_desde_mes) <= target) current = v;
+    else break;
+  }
+  return current;
+}
+
+function usesThresholds(kpi) {
+  return !!kpi
+    && String(kpi.score_type || '').toUpperCase() !== 'CRITERION'
+    && String(kpi.direction || '').toUpperCase() !== 'WITHIN_RANGE';
+}
+
+/**
+ * Metas particulares que pueden aplicar a cada empleado, con todas sus
+ * vigencias; la de un mes concreto se obtiene con targetFor.
+ * @param {number[]} empleadoIds
+ * @param {Object} [db] - pool o conexión
+ * @returns {Promise<Map<number, Map<number, Array>>>} empleado_id -> (kpi_id -> [{ alcance, versions }])
+ */
+async function loadForEmployees(empleadoIds, db = pool) {
+  const result = new Map();
+  const ids = [...new Set((empleadoIds || []).map(Number).filter(Number.isFinite))];
+  if (!ids.length) return result;
+  let metas;
+  try {
+    [metas] = await db.execute(
+      `SELECT kpi_id, alcance, referencia_id, vigente_desde_anio, vigente_desde_mes, threshold_yellow, threshold_green
+       FROM kpi_metas
+       ORDER BY kpi_id, alcance, referencia_id, vigente_desde_anio, vigente_desde_mes`
+    );
+  } catch (err) {
+    if (err && err.code === 'ER_NO_SUCH_TABLE') return result;
+    throw err;
+  }
+  if (!metas.length) return result;
+  const [emps] = await db.execute(
+    `SELECT id, puesto_id, sucursal_id FROM empleados WHERE id IN (${ids.map(() => '?').join(',')})`,
+    ids
+  );
+  const index = new Map();
+  metas.forEach(m => {
+    const key = `${m.alcance}|${m.referencia_id}|${m.kpi_id}`;
+    const arr = index.get(key) || [];
+    arr.push(m);
+    index.set(key, arr);
+  });
+  const kpiIds = [...new Set(metas.map(m => Number(m.kpi_id)))];
+  emps.forEach(e => {
+    const refs = { empleado: e.id, puesto: e.puesto_id, sucursal: e.sucursal_id };
+    const byKpi = new Map();
+    kpiIds.forEach(kpiId => {
+      const levels = [];
+      for (const alcance of Object.keys(ALCANCES)) {
+        if (refs[alcance] === null || refs[alcance] === undefined) continue;
+        const versions = index.get(`${alcance}|${refs[alcance]}|${kpiId}`);
+        if (versions) levels.push({ alcance, versions });
+      }
+      if (levels.length) byKpi.set(kpiId, levels);
+    });
+    result.set(Number(e.id), byKpi);
+  });
+  return result;
+}
+
+/**
+ * Meta particular de un empleado para un KPI en un periodo: la del alcance
+ * más específico que tenga umbrales vigentes en ese mes.
+ * @param {Map<number, Array>|undefined} empMetas - entrada de loadForEmployees
+ * @param {number} kpiId
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Object|undefined}
+ */
+function targetFor(empMetas, kpiId, anio, mes) {
+  const levels = empMetas && empMetas.get(Number(kpiId));
+  if (!levels) return undefined;
+  for (const { versions } of levels) {
+    const meta = versionAt(versions, anio, mes);
+    if (hasThresholds(meta)) return meta;
+  }
+  return undefined;
+}
+
+/**
+ * Definición del KPI con la meta particular aplicada (si corresponde).
+ * Agrega meta_alcance para indicar de dónde salió la meta.
+ * @param {Object} kpi
+ * @param {Object|undefined} meta
+ * @returns {Object}
+ */
+function applyTarget(kpi, meta) {
+  if (!meta || !usesThresholds(kpi)) return kpi;
+  return {
+    ...kpi,
+    threshold_yellow: meta.threshold_yellow,
+    threshold_green: meta.threshold_green,
+    meta_alcance: meta.alcance
+  };
+}
+
+/**
+ * Aplica a una lista de KPIs las metas particulares de un empleado
+ * vigentes en el periodo.
+ * @param {Array} kpis - definiciones (ya resueltas para el periodo)
+ * @param {number} empleadoId
+ * @param {number} anio
+ * @param {number} mes
+ * @param {Object} [db]
+ * @returns {Promise<Array>}
+ */
+async function resolveForEmployee(kpis, empleadoId, anio, mes, db = pool) {
+  const metas = (await loadForEmployees([empleadoId], db)).get(Number(empleadoId));
+  if (!metas || !metas.size) return kpis;
+  return kpis.map(k => applyTarget(k, targetFor(metas, k.id, anio, mes)));
+}
+
+/**
+ * Texto de la meta particular para reportes (vacío si usa la general).
+ * @param {Object} kpi - definición con applyTarget aplicado
+ * @returns {string}
+ */
+function describe(kpi) {
+  if (!kpi || !kpi.meta_alcance) return '';
+  const down = String(kpi.direction || '').toUpperCase() === 'LOWER_BETTER';
+  const fmt = v => {
+    const n = toNumberOrNull(v);
+    return n === null ? '—' : String(n);
+  };
+  return `Meta por ${ALCANCES[kpi.meta_alcance] || kpi.meta_alcance}: `
+    + `verde ${down ? '≤' : '≥'} ${fmt(kpi.threshold_green)}, amarillo ${down ? '≤' : '≥'} ${fmt(kpi.threshold_yellow)}`;
+}
+
+// Agrupa filas de kpi_metas (ordenadas por vigencia) por alcance|referencia_id
+function groupByReference(rows) {
+  const map = new Map();
+  rows.forEach(r => {
+    const key = `${r.alcance}|${r.referencia_id}`;
+    const arr = map.get(key) || [];
+    arr.push(r);
+    map.set(key, arr);
+  });
+  return map;
+}
+
+/**
+ * Metas particulares de un KPI vigentes en un periodo (sin las que para
+ * ese mes ya se quitaron).
+ * @param {number} kpiId
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Array>}
+ */
+async function listForKpi(kpiId, anio, mes) {
+  const [rows] = await pool.execute(
+    `SELECT alcance, referencia_id, vigente_desde_anio, vigente_desde_mes, threshold_yellow, threshold_green
+     FROM kpi_metas WHERE kpi_id = ?
+     ORDER BY alcance, referencia_id, vigente_desde_anio, vigente_desde_mes`,
+    [kpiId]
+  );
+  return Array.from(groupByReference(rows).values())
+    .map(versions => versionAt(versions, anio, mes))
+    .filter(hasThresholds);
+}
+
+/**
+ * Guarda en una transacción las metas enviadas de un KPI, vigentes a
+ * partir de un periodo.  Se comparan con las vigentes en ese periodo; una
+ * entrada sin umbrales quita la meta desde ese mes.  Las filas con una
+ * vigencia posterior se conservan.
+ * @param {number} kpiId
+ * @param {Array<{alcance: string, referencia_id: number, threshold_yellow: (number|null), threshold_green: (number|null)}>} entries
+ * @param {{anio: number, mes: number}} desde - inicio de vigencia
+ * @param {number|null} actorId
+ * @returns {Promise<{creadas: number, modificadas: number, eliminadas: number, cambios: Array}>}
+ */
+async function saveForKpi(kpiId, entries, desde, actorId) {
+  const summary = { creadas: 0, modificadas: 0, eliminadas: 0, cambios: [] };
+  const pair = m => (hasThresholds(m) ? [toNumberOrNull(m.threshold_yellow), toNumberOrNull(m.threshold_green)] : null);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.execute(
+      `SELECT alcance, referencia_id, vigente_desde_anio, vigente_desde_mes, threshold_yellow, threshold_green
+       FROM kpi_metas WHERE kpi_id = ?
+       ORDER BY alcance, referencia_id, vigente_desde_anio, vigente_desde_mes
+       FOR UPDATE`,
+      [kpiId]
+    );
+    const byRef = groupByReference(rows);
+    const upsert = (e, y, g) => conn.execute(
+      `INSERT INTO kpi_metas (kpi_id, alcance, referencia_id, vigente_desde_anio, vigente_desde_mes,
+                              threshold_yellow, threshold_green, actualizado_por, actualizado_el)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+         threshold_yellow = VALUES(threshold_yellow),
+         threshold_green = VALUES(threshold_green),
+         actualizado_por = VALUES(actualizado_por),
+         actualizado_el = NOW()`,
+      [kpiId, e.alcance, e.referencia_id, desde.anio, desde.mes, y, g, actorId || null]
+    );
+    for (const e of entries) {
+      const versions = byRef.get(`${e.alcance}|${e.referencia_id}`) || [];
+      const prev = versionAt(versions, desde.anio, desde.mes);
+      if (e.threshold_yellow === null && e.threshold_green === null) {
+        if (!hasThresholds(prev)) continue;
+        // Quitar la meta desde "desde": si la fila empieza justo ahí y antes
+        // no había meta, basta con borrarla; si no, se deja una fila vacía.
+        const before = versionAt(versions.filter(v => v !== prev), desde.anio, desde.mes);
+        const startsHere = periodKey(prev.vigente_desde_anio, prev.vigente_desde_mes) === periodKey(desde.anio, desde.mes);
+        if (startsHere && !hasThresholds(before)) {
+          await conn.execute(
+            `DELETE FROM kpi_metas
+             WHERE kpi_id = ? AND alcance = ? AND referencia_id = ? AND vigente_desde_anio = ? AND vigente_desde_mes = ?`,
+            [kpiId, e.alcance, e.referencia_id, desde.anio, desde.mes]
+          );
+        } else {
+          await upsert(e, null, null);
+        }
+        summary.eliminadas++;
+        summary.cambios.push({ alcance: e.alcance, referencia_id: e.referencia_id, antes: pair(prev), despues: null });
+        continue;
+      }
+      if (hasThresholds(prev)
+        && toNumberOrNull(prev.threshold_yellow) === e.threshold_yellow
+        && toNumberOrNull(prev.threshold_green) === e.threshold_green) continue;
+      await upsert(e, e.threshold_yellow, e.threshold_green);
+      if (hasThresholds(prev)) summary.modificadas++;
+      else summary.creadas++;
+      summary.cambios.push({ alcance: e.alcance, referencia_id: e.referencia_id, antes: pair(prev), despues: pair(e) });
+    }
+    await conn.commit();
+    return summary;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = {
+  ALCANCES,
+  usesThresholds,
+  loadForEmployees,
+  targetFor,
+  applyTarget,
+  resolveForEmployee,
+  describe,
+  listForKpi,
+  saveForKpi
+};
@@ -0,0 +1,176 @@
+const { pool } = require('../db');
+
+/*
+ * Versiones de la definición de un KPI.
+ *
+ * Cada edición de objetivo, umbrales, criterios o periodicidad crea (o reemplaza) una
+ * versión en kpi_versiones con el periodo a partir del cual está vigente
+ * (vigente_desde_anio / vigente_desde_mes).  La fila de `kpis` conserva la
+ * versión más reciente; para un mes concreto se aplica la última versión
+ * cuyo inicio de vigencia no sea posterior a ese mes.  Así, el semáforo,
+ * el dashboard y las exportaciones de meses pasados usan los umbrales que
+ * estaban en vigor en ese momento.
+ *
+ * Nombre y departamento no se versionan: son los de la fila de `kpis`.
+ * Si la tabla todavía no existe, se usa siempre la fila de `kpis`.
+ */
+
+// Campos que forman parte de la definición versionada
+const VERSIONED_FIELDS = [
+  'objetivo', 'unidad',
+  'rojo_min', 'rojo_max', 'amarillo_min', 'amarillo_max', 'verde_min', 'verde_max',
+  'score_type', 'direction', 'threshold_yellow', 'threshold_green',
+  'criterion_red', 'criterion_yellow', 'criterion_green',
+  'score_mode', 'score_floor', 'score_cap',
+  'formula',
+  'periodicidad', 'agregacion'
+];
+
+// Vigencia de la versión inicial (la definición que el KPI tenía antes de
+// empezar a versionar, o la de alta): aplica a cualquier periodo anterior.
+const INITIAL_PERIOD = { anio: 2000, mes: 1 };
+
+function periodKey(anio, mes) {
+  return Number(anio) * 100 + Number(mes);
+}
+
+/**
+ * Versiones de varios KPIs, ordenadas de la más antigua a la más reciente.
+ * @param {number[]} kpiIds
+ * @returns {Promise<Map<number, Array>>}
+ */
+async function loadVersions(kpiIds) {
+  const map = new Map();
+  const ids = [...new Set((kpiIds || []).map(Number).filter(Number.isFinite))];
+  if (!ids.length) return map;
+  try {
+    const [rows] = await pool.execute(
+      `SELECT v.*, e.nombre AS creado_por_nombre
+       FROM kpi_versiones v
+       LEFT JOIN empleados e ON e.id = v.creado_por
+       WHERE v.kpi_id IN (${ids.map(() => '?').join(',')})
+       ORDER BY v.kpi_id, v.vigente_desde_anio, v.vigente_desde_mes`,
+      ids
+    );
+    rows.forEach(r => {
+      const arr = map.get(Number(r.kpi_id)) || [];
+      arr.push(r);
+      map.set(Number(r.kpi_id), arr);
+    });
+  } catch (err) {
+    if (!err || err.code !== 'ER_NO_SUCH_TABLE') throw err;
+  }
+  return map;
+}
+
+/**
+ * Definición de un KPI vigente en un periodo, a partir de las versiones
+ * ya cargadas.  Devuelve una copia del KPI con los campos versionados de
+ * la versión aplicable (y `version_id`), o el KPI tal cual si no hay versión.
+ * @param {Object} kpi - fila de kpis (puede traer columnas extra, p. ej. peso)
+ * @param {Map<number, Array>} versionMap - resultado de loadVersions
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Object}
+ */
+function definitionFor(kpi, versionMap, anio, mes) {
+  const versions = versionMap.get(Number(kpi.id));
+  if (!versions || !versions.length) return kpi;
+  const target = periodKey(anio, mes);
+  let current = null;
+  for (const v of versions) {
+    if (periodKey(v.vigente_desde_anio, v.vigente_desde_mes) <= target) current = v;
+    else break;
+  }
+  // Periodo anterior a todas las versiones: se usa la más antigua
+  if (!current) current = versions[0];
+  const def = { ...kpi, version_id: current.id };
+  VERSIONED_FIELDS.forEach(f => { def[f] = current[f]; });
+  return def;
+}
+
+/**
+ * Aplica a una lista de KPIs la versión vigente en el periodo.
+ * @param {Array} kpis
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Array>}
+ */
+async function resolveForPeriod(kpis, anio, mes) {
+  if (!kpis || !kpis.length) return kpis || [];
+  const versionMap = await loadVersions(kpis.map(k => k.id));
+  return kpis.map(k => definitionFor(k, versionMap, anio, mes));
+}
+
+/**
+ * Definición de un KPI vigente en un periodo.
+ * @param {number} kpiId
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Object|null>}
+ */
+async function getKpiForPeriod(kpiId, anio, mes) {
+  const [rows] = await pool.execute('SELECT * FROM kpis WHERE id = ? LIMIT 1', [kpiId]);
+  if (!rows.length) return null;
+  const [kpi] = await resolveForPeriod(rows, anio, mes);
+  return kpi;
+}
+
+/**
+ * Guarda la versión de un KPI vigente desde un periodo (si ya existe una
+ * versión con esa vigencia, se reemplaza) y deja en `kpis` la definición
+ * de la versión más reciente.
+ * @param {number} kpiId
+ * @param {Object} def - campos de VERSIONED_FIELDS
+ * @param {{anio: number, mes: number}} desde - inicio de vigencia
+ * @param {number|null} actorId
+ * @returns {Promise<void>}
+ */
+async function saveVersion(kpiId, def, desde, actorId) {
+  const values = VERSIONED_FIELDS.map(f => (def[f] === undefined ? null : def[f]));
+  try {
+    await pool.execute(
+      `INSERT INTO kpi_versiones (kpi_id, vigente_desde_anio, vigente_desde_mes,
+                                  ${VERSIONED_FIELDS.join(', ')}, creado_por, creado_el)
+       VALUES (?, ?, ?, ${VERSIONED_FIELDS.map(() => '?').join(', ')}, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+         ${VERSIONED_FIELDS.map(f => `${f} = VALUES(${f})`).join(', ')},
+         creado_por = VALUES(creado_por),
+         creado_el = NOW()`,
+      [kpiId, desde.anio, desde.mes, ...values, actorId || null]
+    );
+  } catch (err) {
+    if (!err || err.code !== 'ER_NO_SUCH_TABLE') throw err;
+    // Sin tabla de versiones: se actualiza la definición en su lugar
+    await pool.execute(
+      `UPDATE kpis SET ${VERSIONED_FIELDS.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+      [...values, kpiId]
+    );
+    return;
+  }
+
+  const [latest] = await pool.execute(
+    `SELECT ${VERSIONED_FIELDS.join(', ')}
+     FROM kpi_versiones
+     WHERE kpi_id = ?
+     ORDER BY vigente_desde_anio DESC, vigente_desde_mes DESC
+     LIMIT 1`,
+    [kpiId]
+  );
+  if (latest.length) {
+    await pool.execute(
+      `UPDATE kpis SET ${VERSIONED_FIELDS.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+      [...VERSIONED_FIELDS.map(f => latest[0][f]), kpiId]
+    );
+  }
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  INITIAL_PERIOD,
+  loadVersions,
+  definitionFor,
+  resolveForPeriod,
+  getKpiForPeriod,
+  saveVersion
+};
@@ -0,0 +1,164 @@
+const { Client } = require('ldapts');
+
+/*
+ * Proveedor de autenticación LDAP / Active Directory.
+ *
+ * Autentica haciendo un bind con el DN del usuario (armado con una
+ * plantilla) y su contraseña.  Opcionalmente exige pertenecer a un grupo
+ * (búsqueda con filtro configurable).  Si el bind es correcto, se lee la
+ * entrada del usuario para relacionarla con `empleados` por No. de
+ * empleado (incidencia_id) o, en su defecto, por correo.
+ *
+ * Variables de entorno:
+ *   LDAP_URL               - ej. ldap://localhost:389 o ldaps://dc.chc.local
+ *   LDAP_USER_DN_TEMPLATE  - DN del usuario; {username} se sustituye
+ *                            (ej. uid={username},ou=people,dc=chc,dc=local
+ *                            o {username}@chc.local para Active Directory)
+ *   LDAP_GROUP_BASE_DN     - base para buscar el grupo (opcional)
+ *   LDAP_GROUP_FILTER      - filtro del grupo; {dn} y {username} se sustituyen
+ *                            (ej. (&(objectClass=groupOfNames)(cn=kpi)(member={dn})))
+ *   LDAP_USER_SEARCH_BASE  - base para leer los atributos del usuario cuando
+ *                            el DN de la plantilla no es un DN real (AD con
+ *                            usuario@dominio).  Si se omite se lee el propio DN.
+ *   LDAP_USER_SEARCH_FILTER- filtro para esa búsqueda (por defecto
+ *                            (sAMAccountName={username}))
+ *   LDAP_ATTR_EMPLOYEE_ID  - atributo con el No. de empleado (employeeNumber)
+ *   LDAP_ATTR_EMAIL        - atributo con el correo (mail)
+ *   LDAP_TIMEOUT_MS        - tiempo máximo por operación (5000)
+ *   LDAP_TLS_REJECT_UNAUTHORIZED - 'false' para aceptar certificados
+ *                            autofirmados en pruebas
+ *
+ * Pruebas locales: scripts/ldap-local.js es un servidor LDAP de prueba en
+ * memoria.  `node scripts/ldap-local.js` ejecuta los casos del proveedor
+ * contra él; con `--serve` queda escuchando para iniciar sesión en la app
+ * (las variables a usar están en el encabezado del script).
+ */
+
+function config() {
+  return {
+    url: process.env.LDAP_URL || '',
+    userDnTemplate: process.env.LDAP_USER_DN_TEMPLATE || '',
+    groupBaseDn: process.env.LDAP_GROUP_BASE_DN || '',
+    groupFilter: process.env.LDAP_GROUP_FILTER || '',
+    userSearchBase: process.env.LDAP_USER_SEARCH_BASE || '',
+    userSearchFilter: process.env.LDAP_USER_SEARCH_FILTER || '(sAMAccountName={username})',
+    attrEmployeeId: process.env.LDAP_ATTR_EMPLOYEE_ID || 'employeeNumber',
+    attrEmail: process.env.LDAP_ATTR_EMAIL || 'mail',
+    timeout: parseInt(process.env.LDAP_TIMEOUT_MS || '5000', 10) || 5000,
+    rejectUnauthorized: String(process.env.LDAP_TLS_REJECT_UNAUTHORIZED || 'true').toLowerCase() !== 'false'
+  };
+}
+
+// Escape de valores dentro de un DN (RFC 4514)
+function escapeDnValue(value) {
+  return String(value)
+    .replace(/[\\,+"<>;=]/g, ch => '\\' + ch)
+    .replace(/^[ #]/, ch => '\\' + ch)
+    .replace(/ $/, '\\ ');
+}
+
+// Escape de valores dentro de un filtro de búsqueda (RFC 4515)
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, ch => '\\' + ch.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+function firstValue(entry, attr) {
+  if (!entry || !attr) return null;
+  const key = Object.keys(entry).find(k => k.toLowerCase() === attr.toLowerCase());
+  if (!key) return null;
+  const v = entry[key];
+  const first = Array.isArray(v) ? v[0] : v;
+  if (first === undefined || first === null) return null;
+  const text = Buffer.isBuffer(first) ? first.toString('utf8') : String(first);
+  return text.trim() || null;
+}
+
+/**
+ * Indica si el proveedor tiene la configuración mínima.
+ * @returns {boolean}
+ */
+function isConfigured() {
+  const cfg = config();
+  return !!(cfg.url && cfg.userDnTemplate);
+}
+
+/**
+ * Autentica contra el directorio y devuelve el empleado relacionado.
+ * @param {string} username
+ * @param {string} password
+ * @param {Function} findEmployee - async ({ incidenciaId, email }) => fila|null
+ * @returns {Promise<Object|null>}
+ */
+async function authenticate(username, password, findEmployee) {
+  const cfg = config();
+  // Un bind con contraseña vacía es un bind anónimo y "siempre funciona"
+  if (!isConfigured() || !username || !password) return null;
+
+  // ldapts usa TLS siempre que recibe tlsOptions, aun con ldap://; sólo
+  // se pasan para ldaps://
+  const client = new Client({
+    url: cfg.url,
+    timeout: cfg.timeout,
+    connectTimeout: cfg.timeout,
+    ...(/^ldaps:/i.test(cfg.url) ? { tlsOptions: { rejectUnauthorized: cfg.rejectUnauthorized } } : {})
+  });
+  const userDn = cfg.userDnTemplate.replace(/\{username\}/g, escapeDnValue(username));
+  try {
+    try {
+      await client.bind(userDn, String(password));
+    } catch (err) {
+      // Credenciales inválidas u otro error de bind: no autenticado
+      return null;
+    }
+
+    // Pertenencia a grupo (opcional)
+    if (cfg.groupFilter) {
+      const filter = cfg.groupFilter
+        .replace(/\{dn\}/g, escapeFilterValue(userDn))
+        .replace(/\{username\}/g, escapeFilterValue(username));
+      const { searchEntries } = await client.search(cfg.groupBaseDn || userDn, {
+        scope: 'sub',
+        filter,
+        attributes: ['dn'],
+        sizeLimit: 1
+      });
+      if (!searchEntries.length) return null;
+    }
+
+    // Atributos del usuario para relacionarlo con empleados
+    const attributes = [cfg.attrEmployeeId, cfg.attrEmail];
+    let entry = null;
+    if (cfg.userSearchBase) {
+      const { searchEntries } = await client.search(cfg.userSearchBase, {
+        scope: 'sub',
+        filter: cfg.userSearchFilter.replace(/\{username\}/g, escapeFilterValue(username)),
+        attributes,
+        sizeLimit: 1
+      });
+      entry = searchEntries[0] || null;
+    } else {
+      const { searchEntries } = await client.search(userDn, { scope: 'base', attributes });
+      entry = searchEntries[0] || null;
+    }
+    if (!entry) return null;
+
+    return findEmployee({
+      incidenciaId: firstValue(entry, cfg.attrEmployeeId),
+      email: firstValue(entry, cfg.attrEmail)
+    });
+  } finally {
+    try {
+      await client.unbind();
+    } catch (e) {
+      // conexión ya cerrada
+    }
+  }
+}
+
+module.exports = {
+  name: 'ldap',
+  isConfigured,
+  authenticate,
+  escapeDnValue,
+  escapeFilterValue
+};
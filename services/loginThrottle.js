@@ -0,0 +1,259 @@
+const { pool } = require('../db');
+
+/*
+ * Protección contra ataques de fuerza bruta en el inicio de sesión.
+ *
+ * Cada intento de acceso se registra en la tabla login_intentos con el
+ * usuario capturado y la IP de origen.  Con base en los intentos
+ * fallidos recientes se aplican dos medidas:
+ *
+ *   - Retardo progresivo: cada fallo consecutivo duplica la espera antes
+ *     de responder (LOGIN_DELAY_BASE_MS, 2x, 4x ... hasta LOGIN_DELAY_MAX_MS).
+ *   - Bloqueo temporal: al llegar a LOGIN_MAX_FAILURES fallos para un
+ *     usuario (o LOGIN_IP_MAX_FAILURES para una IP) dentro de la ventana
+ *     de LOGIN_LOCKOUT_MINUTES minutos, se rechazan los intentos hasta
+ *     que los fallos salgan de la ventana o un administrador desbloquee
+ *     la cuenta desde la pantalla de Personal.
+ *
+ * Un acceso exitoso marca los fallos previos del usuario como "limpiados"
+ * (se conservan como historial) y dejan de contar también para su IP.  El
+ * desbloqueo manual limpia además los fallos de las IPs desde las que el
+ * usuario intentó entrar, y las IPs bloqueadas pueden desbloquearse por
+ * separado desde Personal.
+ *
+ * El bloqueo por IP no aplica a un usuario que ya inició sesión con éxito
+ * desde esa misma IP en los últimos LOGIN_KNOWN_IP_DAYS días: detrás de un
+ * NAT o proxy de sucursal, los fallos de otros no bloquean a quien ya se
+ * sabe que entra desde ahí (su propio bloqueo por usuario sigue vigente).
+ *
+ * Variables de entorno (opcionales):
+ *   LOGIN_MAX_FAILURES     - fallos por usuario antes de bloquear (5)
+ *   LOGIN_IP_MAX_FAILURES  - fallos por IP antes de bloquear (20)
+ *   LOGIN_KNOWN_IP_DAYS    - días que una IP se considera conocida para un usuario (30)
+ *   LOGIN_LOCKOUT_MINUTES  - ventana/duración del bloqueo en minutos (15)
+ *   LOGIN_DELAY_BASE_MS    - retardo tras el primer fallo en ms (500)
+ *   LOGIN_DELAY_MAX_MS     - retardo máximo en ms (8000)
+ */
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const MAX_FAILURES = intFromEnv('LOGIN_MAX_FAILURES', 5);
+const IP_MAX_FAILURES = intFromEnv('LOGIN_IP_MAX_FAILURES', 20);
+const KNOWN_IP_DAYS = intFromEnv('LOGIN_KNOWN_IP_DAYS', 30);
+const LOCKOUT_MINUTES = intFromEnv('LOGIN_LOCKOUT_MINUTES', 15);
+const DELAY_BASE_MS = intFromEnv('LOGIN_DELAY_BASE_MS', 500);
+const DELAY_MAX_MS = intFromEnv('LOGIN_DELAY_MAX_MS', 8000);
+
+function normUsername(username) {
+  return String(username || '').trim().toLowerCase().slice(0, 100);
+}
+
+/**
+ * Cuenta los fallos vigentes (dentro de la ventana y no limpiados)
+ * para el usuario y para la IP.
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Promise<{userFailures: number, ipFailures: number}>}
+ */
+async function countRecentFailures(username, ip) {
+  const [rows] = await pool.execute(
+    `SELECT
+       SUM(CASE WHEN username = ? THEN 1 ELSE 0 END) AS user_failures,
+       SUM(CASE WHEN ip = ? THEN 1 ELSE 0 END) AS ip_failures
+     FROM login_intentos
+     WHERE exito = 0
+       AND limpiado = 0
+       AND creado_el >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       AND (username = ? OR ip = ?)`,
+    [normUsername(username), ip || '', LOCKOUT_MINUTES, normUsername(username), ip || '']
+  );
+  const r = rows[0] || {};
+  return {
+    userFailures: Number(r.user_failures || 0),
+    ipFailures: Number(r.ip_failures || 0)
+  };
+}
+
+/**
+ * Indica si el usuario ya inició sesión con éxito desde la IP en los
+ * últimos KNOWN_IP_DAYS días.
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Promise<boolean>}
+ */
+async function isKnownIp(username, ip) {
+  if (!ip || KNOWN_IP_DAYS <= 0) return false;
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM login_intentos
+     WHERE username = ? AND ip = ? AND exito = 1
+       AND creado_el >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     LIMIT 1`,
+    [normUsername(username), ip, KNOWN_IP_DAYS]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Indica si el usuario o la IP están bloqueados.  El bloqueo por IP se
+ * omite para un usuario que entra habitualmente desde esa IP.
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Promise<{locked: boolean, userFailures: number, ipFailures: number}>}
+ */
+async function getLockStatus(username, ip) {
+  const counts = await countRecentFailures(username, ip);
+  const userLocked = MAX_FAILURES > 0 && counts.userFailures >= MAX_FAILURES;
+  const ipLocked = !userLocked
+    && IP_MAX_FAILURES > 0 && counts.ipFailures >= IP_MAX_FAILURES
+    && !(await isKnownIp(username, ip));
+  return { locked: userLocked || ipLocked, ...counts };
+}
+
+/**
+ * Registra un intento fallido y devuelve el número de fallos vigentes
+ * del usuario (incluyendo éste).
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Promise<number>}
+ */
+async function registerFailure(username, ip) {
+  await pool.execute(
+    `INSERT INTO login_intentos (username, ip, exito, limpiado, creado_el)
+     VALUES (?, ?, 0, 0, NOW())`,
+    [normUsername(username), ip || null]
+  );
+  const counts = await countRecentFailures(username, ip);
+  return Math.max(counts.userFailures, counts.ipFailures);
+}
+
+function clearUserFailures(username) {
+  return pool.execute(
+    'UPDATE login_intentos SET limpiado = 1 WHERE username = ? AND exito = 0 AND limpiado = 0',
+    [normUsername(username)]
+  );
+}
+
+/**
+ * Registra un acceso exitoso y limpia los fallos previos del usuario
+ * (con lo que tampoco cuentan ya para su IP).  No limpia los fallos de
+ * otros usuarios desde la misma IP: una cuenta válida no debe servir para
+ * reiniciar el contador de la IP.
+ * @param {string} username
+ * @param {string} ip
+ */
+async function registerSuccess(username, ip) {
+  await pool.execute(
+    `INSERT INTO login_intentos (username, ip, exito, limpiado, creado_el)
+     VALUES (?, ?, 1, 0, NOW())`,
+    [normUsername(username), ip || null]
+  );
+  await clearUserFailures(username);
+}
+
+/**
+ * Desbloquea una IP: limpia todos sus fallos vigentes.
+ * @param {string} ip
+ */
+async function unlockIp(ip) {
+  if (!ip) return;
+  await pool.execute(
+    'UPDATE login_intentos SET limpiado = 1 WHERE ip = ? AND exito = 0 AND limpiado = 0',
+    [ip]
+  );
+}
+
+/**
+ * Desbloquea manualmente a un usuario (acción de administrador): limpia
+ * sus fallos y los de las IPs desde las que intentó entrar dentro de la
+ * ventana, para que un bloqueo de la IP compartida no lo siga dejando fuera.
+ * @param {string} username
+ */
+async function unlockUsername(username) {
+  const [ips] = await pool.execute(
+    `SELECT DISTINCT ip FROM login_intentos
+     WHERE username = ? AND ip IS NOT NULL
+       AND creado_el >= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [normUsername(username), LOCKOUT_MINUTES]
+  );
+  await clearUserFailures(username);
+  for (const { ip } of ips) {
+    await unlockIp(ip);
+  }
+}
+
+/**
+ * Devuelve el subconjunto de usernames que actualmente están bloqueados.
+ * Se usa para mostrar el indicador en la pantalla de Personal.
+ * @param {string[]} usernames
+ * @returns {Promise<Set<string>>} usernames normalizados (minúsculas)
+ */
+async function getLockedUsernames(usernames) {
+  const list = Array.from(new Set((usernames || []).map(normUsername).filter(Boolean)));
+  if (!list.length || MAX_FAILURES <= 0) return new Set();
+  const placeholders = list.map(() => '?').join(',');
+  const [rows] = await pool.execute(
+    `SELECT username
+     FROM login_intentos
+     WHERE exito = 0
+       AND limpiado = 0
+       AND creado_el >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       AND username IN (${placeholders})
+     GROUP BY username
+     HAVING COUNT(*) >= ?`,
+    [LOCKOUT_MINUTES, ...list, MAX_FAILURES]
+  );
+  return new Set(rows.map(r => r.username));
+}
+
+/**
+ * IPs bloqueadas actualmente, para la pantalla de Personal.
+ * @returns {Promise<Array<{ip: string, fallos: number, usuarios: number, ultimo: Date}>>}
+ */
+async function getLockedIps() {
+  if (IP_MAX_FAILURES <= 0) return [];
+  const [rows] = await pool.execute(
+    `SELECT ip, COUNT(*) AS fallos, COUNT(DISTINCT username) AS usuarios, MAX(creado_el) AS ultimo
+     FROM login_intentos
+     WHERE exito = 0
+       AND limpiado = 0
+       AND ip IS NOT NULL
+       AND creado_el >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     GROUP BY ip
+     HAVING COUNT(*) >= ?
+     ORDER BY ultimo DESC`,
+    [LOCKOUT_MINUTES, IP_MAX_FAILURES]
+  );
+  return rows.map(r => ({ ip: r.ip, fallos: Number(r.fallos), usuarios: Number(r.usuarios), ultimo: r.ultimo }));
+}
+
+/**
+ * Retardo progresivo según el número de fallos acumulados.
+ * @param {number} failures
+ * @returns {number} milisegundos
+ */
+function delayForFailures(failures) {
+  if (!failures || failures < 1 || DELAY_BASE_MS <= 0) return 0;
+  const exp = Math.min(failures - 1, 16);
+  return Math.min(DELAY_BASE_MS * Math.pow(2, exp), DELAY_MAX_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  LOCKOUT_MINUTES,
+  normUsername,
+  getLockStatus,
+  registerFailure,
+  registerSuccess,
+  unlockUsername,
+  unlockIp,
+  getLockedUsernames,
+  getLockedIps,
+  delayForFailures,
+  sleep
+};
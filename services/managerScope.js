@@ -0,0 +1,113 @@
+const { pool } = require('../db');
+
+/*
+ * Alcance de gerentes por departamento y sucursal.
+ *
+ * Un empleado con permisos globales sobre resultados (results.view.any,
+ * results.edit.any, results.approve.any) normalmente ve y edita a todo el
+ * personal.  Si se le asignan departamentos y/o sucursales en la tabla
+ * empleado_alcance, esos permisos sólo aplican a los empleados que
+ * pertenezcan a alguno de ellos (departamento O sucursal).  Fuera de su
+ * alcance conserva únicamente lo que le da la jerarquía de puestos (él
+ * mismo y sus subordinados).
+ *
+ * Un empleado sin filas en empleado_alcance no tiene restricción.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // empleado_id -> { loadedAt, scope }
+
+/**
+ * Alcance asignado a un empleado.
+ * @param {number} employeeId
+ * @returns {Promise<{departamentos: number[], sucursales: number[]}|null>} null si no tiene restricción
+ */
+async function getScope(employeeId) {
+  const key = Number(employeeId);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.loadedAt < CACHE_TTL_MS) return hit.scope;
+
+  const [rows] = await pool.execute(
+    'SELECT departamento_id, sucursal_id FROM empleado_alcance WHERE empleado_id = ?',
+    [key]
+  );
+  const scope = rows.length
+    ? {
+        departamentos: rows.filter(r => r.departamento_id !== null).map(r => Number(r.departamento_id)),
+        sucursales: rows.filter(r => r.sucursal_id !== null).map(r => Number(r.sucursal_id))
+      }
+    : null;
+  cache.set(key, { loadedAt: Date.now(), scope });
+  return scope;
+}
+
+/**
+ * Reemplaza el alcance de un empleado.  Listas vacías = sin restricción.
+ * @param {number} employeeId
+ * @param {number[]} departamentoIds
+ * @param {number[]} sucursalIds
+ */
+async function setScope(employeeId, departamentoIds, sucursalIds) {
+  await pool.execute('DELETE FROM empleado_alcance WHERE empleado_id = ?', [employeeId]);
+  for (const depId of departamentoIds) {
+    await pool.execute(
+      'INSERT INTO empleado_alcance (empleado_id, departamento_id, sucursal_id) VALUES (?, ?, NULL)',
+      [employeeId, depId]
+    );
+  }
+  for (const sucId of sucursalIds) {
+    await pool.execute(
+      'INSERT INTO empleado_alcance (empleado_id, departamento_id, sucursal_id) VALUES (?, NULL, ?)',
+      [employeeId, sucId]
+    );
+  }
+  cache.delete(Number(employeeId));
+}
+
+/**
+ * Condición SQL que limita una consulta de empleados al alcance.
+ * @param {Object|null} scope - resultado de getScope
+ * @param {string} [alias] - alias de la tabla empleados en la consulta
+ * @returns {{sql: string, params: number[]}|null} null si no hay restricción
+ */
+function scopeCondition(scope, alias = 'e') {
+  if (!scope) return null;
+  const parts = [];
+  const params = [];
+  if (scope.departamentos.length) {
+    parts.push(`${alias}.departamento_id IN (${scope.departamentos.map(() => '?').join(',')})`);
+    params.push(...scope.departamentos);
+  }
+  if (scope.sucursales.length) {
+    parts.push(`${alias}.sucursal_id IN (${scope.sucursales.map(() => '?').join(',')})`);
+    params.push(...scope.sucursales);
+  }
+  return { sql: `(${parts.join(' OR ')})`, params };
+}
+
+/**
+ * Indica si un empleado está dentro del alcance del usuario.  Si el
+ * usuario no tiene alcance asignado, todos los empleados lo están.
+ * @param {Object} user - usuario en sesión
+ * @param {number} targetEmployeeId
+ * @returns {Promise<boolean>}
+ */
+async function isInScope(user, targetEmployeeId) {
+  const scope = await getScope(user.id);
+  if (!scope) return true;
+  const [rows] = await pool.execute(
+    'SELECT departamento_id, sucursal_id FROM empleados WHERE id = ? LIMIT 1',
+    [targetEmployeeId]
+  );
+  if (!rows.length) return false;
+  const { departamento_id: depId, sucursal_id: sucId } = rows[0];
+  return (depId !== null && scope.departamentos.includes(Number(depId))) ||
+    (sucId !== null && scope.sucursales.includes(Number(sucId)));
+}
+
+module.exports = {
+  getScope,
+  setScope,
+  scopeCondition,
+  isInScope
+};
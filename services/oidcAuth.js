@@ -0,0 +1,147 @@
+const { Issuer, generators } = require('openid-client');
+
+/*
+ * Inicio de sesión único (SSO) con OpenID Connect.
+ *
+ * Implementa el flujo "authorization code" con PKCE (S256).  Antes de
+ * redirigir al proveedor se guardan en la sesión el state, el nonce y
+ * el code_verifier; en el callback se validan y se canjea el código por
+ * los tokens.  El claim `email` del id_token (o de userinfo) se relaciona
+ * con empleados.correo; sólo se aceptan empleados con acceso habilitado.
+ *
+ * Variables de entorno:
+ *   OIDC_ISSUER        - URL del emisor; se usa su documento
+ *                        /.well-known/openid-configuration
+ *   OIDC_CLIENT_ID     - identificador de la aplicación registrada
+ *   OIDC_CLIENT_SECRET - secreto de la aplicación (vacío para clientes públicos)
+ *   OIDC_REDIRECT_URI  - URL de retorno registrada en el proveedor; por
+ *                        defecto APP_BASE_URL + /login/oidc/callback
+ *   OIDC_SCOPES        - scopes solicitados ('openid email profile')
+ *   OIDC_BUTTON_LABEL  - texto del botón en el login
+ *                        ('Entrar con cuenta corporativa')
+ *
+ * Pruebas locales: scripts/oidc-local.js es un proveedor OIDC de prueba.
+ * `node scripts/oidc-local.js` recorre el flujo con PKCE contra él y
+ * comprueba los rechazos; con `--serve` queda escuchando para iniciar
+ * sesión en la app (las variables a usar están en el encabezado del script).
+ */
+
+let clientPromise = null;
+
+function config() {
+  return {
+    issuer: process.env.OIDC_ISSUER || '',
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    buttonLabel: process.env.OIDC_BUTTON_LABEL || 'Entrar con cuenta corporativa'
+  };
+}
+
+/**
+ * Indica si el SSO tiene la configuración mínima.
+ * @returns {boolean}
+ */
+function isConfigured() {
+  const cfg = config();
+  return !!(cfg.issuer && cfg.clientId);
+}
+
+/**
+ * Texto del botón de acceso.
+ * @returns {string}
+ */
+function buttonLabel() {
+  return config().buttonLabel;
+}
+
+/**
+ * URL de retorno (callback) registrada en el proveedor.
+ * @param {Object} req - petición actual, para armar la URL si no hay configuración
+ * @returns {string}
+ */
+function redirectUriFor(req) {
+  const cfg = config();
+  if (cfg.redirectUri) return cfg.redirectUri;
+  const baseUrl = (process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${baseUrl}/login/oidc/callback`;
+}
+
+// Descubre el emisor una sola vez; si falla se reintenta en la siguiente petición.
+function getClient() {
+  if (!clientPromise) {
+    const cfg = config();
+    clientPromise = Issuer.discover(cfg.issuer)
+      .then(issuer => new issuer.Client({
+        client_id: cfg.clientId,
+        client_secret: cfg.clientSecret || undefined,
+        token_endpoint_auth_method: cfg.clientSecret ? 'client_secret_basic' : 'none',
+        response_types: ['code']
+      }))
+      .catch(err => {
+        clientPromise = null;
+        throw err;
+      });
+  }
+  return clientPromise;
+}
+
+/**
+ * Prepara la redirección al proveedor.
+ * @param {string} redirectUri
+ * @returns {Promise<{url: string, checks: Object}>} checks debe guardarse en la sesión
+ */
+async function beginLogin(redirectUri) {
+  const client = await getClient();
+  const checks = {
+    state: generators.state(),
+    nonce: generators.nonce(),
+    codeVerifier: generators.codeVerifier(),
+    redirectUri,
+    createdAt: Date.now()
+  };
+  const url = client.authorizationUrl({
+    scope: config().scopes,
+    redirect_uri: redirectUri,
+    state: checks.state,
+    nonce: checks.nonce,
+    code_challenge: generators.codeChallenge(checks.codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  return { url, checks };
+}
+
+/**
+ * Procesa el callback: valida state/nonce/PKCE, canjea el código y
+ * devuelve el correo del usuario.
+ * @param {Object} req - petición del callback (query con code y state)
+ * @param {Object} checks - valores guardados por beginLogin
+ * @returns {Promise<string|null>} correo o null si el proveedor no lo envía
+ */
+async function completeLogin(req, checks) {
+  const client = await getClient();
+  const params = client.callbackParams(req);
+  const tokenSet = await client.callback(checks.redirectUri, params, {
+    state: checks.state,
+    nonce: checks.nonce,
+    code_verifier: checks.codeVerifier,
+    response_type: 'code'
+  });
+  let claims = tokenSet.claims();
+  if (!claims.email && tokenSet.access_token) {
+    claims = { ...claims, ...(await client.userinfo(tokenSet)) };
+  }
+  // Un correo marcado explícitamente como no verificado no se acepta
+  if (!claims.email || claims.email_verified === false) return null;
+  return String(claims.email).trim();
+}
+
+module.exports = {
+  name: 'oidc',
+  isConfigured,
+  buttonLabel,
+  redirectUriFor,
+  beginLogin,
+  completeLogin
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { pool } = require('../db');
+const { sendEmail } = require('./emailService');
+
+/*
+ * Servicio de recuperación de contraseña por correo electrónico.
+ *
+ * Cada solicitud genera un token aleatorio de un solo uso.  En la base
+ * de datos (tabla password_reset_tokens) sólo se guarda su hash SHA-256,
+ * de modo que una copia de la tabla no permite restablecer cuentas.
+ * Los tokens caducan después de PASSWORD_RESET_TTL_MINUTES minutos
+ * (60 por defecto) y quedan invalidados al usarse, al emitir uno nuevo
+ * para el mismo empleado o cuando un administrador resetea la contraseña.
+ *
+ * Variables de entorno:
+ *   PASSWORD_RESET_TTL_MINUTES - vigencia del enlace en minutos
+ *   APP_BASE_URL               - URL pública del sistema usada para armar
+ *                                el enlace (ej. https://kpi.chc.com.mx).
+ *                                Obligatoria: sin ella no se envían enlaces,
+ *                                porque el host de la petición lo controla
+ *                                quien la hace.
+ */
+
+const TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10) || 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Busca al empleado que solicita la recuperación por usuario o correo.
+ * Sólo considera cuentas con acceso habilitado y correo registrado.
+ * @param {string} identifier - username o correo capturado
+ * @returns {Promise<Object|null>} { id, nombre, correo } o null
+ */
+async function findEmployeeForReset(identifier) {
+  const value = String(identifier || '').trim();
+  if (!value) return null;
+  const [rows] = await pool.execute(
+    `SELECT id, nombre, correo
+     FROM empleados
+     WHERE (username = ? OR correo = ?)
+       AND login_enabled = 1
+       AND correo IS NOT NULL AND correo <> ''`,
+    [value, value]
+  );
+  // Si el identificador es ambiguo no se envía nada.
+  return rows.length === 1 ? rows[0] : null;
+}
+
+/**
+ * Invalida todos los tokens pendientes de un empleado.
+ * @param {number} employeeId
+ */
+async function invalidateTokensForEmployee(employeeId) {
+  await pool.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE empleado_id = ? AND used_at IS NULL',
+    [employeeId]
+  );
+}
+
+/**
+ * Genera un token nuevo para el empleado (invalidando los anteriores).
+ * @param {number} employeeId
+ * @param {string|null} ip - IP desde la que se solicitó
+ * @returns {Promise<string>} Token en claro para incluir en el enlace.
+ */
+async function createResetToken(employeeId, ip) {
+  await invalidateTokensForEmployee(employeeId);
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.execute(
+    `INSERT INTO password_reset_tokens (empleado_id, token_hash, expires_at, solicitado_ip, created_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?, NOW())`,
+    [employeeId, hashToken(token), TTL_MINUTES, ip || null]
+  );
+  return token;
+}
+
+/**
+ * Obtiene el registro de un token vigente (no usado ni caducado).
+ * @param {string} token
+ * @returns {Promise<Object|null>} { id, empleado_id } o null
+ */
+async function findValidToken(token) {
+  if (!token || !/^[a-f0-9]{64}$/i.test(String(token))) return null;
+  const [rows] = await pool.execute(
+    `SELECT t.id, t.empleado_id
+     FROM password_reset_tokens t
+     JOIN empleados e ON e.id = t.empleado_id
+     WHERE t.token_hash = ?
+       AND t.used_at IS NULL
+       AND t.expires_at > NOW()
+       AND e.login_enabled = 1
+     LIMIT 1`,
+    [hashToken(token)]
+  );
+  return rows.length ? rows[0] : null;
+}
+
+/**
+ * Marca un token como usado.  Devuelve false si otro proceso lo usó antes.
+ * @param {number} tokenId
+ * @returns {Promise<boolean>}
+ */
+async function consumeToken(tokenId) {
+  const [result] = await pool.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [tokenId]
+  );
+  return result.affectedRows === 1;
+}
+
+/**
+ * Envía el correo con el enlace de restablecimiento.
+ * @param {Object} employee - { nombre, correo }
+ * @param {string} link - URL absoluta con el token
+ */
+async function sendResetEmail(employee, link) {
+  const subject = 'Restablecer contraseña - KPI Manager CHC';
+  const text =
+    `Hola ${employee.nombre}:\n\n` +
+    'Recibimos una solicitud para restablecer tu contraseña de KPI Manager CHC.\n' +
+    `Para elegir una nueva contraseña abre el siguiente enlace (válido por ${TTL_MINUTES} minutos):\n\n` +
+    `${link}\n\n` +
+    'Si no solicitaste este cambio puedes ignorar este mensaje; tu contraseña actual seguirá funcionando.';
+  const html =
+    `<p>Hola ${escapeHtml(employee.nombre)}:</p>` +
+    '<p>Recibimos una solicitud para restablecer tu contraseña de KPI Manager CHC.</p>' +
+    `<p>Para elegir una nueva contraseña abre el siguiente enlace (válido por ${TTL_MINUTES} minutos):</p>` +
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+    '<p>Si no solicitaste este cambio puedes ignorar este mensaje; tu contraseña actual seguirá funcionando.</p>';
+  return sendEmail({ to: employee.correo, subject, text, html });
+}
+
+/**
+ * URL pública configurada para los enlaces de recuperación, o null.
+ * @returns {string|null}
+ */
+function resetBaseUrl() {
+  const base = String(process.env.APP_BASE_URL || '').trim().replace(/\/+$/, '');
+  return base || null;
+}
+
+/**
+ * Atiende una solicitud de recuperación completa: busca la cuenta, genera
+ * el token y envía el correo.  Se ejecuta fuera de la respuesta HTTP para
+ * que el tiempo de respuesta no revele si la cuenta existe.
+ * @param {string} identifier - username o correo capturado
+ * @param {string|null} ip - IP desde la que se solicitó
+ * @returns {Promise<boolean>} true si se envió un enlace
+ */
+async function requestReset(identifier, ip) {
+  const baseUrl = resetBaseUrl();
+  if (!baseUrl) {
+    console.error('APP_BASE_URL no está definido. No se envían enlaces de recuperación de contraseña.');
+    return false;
+  }
+  const employee = await findEmployeeForReset(identifier);
+  if (!employee) return false;
+  const token = await createResetToken(employee.id, ip);
+  await sendResetEmail(employee, `${baseUrl}/restablecer-password/${token}`);
+  return true;
+}
+
+function escapeHtml(s) {
+  return String(s || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  TTL_MINUTES,
+  findEmployeeForReset,
+  createResetToken,
+  findValidToken,
+  consumeToken,
+  invalidateTokensForEmployee,
+  sendResetEmail,
+  resetBaseUrl,
+  requestReset
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/*
+ * Servicio de contraseñas.
+ * Las contraseñas se guardan como hash lento con sal usando scrypt
+ * (incluido en Node, sin dependencias externas).  El formato
+ * almacenado en empleados.password es:
+ *
+ *   scrypt$<N>$<r>$<p>$<sal base64>$<hash base64>
+ *
+ * Guardar los parámetros junto al hash permite endurecerlos en el
+ * futuro sin invalidar las contraseñas existentes.  Las filas antiguas
+ * en texto plano se detectan con isPasswordHash() y se migran al
+ * siguiente inicio de sesión exitoso (ver routes/auth.js).
+ */
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const DEFAULT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Indica si el valor almacenado ya es un hash generado por este servicio.
+ * @param {string|null} stored
+ * @returns {boolean}
+ */
+function isPasswordHash(stored) {
+  if (!stored) return false;
+  const parts = String(stored).split('$');
+  return parts.length === 6 && parts[0] === PREFIX;
+}
+
+/**
+ * Genera el hash de una contraseña en texto plano.
+ * @param {string} plain
+ * @returns {Promise<string>} Cadena lista para guardar en empleados.password.
+ */
+async function hashPassword(plain) {
+  const { N, r, p } = DEFAULT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = await scryptAsync(String(plain), salt, KEY_LENGTH, { N, r, p });
+  return [PREFIX, N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+/**
+ * Compara una contraseña capturada contra el valor almacenado.
+ * Acepta tanto hashes como valores legacy en texto plano; en ambos
+ * casos la comparación es de tiempo constante.
+ *
+ * @param {string} plain - contraseña capturada por el usuario
+ * @param {string|null} stored - valor de empleados.password
+ * @returns {Promise<{ok: boolean, needsRehash: boolean}>}
+ *     needsRehash indica que el valor almacenado sigue en texto plano.
+ */
+async function verifyPassword(plain, stored) {
+  if (plain === undefined || plain === null || !stored) {
+    return { ok: false, needsRehash: false };
+  }
+  const candidate = String(plain);
+
+  if (!isPasswordHash(stored)) {
+    // Legacy: texto plano.  Se compara por hash para igualar longitudes.
+    const a = crypto.createHash('sha256').update(candidate).digest();
+    const b = crypto.createHash('sha256').update(String(stored)).digest();
+    const ok = crypto.timingSafeEqual(a, b);
+    return { ok, needsRehash: ok };
+  }
+
+  const [, nStr, rStr, pStr, saltB64, hashB64] = String(stored).split('$');
+  const N = parseInt(nStr, 10);
+  const r = parseInt(rStr, 10);
+  const p = parseInt(pStr, 10);
+  const expected = Buffer.from(hashB64, 'base64');
+  if (!N || !r || !p || !expected.length) {
+    return { ok: false, needsRehash: false };
+  }
+  const derived = await scryptAsync(candidate, Buffer.from(saltB64, 'base64'), expected.length, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2
+  });
+  return { ok: crypto.timingSafeEqual(derived, expected), needsRehash: false };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isPasswordHash
+};
@@ -0,0 +1,111 @@
+const { pool } = require('../db');
+
+/*
+ * Cierre de periodos.
+ *
+ * Un periodo (año/mes) cerrado queda congelado para todos: no se pueden
+ * capturar resultados, aprobar, enviar a revisión ni guardar
+ * retroalimentación, sin importar el rol.  Sólo quien tenga el permiso
+ * periods.manage puede cerrarlo o reabrirlo (tabla periodos_cierre).
+ *
+ * Si la tabla todavía no existe (script de base de datos sin aplicar),
+ * todos los periodos se consideran abiertos.
+ */
+
+const CLOSED_MESSAGE = 'El periodo está cerrado; no se permiten cambios. Solicita a un administrador que lo reabra.';
+
+/**
+ * Estado de cierre de un periodo.
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<Object|null>} { cerrado, cerrado_por_nombre, cerrado_el, ... } o null si nunca se ha cerrado
+ */
+async function getPeriodStatus(anio, mes) {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT pc.anio, pc.mes, pc.cerrado, pc.cerrado_por, pc.cerrado_el,
+              pc.reabierto_por, pc.reabierto_el,
+              ec.nombre AS cerrado_por_nombre, er.nombre AS reabierto_por_nombre
+       FROM periodos_cierre pc
+       LEFT JOIN empleados ec ON ec.id = pc.cerrado_por
+       LEFT JOIN empleados er ON er.id = pc.reabierto_por
+       WHERE pc.anio = ? AND pc.mes = ?
+       LIMIT 1`,
+      [anio, mes]
+    );
+    return rows[0] || null;
+  } catch (err) {
+    if (err && err.code === 'ER_NO_SUCH_TABLE') return null;
+    throw err;
+  }
+}
+
+/**
+ * Indica si el periodo está cerrado.
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Promise<boolean>}
+ */
+async function isPeriodClosed(anio, mes) {
+  const status = await getPeriodStatus(parseInt(anio, 10), parseInt(mes, 10));
+  return !!(status && Number(status.cerrado) === 1);
+}
+
+/**
+ * Cierra el periodo.
+ * @param {number} anio
+ * @param {number} mes
+ * @param {number} empleadoId - quien lo cierra
+ * @returns {Promise<void>}
+ */
+async function closePeriod(anio, mes, empleadoId) {
+  await pool.execute(
+    `INSERT INTO periodos_cierre (anio, mes, cerrado, cerrado_por, cerrado_el)
+     VALUES (?, ?, 1, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       cerrado = 1,
+       cerrado_por = VALUES(cerrado_por),
+       cerrado_el = NOW()`,
+    [anio, mes, empleadoId]
+  );
+}
+
+/**
+ * Reabre el periodo.
+ * @param {number} anio
+ * @param {number} mes
+ * @param {number} empleadoId - quien lo reabre
+ * @returns {Promise<boolean>} false si el periodo no estaba cerrado
+ */
+async function reopenPeriod(anio, mes, empleadoId) {
+  const [result] = await pool.execute(
+    `UPDATE periodos_cierre
+     SET cerrado = 0, reabierto_por = ?, reabierto_el = NOW()
+     WHERE anio = ? AND mes = ? AND cerrado = 1`,
+    [empleadoId, anio, mes]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Periodos cerrados, como claves "anio-mes".
+ * @returns {Promise<Set<string>>}
+ */
+async function listClosedPeriods() {
+  try {
+    const [rows] = await pool.execute('SELECT anio, mes FROM periodos_cierre WHERE cerrado = 1');
+    return new Set(rows.map(r => `${r.anio}-${r.mes}`));
+  } catch (err) {
+    if (err && err.code === 'ER_NO_SUCH_TABLE') return new Set();
+    throw err;
+  }
+}
+
+module.exports = {
+  CLOSED_MESSAGE,
+  getPeriodStatus,
+  isPeriodClosed,
+  listClosedPeriods,
+  closePeriod,
+  reopenPeriod
+};
@@ -0,0 +1,196 @@
+const { pool } = require('../db');
+
+/*
+ * Matriz de permisos por rol.
+ *
+ * Cada puesto tiene un rol (puestos.role) y cada rol agrupa permisos con
+ * nombre (tabla rol_permisos).  El catálogo de permisos vive en este
+ * módulo; los roles y su asignación se administran desde la pantalla
+ * /roles.  Las rutas se protegen con requirePermission (middleware/roles.js)
+ * y las vistas reciben `permissions` (Set) en res.locals.
+ *
+ * La matriz se guarda en memoria y se recarga cada CACHE_TTL_MS o al
+ * guardar cambios desde la pantalla de roles.  Si las tablas todavía no
+ * existen (script de base de datos sin aplicar) se usa la matriz por
+ * omisión, equivalente a los antiguos roles admin/manager/user.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Rol con todos los permisos; no puede editarse ni eliminarse para evitar
+// quedarse sin acceso a la administración.
+const SUPERUSER_ROLE = 'admin';
+
+// Catálogo de permisos agrupados por sección
+const PERMISSIONS = [
+  { key: 'personal.view', group: 'Personal', label: 'Ver el listado de personal' },
+  { key: 'personal.edit', group: 'Personal', label: 'Editar empleados, credenciales, desbloqueos y 2FA' },
+  { key: 'personal.import', group: 'Personal', label: 'Importar layouts de personal, puestos y bajas' },
+  { key: 'personal.impersonate', group: 'Personal', label: 'Usar "Ver como" para ver el sistema como otro empleado' },
+  { key: 'backup.download', group: 'Personal', label: 'Descargar el respaldo de la base de datos' },
+  { key: 'puestos.view', group: 'Puestos', label: 'Ver puestos y sus KPIs asignados' },
+  { key: 'puestos.edit', group: 'Puestos', label: 'Crear y editar puestos, departamentos y sucursales' },
+  { key: 'kpi.view', group: 'KPIs', label: 'Ver el catálogo de KPIs' },
+  { key: 'kpi.edit', group: 'KPIs', label: 'Crear y editar KPIs' },
+  { key: 'scale.manage', group: 'KPIs', label: 'Configurar la escala de calificación (puntos, etiquetas y colores)' },
+  { key: 'results.view.any', group: 'Resultados', label: 'Consultar y exportar resultados de cualquier empleado' },
+  { key: 'results.edit.any', group: 'Resultados', label: 'Capturar resultados de cualquier empleado' },
+  { key: 'results.approve.any', group: 'Resultados', label: 'Aprobar, reabrir y enviar a revisión resultados de cualquier empleado' },
+  { key: 'periods.manage', group: 'Resultados', label: 'Cerrar y reabrir periodos para toda la empresa' },
+  { key: 'sessions.manage', group: 'Seguridad', label: 'Consultar y revocar sesiones' },
+  { key: 'roles.manage', group: 'Seguridad', label: 'Administrar roles y permisos, y asignar roles a puestos' },
+  { key: 'audit.view', group: 'Seguridad', label: 'Consultar y exportar la bitácora de auditoría' }
+];
+
+const ALL_KEYS = PERMISSIONS.map(p => p.key);
+
+// Matriz por omisión (equivalente al comportamiento anterior)
+const DEFAULT_ROLES = [
+  { clave: 'admin', nombre: 'Administrador', permisos: ALL_KEYS },
+  {
+    clave: 'manager',
+    nombre: 'Gerente',
+    permisos: [
+      'personal.view', 'puestos.view', 'kpi.view',
+      'results.view.any', 'results.edit.any', 'results.approve.any'
+    ]
+  },
+  { clave: 'user', nombre: 'Usuario', permisos: [] }
+];
+
+let cache = null; // { loadedAt, roles: [{clave, nombre, descripcion, es_sistema}], byRole: Map<clave, Set> }
+let loading = null;
+
+function defaultCache() {
+  const byRole = new Map();
+  DEFAULT_ROLES.forEach(r => byRole.set(r.clave, new Set(r.permisos)));
+  return {
+    loadedAt: Date.now(),
+    roles: DEFAULT_ROLES.map(r => ({ clave: r.clave, nombre: r.nombre, descripcion: null, es_sistema: 1 })),
+    byRole
+  };
+}
+
+async function loadFromDb() {
+  const [roles] = await pool.execute(
+    'SELECT clave, nombre, descripcion, es_sistema FROM roles ORDER BY es_sistema DESC, nombre'
+  );
+  const [rows] = await pool.execute('SELECT rol_clave, permiso FROM rol_permisos');
+  const byRole = new Map();
+  roles.forEach(r => byRole.set(r.clave, new Set()));
+  rows.forEach(r => {
+    if (byRole.has(r.rol_clave) && ALL_KEYS.includes(r.permiso)) {
+      byRole.get(r.rol_clave).add(r.permiso);
+    }
+  });
+  byRole.set(SUPERUSER_ROLE, new Set(ALL_KEYS));
+  return { loadedAt: Date.now(), roles, byRole };
+}
+
+/**
+ * Carga la matriz si no está en memoria o si caducó.
+ * @returns {Promise<void>}
+ */
+async function ensureLoaded() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return;
+  if (!loading) {
+    loading = loadFromDb()
+      .then(result => { cache = result; })
+      .catch(err => {
+        console.error('No se pudo cargar la matriz de permisos; se usa la matriz por omisión:', err.message || err);
+        cache = defaultCache();
+      })
+      .finally(() => { loading = null; });
+  }
+  await loading;
+}
+
+/**
+ * Fuerza la recarga de la matriz (tras editar roles).
+ * @returns {Promise<void>}
+ */
+async function reload() {
+  cache = null;
+  await ensureLoaded();
+}
+
+/**
+ * Permisos de un rol.  Requiere haber llamado ensureLoaded().
+ * @param {string} role
+ * @returns {Set<string>}
+ */
+function permissionsForRole(role) {
+  const current = cache || defaultCache();
+  return current.byRole.get(role || 'user') || new Set();
+}
+
+/**
+ * Indica si el usuario tiene un permiso.
+ * @param {Object} user - usuario en sesión
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function can(user, permission) {
+  if (!user) return false;
+  return permissionsForRole(user.role).has(permission);
+}
+
+/**
+ * Indica si el usuario ya tiene todos los permisos de un rol, es decir,
+ * si darle ese rol a alguien no le otorga nada que él no tenga.  Requiere
+ * haber llamado ensureLoaded().
+ * @param {Object} user - usuario en sesión
+ * @param {string} role
+ * @returns {boolean}
+ */
+function coversRole(user, role) {
+  if (!user) return false;
+  const own = permissionsForRole(user.role);
+  return Array.from(permissionsForRole(role)).every(p => own.has(p));
+}
+
+/**
+ * Roles configurados.
+ * @returns {Promise<Array>}
+ */
+async function listRoles() {
+  await ensureLoaded();
+  return cache.roles;
+}
+
+/**
+ * Indica si existe un rol con la clave dada.
+ * @param {string} clave
+ * @returns {Promise<boolean>}
+ */
+async function roleExists(clave) {
+  await ensureLoaded();
+  return cache.roles.some(r => r.clave === clave);
+}
+
+/**
+ * Middleware que carga la matriz y expone a las vistas el conjunto de
+ * permisos del usuario actual (`permissions`).
+ */
+function loadPermissions(req, res, next) {
+  ensureLoaded()
+    .then(() => {
+      const user = req.session && req.session.user;
+      res.locals.permissions = user ? permissionsForRole(user.role) : new Set();
+      next();
+    })
+    .catch(next);
+}
+
+module.exports = {
+  SUPERUSER_ROLE,
+  PERMISSIONS,
+  ensureLoaded,
+  reload,
+  permissionsForRole,
+  can,
+  coversRole,
+  listRoles,
+  roleExists,
+  loadPermissions
+};
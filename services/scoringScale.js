@@ -0,0 +1,462 @@
+const { pool } = require('../db');
+
+/*
+ * Escala de calificación.
+ *
+ * Define, para cada nivel del semáforo (rojo, amarillo, verde), la
+ * etiqueta, el color (tono de Bootstrap) y los puntos que aporta al
+ * puntaje ponderado.  Además, cada nivel de la escala general indica el
+ * total ponderado mínimo (minimo_total) a partir del cual el resultado
+ * final del mes se muestra con ese nivel.
+ *
+ * La escala general (kpi_id = 0 en la tabla escala_calificacion) puede
+ * sobrescribirse por KPI.
+ *
+ * Número de niveles: la escala tiene dos o tres niveles, no un número
+ * libre.  Cada KPI define tres bandas (umbrales Amarillo/Verde, rangos o
+ * criterios Rojo/Amarillo/Verde) y kpi_resultados.color guarda uno de
+ * esos tres valores, así que un cuarto nivel no tendría con qué
+ * calificarse.  Lo configurable es la etiqueta, el color y los puntos de
+ * cada nivel, y si el nivel amarillo existe: sin él la escala es de dos
+ * niveles (cumple / no cumple), los valores intermedios se califican en
+ * rojo y el criterio amarillo se ignora.  Rojo y verde siempre están
+ * activos.
+ *
+ * Como la definición de los KPIs (services/kpiVersions.js), la escala se
+ * versiona: cada fila aplica a partir de vigente_desde_anio /
+ * vigente_desde_mes, y los puntos de un mes se calculan con la escala
+ * vigente en ese mes (forPeriod).  Una versión de la escala de un KPI con
+ * el nivel INHERIT indica que desde ese mes vuelve a la escala general.
+ * current() es la escala más reciente.
+ *
+ * La escala se guarda en memoria y se recarga cada CACHE_TTL_MS o al
+ * guardar cambios.  Si la tabla todavía no existe se usa la escala por
+ * omisión (40/70/100 con bandas de 40 y 70 puntos para el total).
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Niveles del semáforo, del peor al mejor (valores de kpi_resultados.color)
+const NIVELES = ['rojo', 'amarillo', 'verde'];
+
+// Nivel de la fila que marca que un KPI vuelve a la escala general
+const INHERIT = 'general';
+
+// Periodo posterior a cualquier vigencia (escala más reciente)
+const LATEST_KEY = 999912;
+
+// Tonos disponibles: clase de Bootstrap para insignias y campos, y colores
+// ARGB para las exportaciones a Excel.
+const TONES = {
+  danger:    { label: 'Rojo',        clase: 'bg-danger text-light',    fill: 'FFFF0000', font: 'FFFFFFFF' },
+  warning:   { label: 'Amarillo',    clase: 'bg-warning text-dark',    fill: 'FFFFFF00', font: 'FF000000' },
+  success:   { label: 'Verde',       clase: 'bg-success text-light',   fill: 'FF00B050', font: 'FFFFFFFF' },
+  info:      { label: 'Celeste',     clase: 'bg-info text-dark',       fill: 'FF0DCAF0', font: 'FF000000' },
+  primary:   { label: 'Azul',        clase: 'bg-primary text-light',   fill: 'FF0D6EFD', font: 'FFFFFFFF' },
+  secondary: { label: 'Gris',        clase: 'bg-secondary text-light', fill: 'FF6C757D', font: 'FFFFFFFF' },
+  dark:      { label: 'Negro',       clase: 'bg-dark text-light',      fill: 'FF212529', font: 'FFFFFFFF' }
+};
+
+// Clase para resultados sin calificación
+const EMPTY_CLASS = 'bg-light text-dark border';
+
+const DEFAULT_LEVELS = [
+  { nivel: 'rojo', etiqueta: 'Rojo', tono: 'danger', puntos: 40, minimo_total: 0, activo: true },
+  { nivel: 'amarillo', etiqueta: 'Amarillo', tono: 'warning', puntos: 70, minimo_total: 40, activo: true },
+  { nivel: 'verde', etiqueta: 'Verde', tono: 'success', puntos: 100, minimo_total: 70, activo: true }
+];
+
+// { loadedAt, general: [versión], kpis: Map<kpiId, [versión]>, byPeriod: Map<periodo, escala> }
+// donde versión = { key, anio, mes, rows: Map<nivel, fila> } y
+// escala = { levels: [...], overrides: Map<kpiId, Map<nivel, level>> }
+let cache = null;
+let loading = null;
+
+function periodKey(anio, mes) {
+  return Number(anio) * 100 + Number(mes);
+}
+
+function toNumber(v, fallback) {
+  if (v === null || v === undefined || v === '') return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeLevel(row, base) {
+  const tono = TONES[row.tono] ? row.tono : base.tono;
+  return {
+    nivel: base.nivel,
+    etiqueta: String(row.etiqueta || '').trim() || base.etiqueta,
+    tono,
+    clase: TONES[tono].clase,
+    puntos: toNumber(row.puntos, base.puntos),
+    minimo_total: toNumber(row.minimo_total, base.minimo_total),
+    // Rojo y verde no pueden desactivarse
+    activo: base.nivel === 'amarillo' ? Number(row.activo) === 1 || row.activo === true : true
+  };
+}
+
+function defaultCache() {
+  return {
+    loadedAt: Date.now(),
+    general: [],
+    kpis: new Map(),
+    byPeriod: new Map()
+  };
+}
+
+// Versión vigente en un periodo (la última que no empiece después), o null
+function versionAt(versions, key) {
+  let current = null;
+  for (const v of versions || []) {
+    if (v.key <= key) current = v;
+    else break;
+  }
+  return current;
+}
+
+// Escala (general y sobrescrituras) vigente en un periodo
+function buildScale(data, key) {
+  const general = versionAt(data.general, key);
+  const levels = DEFAULT_LEVELS.map(base => (general && general.rows.has(base.nivel)
+    ? normalizeLevel(general.rows.get(base.nivel), base)
+    : normalizeLevel(base, base)));
+  const overrides = new Map();
+  data.kpis.forEach((versions, kpiId) => {
+    const v = versionAt(versions, key);
+    if (!v || v.rows.has(INHERIT)) return;
+    const map = new Map();
+    levels.forEach(base => {
+      if (v.rows.has(base.nivel)) map.set(base.nivel, normalizeLevel(v.rows.get(base.nivel), base));
+    });
+    overrides.set(kpiId, map);
+  });
+  return { levels, overrides };
+}
+
+async function loadFromDb() {
+  const [rows] = await pool.execute(
+    `SELECT kpi_id, nivel, etiqueta, tono, puntos, minimo_total, activo, vigente_desde_anio, vigente_desde_mes
+     FROM escala_calificacion
+     ORDER BY kpi_id, vigente_desde_anio, vigente_desde_mes`
+  );
+  const result = defaultCache();
+  rows.forEach(r => {
+    if (!NIVELES.includes(r.nivel) && r.nivel !== INHERIT) return;
+    const kpiId = Number(r.kpi_id);
+    let versions = result.general;
+    if (kpiId > 0) {
+      if (!result.kpis.has(kpiId)) result.kpis.set(kpiId, []);
+      versions = result.kpis.get(kpiId);
+    }
+    const key = periodKey(r.vigente_desde_anio, r.vigente_desde_mes);
+    let version = versions[versions.length - 1];
+    if (!version || version.key !== key) {
+      version = { key, anio: Number(r.vigente_desde_anio), mes: Number(r.vigente_desde_mes), rows: new Map() };
+      versions.push(version);
+    }
+    version.rows.set(r.nivel, r);
+  });
+  return result;
+}
+
+function scaleForKey(key) {
+  const data = cache || defaultCache();
+  if (!data.byPeriod.has(key)) data.byPeriod.set(key, buildScale(data, key));
+  return data.byPeriod.get(key);
+}
+
+/**
+ * Carga la escala si no está en memoria o si caducó.
+ * @returns {Promise<void>}
+ */
+async function ensureLoaded() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return;
+  if (!loading) {
+    loading = loadFromDb()
+      .then(result => { cache = result; })
+      .catch(err => {
+        if (!err || err.code !== 'ER_NO_SUCH_TABLE') {
+          console.error('No se pudo cargar la escala de calificación; se usa la escala por omisión:', (err && err.message) || err);
+        }
+        cache = defaultCache();
+      })
+      .finally(() => { loading = null; });
+  }
+  await loading;
+}
+
+/**
+ * Fuerza la recarga de la escala (tras editarla).
+ * @returns {Promise<void>}
+ */
+async function reload() {
+  cache = null;
+  await ensureLoaded();
+}
+
+/**
+ * Escala más reciente en memoria.  Requiere haber llamado ensureLoaded();
+ * si no, se devuelve la escala por omisión.
+ * @returns {Object}
+ */
+function current() {
+  return scaleForKey(LATEST_KEY);
+}
+
+/**
+ * Escala vigente en un periodo.  Requiere haber llamado ensureLoaded().
+ * @param {number} anio
+ * @param {number} mes
+ * @returns {Object}
+ */
+function forPeriod(anio, mes) {
+  return scaleForKey(periodKey(anio, mes));
+}
+
+/**
+ * Escala cargada (para procesos fuera de una petición, p. ej. el cron de
+ * correos): la vigente en el periodo indicado o, sin periodo, la más reciente.
+ * @param {number} [anio]
+ * @param {number} [mes]
+ * @returns {Promise<Object>}
+ */
+async function getScale(anio, mes) {
+  await ensureLoaded();
+  return anio && mes ? forPeriod(anio, mes) : current();
+}
+
+/**
+ * Inicios de vigencia de la escala general o de la de un KPI.
+ * @param {number} kpiId - 0 para la escala general
+ * @returns {Array<{anio: number, mes: number, general: boolean}>} general = el KPI vuelve a la escala general
+ */
+function versionsOf(kpiId) {
+  const data = cache || defaultCache();
+  const versions = Number(kpiId) ? (data.kpis.get(Number(kpiId)) || []) : data.general;
+  return versions.map(v => ({ anio: v.anio, mes: v.mes, general: v.rows.has(INHERIT) }));
+}
+
+/**
+ * Niveles que aplican a un KPI (escala general con las sobrescrituras del
+ * KPI), del peor al mejor.  Incluye los niveles inactivos.
+ * @param {number|null} kpiId
+ * @param {Object} [scale]
+ * @returns {Array}
+ */
+function levelsFor(kpiId, scale = current()) {
+  const overrides = kpiId ? scale.overrides.get(Number(kpiId)) : null;
+  if (!overrides) return scale.levels;
+  return scale.levels.map(l => overrides.get(l.nivel) || l);
+}
+
+/**
+ * Nivel de un color para un KPI.
+ * @param {string} color - rojo | amarillo | verde
+ * @param {number|null} kpiId
+ * @param {Object} [scale]
+ * @returns {Object|null}
+ */
+function levelFor(color, kpiId, scale = current()) {
+  if (!color) return null;
+  return levelsFor(kpiId, scale).find(l => l.nivel === color) || null;
+}
+
+/**
+ * Puntos de un color para un KPI.
+ * @param {string} color
+ * @param {number|null} kpiId
+ * @param {Object} [scale]
+ * @returns {number|null}
+ */
+function pointsFor(color, kpiId, scale = current()) {
+  const level = levelFor(color, kpiId, scale);
+  return level ? level.puntos : null;
+}
+
+/**
+ * Indica si un nivel está activo para un KPI.
+ * @param {string} nivel
+ * @param {number|null} kpiId
+ * @param {Object} [scale]
+ * @returns {boolean}
+ */
+function isActive(nivel, kpiId, scale = current()) {
+  const level = levelFor(nivel, kpiId, scale);
+  return !!(level && level.activo);
+}
+
+/**
+ * Nivel del resultado final (total ponderado) según las bandas de la
+ * escala general: el nivel activo con mayor minimo_total que no supere el total.
+ * @param {number} total
+ * @param {Object} [scale]
+ * @returns {Object}
+ */
+function totalBand(total, scale = current()) {
+  const active = scale.levels.filter(l => l.activo);
+  let band = active[0];
+  active.forEach(l => {
+    if (Number(total) >= l.minimo_total && l.minimo_total >= band.minimo_total) band = l;
+  });
+  return band;
+}
+
+/**
+ * Colores ARGB de un nivel para Excel.
+ * @param {string} color
+ * @param {number|null} kpiId
+ * @param {Object} [scale]
+ * @returns {{fill: string, font: string}|null}
+ */
+function excelStyleFor(color, kpiId, scale = current()) {
+  const level = levelFor(color, kpiId, scale);
+  if (!level) return null;
+  const tone = TONES[level.tono];
+  return { fill: tone.fill, font: tone.font };
+}
+
+/**
+ * Escala en formato serializable para el navegador (cálculo en vivo del
+ * dashboard).
+ * @param {Object} [scale]
+ * @returns {Object} { levels, overrides: { kpiId: levels }, classes, empty }
+ */
+function forClient(scale = current()) {
+  const overrides = {};
+  scale.overrides.forEach((_, kpiId) => { overrides[kpiId] = levelsFor(kpiId, scale); });
+  return {
+    levels: scale.levels,
+    overrides,
+    classes: [...new Set(Object.values(TONES).flatMap(t => t.clase.split(' ')).concat(EMPTY_CLASS.split(' ')))],
+    empty: EMPTY_CLASS
+  };
+}
+
+/**
+ * Ayudantes para las vistas (res.locals.escala).
+ * @param {Object} scale
+ * @returns {Object}
+ */
+function viewHelpers(scale) {
+  const best = scale.levels[scale.levels.length - 1];
+  return {
+    levels: scale.levels,
+    best,
+    level: (color, kpiId) => levelFor(color, kpiId, scale),
+    points: (color, kpiId) => pointsFor(color, kpiId, scale),
+    // Clase de insignia del color ('' si no hay calificación)
+    clase: (color, kpiId) => {
+      const level = levelFor(color, kpiId, scale);
+      return level ? level.clase : '';
+    },
+    badge: (color, kpiId) => {
+      const level = levelFor(color, kpiId, scale);
+      return level ? level.clase : EMPTY_CLASS;
+    },
+    label: (color, kpiId) => {
+      const level = levelFor(color, kpiId, scale);
+      return level ? level.etiqueta : '';
+    },
+    // Puntos de un resultado guardado (considera el modo proporcional).
+    // require diferido: kpiScoring depende de este módulo.
+    result: (kpi, res) => require('./kpiScoring').resultPoints(kpi, res, scale),
+    total: (total) => totalBand(total, scale),
+    client: () => forClient(scale)
+  };
+}
+
+/**
+ * Guarda la escala general (kpiId = 0) o la sobrescritura de un KPI,
+ * vigente desde un periodo (si ya hay una versión con esa vigencia, se
+ * reemplaza).  Las versiones posteriores se conservan.
+ * @param {number} kpiId - 0 para la escala general
+ * @param {Array} levels - [{nivel, etiqueta, tono, puntos, minimo_total, activo}]
+ * @param {{anio: number, mes: number}} desde - inicio de vigencia
+ * @returns {Promise<void>}
+ */
+async function saveLevels(kpiId, levels, desde) {
+  await pool.execute(
+    `DELETE FROM escala_calificacion
+     WHERE kpi_id = ? AND nivel = ? AND vigente_desde_anio = ? AND vigente_desde_mes = ?`,
+    [kpiId, INHERIT, desde.anio, desde.mes]
+  );
+  for (const l of levels) {
+    await pool.execute(
+      `INSERT INTO escala_calificacion
+         (kpi_id, nivel, vigente_desde_anio, vigente_desde_mes, etiqueta, tono, puntos, minimo_total, activo)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         etiqueta = VALUES(etiqueta),
+         tono = VALUES(tono),
+         puntos = VALUES(puntos),
+         minimo_total = VALUES(minimo_total),
+         activo = VALUES(activo)`,
+      [kpiId, l.nivel, desde.anio, desde.mes, l.etiqueta, l.tono, l.puntos, kpiId ? null : l.minimo_total, l.activo ? 1 : 0]
+    );
+  }
+  await reload();
+}
+
+/**
+ * Quita la sobrescritura de un KPI a partir de un periodo: desde ese mes
+ * usa la escala general y los meses anteriores conservan la suya.
+ * @param {number} kpiId
+ * @param {{anio: number, mes: number}} desde - inicio de vigencia
+ * @returns {Promise<void>}
+ */
+async function deleteOverride(kpiId, desde) {
+  if (!Number(kpiId)) return;
+  await ensureLoaded();
+  const key = periodKey(desde.anio, desde.mes);
+  const previous = versionAt((cache && cache.kpis.get(Number(kpiId))) || [], key - 1);
+  await pool.execute(
+    'DELETE FROM escala_calificacion WHERE kpi_id = ? AND vigente_desde_anio = ? AND vigente_desde_mes = ?',
+    [kpiId, desde.anio, desde.mes]
+  );
+  // Si antes de "desde" el KPI tenía escala propia, se marca el regreso a la general
+  if (previous && !previous.rows.has(INHERIT)) {
+    await pool.execute(
+      `INSERT INTO escala_calificacion
+         (kpi_id, nivel, vigente_desde_anio, vigente_desde_mes, etiqueta, tono, puntos, minimo_total, activo)
+       VALUES (?, ?, ?, ?, '', '', 0, NULL, 0)`,
+      [kpiId, INHERIT, desde.anio, desde.mes]
+    );
+  }
+  await reload();
+}
+
+/**
+ * Middleware que carga la escala y expone a las vistas `escala`.
+ */
+function loadScoringScale(req, res, next) {
+  ensureLoaded()
+    .then(() => {
+      res.locals.escala = viewHelpers(current());
+      next();
+    })
+    .catch(next);
+}
+
+module.exports = {
+  NIVELES,
+  TONES,
+  EMPTY_CLASS,
+  ensureLoaded,
+  reload,
+  current,
+  forPeriod,
+  getScale,
+  versionsOf,
+  levelsFor,
+  levelFor,
+  pointsFor,
+  isActive,
+  totalBand,
+  excelStyleFor,
+  forClient,
+  viewHelpers,
+  saveLevels,
+  deleteOverride,
+  loadScoringScale
+};
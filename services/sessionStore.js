@@ -0,0 +1,199 @@
+const session = require('express-session');
+const { pool } = require('../db');
+
+/*
+ * Almacén de sesiones de express-session respaldado por MySQL.
+ *
+ * Las sesiones se guardan en la tabla `sesiones` de la base de datos
+ * principal (mismo `pool` que el resto del sistema), por lo que
+ * sobreviven a reinicios del servidor.  La caducidad se guarda como
+ * milisegundos epoch (columna expires) y se compara en Node para no
+ * depender de la zona horaria configurada en el servidor MySQL.
+ *
+ * Además de los datos serializados, cada fila registra el empleado, la
+ * IP, el navegador y la última actividad para que los administradores
+ * puedan consultar y revocar sesiones (pantalla /sesiones).  Revocar una
+ * sesión equivale a borrar su fila: en la siguiente petición el usuario
+ * ya no tiene sesión y se le envía al login.
+ *
+ * Para que una petición que estaba en curso al revocar no vuelva a crear
+ * la fila al terminar, la sesión de un usuario autenticado sólo se
+ * inserta cuando trae la marca newLogin (la pone completeLogin al iniciar
+ * sesión y no se guarda); en cualquier otro caso sólo se actualiza la
+ * fila existente y, si ya no existe, la sesión se descarta.  Las sesiones
+ * anónimas (antes del acceso) se insertan siempre.
+ *
+ * Cada cierto tiempo se eliminan las sesiones caducadas.
+ */
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+class MySqlSessionStore extends session.Store {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.defaultTtlMs] - vigencia si la cookie no trae expiración
+   */
+  constructor(options = {}) {
+    super();
+    this.defaultTtlMs = options.defaultTtlMs || 24 * 60 * 60 * 1000;
+    this.cleanupTimer = setInterval(() => {
+      this.clearExpired().catch(err => console.error('Error al limpiar sesiones caducadas:', err));
+    }, CLEANUP_INTERVAL_MS);
+    // No mantener vivo el proceso sólo por la limpieza
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  expiresFor(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires).getTime();
+    }
+    return Date.now() + this.defaultTtlMs;
+  }
+
+  get(sid, callback) {
+    pool.execute('SELECT data, expires FROM sesiones WHERE sid = ? LIMIT 1', [sid])
+      .then(([rows]) => {
+        if (!rows.length || Number(rows[0].expires) <= Date.now()) {
+          return callback(null, null);
+        }
+        let data = null;
+        try {
+          data = JSON.parse(rows[0].data);
+        } catch (e) {
+          return callback(null, null);
+        }
+        return callback(null, data);
+      })
+      .catch(err => callback(err));
+  }
+
+  set(sid, sess, callback) {
+    const cb = callback || (() => {});
+    const { newLogin, ...data } = sess || {};
+    // Durante "Ver como" la sesión pertenece al administrador, no al suplantado
+    const user = data.impersonator || data.user || null;
+    const client = data.client || {};
+    const values = [
+      JSON.stringify(data),
+      this.expiresFor(sess),
+      user ? user.id : null,
+      client.ip || null,
+      client.userAgent ? String(client.userAgent).slice(0, 255) : null,
+      data.loginAt || null,
+      Date.now()
+    ];
+    const query = user && !newLogin
+      // Sesión autenticada ya existente: si la revocaron, no se recrea
+      ? pool.execute(
+        `UPDATE sesiones
+         SET data = ?, expires = ?, empleado_id = ?, ip = ?, user_agent = ?, creado_el = ?, ultima_actividad = ?
+         WHERE sid = ?`,
+        [...values, sid]
+      )
+      : pool.execute(
+        `INSERT INTO sesiones (sid, data, expires, empleado_id, ip, user_agent, creado_el, ultima_actividad)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE data = VALUES(data), expires = VALUES(expires),
+           empleado_id = VALUES(empleado_id), ip = VALUES(ip), user_agent = VALUES(user_agent),
+           creado_el = VALUES(creado_el), ultima_actividad = VALUES(ultima_actividad)`,
+        [sid, ...values]
+      );
+    query
+      .then(() => cb(null))
+      .catch(err => cb(err));
+  }
+
+  touch(sid, sess, callback) {
+    const cb = callback || (() => {});
+    pool.execute(
+      'UPDATE sesiones SET expires = ?, ultima_actividad = ? WHERE sid = ?',
+      [this.expiresFor(sess), Date.now(), sid]
+    )
+      .then(() => cb(null))
+      .catch(err => cb(err));
+  }
+
+  destroy(sid, callback) {
+    const cb = callback || (() => {});
+    pool.execute('DELETE FROM sesiones WHERE sid = ?', [sid])
+      .then(() => cb(null))
+      .catch(err => cb(err));
+  }
+
+  /**
+   * Elimina las sesiones caducadas.
+   * @returns {Promise<number>} número de sesiones eliminadas
+   */
+  async clearExpired() {
+    const [result] = await pool.execute('DELETE FROM sesiones WHERE expires <= ?', [Date.now()]);
+    return result.affectedRows || 0;
+  }
+}
+
+/**
+ * Lista las sesiones vigentes de usuarios autenticados.
+ * @returns {Promise<Array>} filas con datos del empleado
+ */
+async function listActiveSessions() {
+  const [rows] = await pool.execute(
+    `SELECT s.sid, s.empleado_id, s.ip, s.user_agent, s.creado_el, s.ultima_actividad, s.expires,
+            e.nombre, e.username, p.nombre AS puesto_nombre
+     FROM sesiones s
+     JOIN empleados e ON e.id = s.empleado_id
+     LEFT JOIN puestos p ON p.id = e.puesto_id
+     WHERE s.expires > ?
+     ORDER BY s.ultima_actividad DESC`,
+    [Date.now()]
+  );
+  return rows;
+}
+
+/**
+ * Revoca (elimina) una sesión concreta.
+ * @param {string} sid
+ * @returns {Promise<boolean>} true si existía
+ */
+async function revokeSession(sid) {
+  const [result] = await pool.execute('DELETE FROM sesiones WHERE sid = ?', [sid]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Revoca todas las sesiones de un empleado.
+ * @param {number} employeeId
+ * @param {Object} [options]
+ * @param {string} [options.exceptSid] - sesión que se conserva (ej. la actual)
+ * @returns {Promise<number>} número de sesiones revocadas
+ */
+async function revokeEmployeeSessions(employeeId, options = {}) {
+  const params = [employeeId];
+  let extra = '';
+  if (options.exceptSid) {
+    extra = ' AND sid <> ?';
+    params.push(options.exceptSid);
+  }
+  const [result] = await pool.execute(`DELETE FROM sesiones WHERE empleado_id = ?${extra}`, params);
+  return result.affectedRows || 0;
+}
+
+/**
+ * Revoca las sesiones de todos los empleados con acceso deshabilitado
+ * (login_enabled = 0), por ejemplo tras importar BAJAS.
+ * @returns {Promise<number>} número de sesiones revocadas
+ */
+async function revokeDisabledEmployeeSessions() {
+  const [result] = await pool.execute(
+    `DELETE s FROM sesiones s
+     JOIN empleados e ON e.id = s.empleado_id
+     WHERE e.login_enabled = 0`
+  );
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  MySqlSessionStore,
+  listActiveSessions,
+  revokeSession,
+  revokeEmployeeSessions,
+  revokeDisabledEmployeeSessions
+};
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const { pool } = require('../db');
+
+/*
+ * Autenticación de dos factores con TOTP (RFC 6238), compatible con
+ * Google Authenticator, Microsoft Authenticator, Authy, etc.
+ *
+ * El secreto de cada empleado se guarda en base32 en
+ * empleados.totp_secret.  Para evitar que un mismo código se use dos
+ * veces, se registra el último intervalo aceptado (totp_last_counter).
+ * Los códigos de respaldo son de un solo uso y se guardan como hash
+ * SHA-256 en la tabla totp_backup_codes.
+ *
+ * Variables de entorno:
+ *   TOTP_REQUIRED_ROLES - roles obligados a usar 2FA, separados por
+ *                         coma (por defecto 'admin,manager')
+ *   TOTP_ISSUER         - nombre mostrado en la app de autenticación
+ *                         (por defecto 'KPI Manager CHC')
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // tolerancia de ±1 intervalo por desfase de reloj
+const BACKUP_CODES_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const REQUIRED_ROLES = String(process.env.TOTP_REQUIRED_ROLES || 'admin,manager')
+  .split(',')
+  .map(r => r.trim())
+  .filter(Boolean);
+const ISSUER = process.env.TOTP_ISSUER || 'KPI Manager CHC';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = String(str || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Genera un secreto aleatorio de 160 bits en base32.
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentCounter(nowMs) {
+  return Math.floor((nowMs || Date.now()) / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Verifica un código TOTP.
+ * @param {string} secret - secreto base32
+ * @param {string} token - código capturado
+ * @param {number|null} [lastCounter] - último intervalo aceptado (anti-reuso)
+ * @returns {number|null} intervalo aceptado o null si no es válido
+ */
+function verifyToken(secret, token, lastCounter) {
+  const code = String(token || '').replace(/\s+/g, '');
+  if (!secret || !/^\d{6}$/.test(code)) return null;
+  const now = currentCounter();
+  for (let i = -WINDOW; i <= WINDOW; i++) {
+    const counter = now + i;
+    if (lastCounter !== null && lastCounter !== undefined && counter <= Number(lastCounter)) continue;
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * URL otpauth:// para generar el código QR.
+ * @param {string} secret
+ * @param {string} accountName - normalmente el username
+ * @returns {string}
+ */
+function buildOtpAuthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Indica si el rol del puesto obliga a usar 2FA.
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isTotpRequiredForRole(role) {
+  return REQUIRED_ROLES.includes(role || 'user');
+}
+
+function normalizeBackupCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+/**
+ * Genera y guarda un juego nuevo de códigos de respaldo (reemplaza los anteriores).
+ * @param {number} employeeId
+ * @returns {Promise<string[]>} códigos en claro para mostrarse una sola vez
+ */
+async function regenerateBackupCodes(employeeId) {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODES_COUNT; i++) {
+    const raw = base32Encode(crypto.randomBytes(5)); // 8 caracteres
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4, 8)}`);
+  }
+  await pool.execute('DELETE FROM totp_backup_codes WHERE empleado_id = ?', [employeeId]);
+  for (const code of codes) {
+    await pool.execute(
+      'INSERT INTO totp_backup_codes (empleado_id, code_hash, created_at) VALUES (?, ?, NOW())',
+      [employeeId, hashBackupCode(code)]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Consume un código de respaldo si es válido.
+ * @param {number} employeeId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function consumeBackupCode(employeeId, code) {
+  if (normalizeBackupCode(code).length !== 8) return false;
+  const [result] = await pool.execute(
+    `UPDATE totp_backup_codes SET used_at = NOW()
+     WHERE empleado_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [employeeId, hashBackupCode(code)]
+  );
+  return result.affectedRows === 1;
+}
+
+/**
+ * Cuenta los códigos de respaldo sin usar.
+ * @param {number} employeeId
+ * @returns {Promise<number>}
+ */
+async function countUnusedBackupCodes(employeeId) {
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) AS total FROM totp_backup_codes WHERE empleado_id = ? AND used_at IS NULL',
+    [employeeId]
+  );
+  return rows[0] ? Number(rows[0].total) : 0;
+}
+
+/**
+ * Verifica el segundo factor de un empleado: código TOTP o de respaldo.
+ * Registra el intervalo usado para impedir reutilizar el mismo código.
+ * @param {number} employeeId
+ * @param {string} code
+ * @returns {Promise<{ok: boolean, usedBackup: boolean}>}
+ */
+async function verifySecondFactor(employeeId, code) {
+  const [rows] = await pool.execute(
+    'SELECT totp_secret, totp_enabled, totp_last_counter FROM empleados WHERE id = ? LIMIT 1',
+    [employeeId]
+  );
+  if (!rows.length || !rows[0].totp_enabled || !rows[0].totp_secret) {
+    return { ok: false, usedBackup: false };
+  }
+  const counter = verifyToken(rows[0].totp_secret, code, rows[0].totp_last_counter);
+  if (counter !== null) {
+    await pool.execute('UPDATE empleados SET totp_last_counter = ? WHERE id = ?', [counter, employeeId]);
+    return { ok: true, usedBackup: false };
+  }
+  const usedBackup = await consumeBackupCode(employeeId, code);
+  return { ok: usedBackup, usedBackup };
+}
+
+/**
+ * Activa 2FA para el empleado con el secreto ya confirmado.
+ * @param {number} employeeId
+ * @param {string} secret
+ * @param {number} counter - intervalo del código de confirmación
+ */
+async function enableTotp(employeeId, secret, counter) {
+  await pool.execute(
+    'UPDATE empleados SET totp_secret = ?, totp_enabled = 1, totp_last_counter = ? WHERE id = ?',
+    [secret, counter, employeeId]
+  );
+}
+
+/**
+ * Desactiva 2FA y elimina los códigos de respaldo.
+ * @param {number} employeeId
+ */
+async function disableTotp(employeeId) {
+  await pool.execute(
+    'UPDATE empleados SET totp_secret = NULL, totp_enabled = 0, totp_last_counter = NULL WHERE id = ?',
+    [employeeId]
+  );
+  await pool.execute('DELETE FROM totp_backup_codes WHERE empleado_id = ?', [employeeId]);
+}
+
+module.exports = {
+  generateSecret,
+  verifyToken,
+  buildOtpAuthUrl,
+  isTotpRequiredForRole,
+  regenerateBackupCodes,
+  countUnusedBackupCodes,
+  verifySecondFactor,
+  enableTotp,
+  disableTotp
+};